@@ -14,312 +14,493 @@ import { Switch } from "@/components/ui/switch";
 import { Separator } from "@/components/ui/separator";
 import { Badge } from "@/components/ui/badge";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
-import { Info, Copy, Calculator, TrendingUp, Receipt, MapPin, Train, Building2 } from "lucide-react";
-
-// --- Utilities ---
-const clamp = (n: number, min: number, max: number) => Math.min(max, Math.max(min, n));
-
-function formatJPY(n: number): string {
-  const v = Number.isFinite(n) ? Math.round(n) : 0;
-  return v.toLocaleString("ja-JP") + "円";
-}
-
-function formatPct(r: number): string {
-  const v = Number.isFinite(r) ? r * 100 : 0;
-  return `${v.toFixed(1)}%`;
-}
-
-function safeDiv(a: number, b: number): number {
-  if (!Number.isFinite(a) || !Number.isFinite(b) || b === 0) return 0;
-  return a / b;
-}
-
-function numOr0(v: string): number {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : 0;
-}
-
-// --- Presets ---
-type IndustryKey =
-  | "izakaya"
-  | "yakiniku"
-  | "cafe"
-  | "ramen"
-  | "restaurant"
-  | "takeout";
-
-type ScenarioKey = "low" | "standard" | "high";
-
-type RatePreset = {
-  label: string;
-  scenarios: Record<ScenarioKey, { food: number; labor: number; rent: number }>;
+import { Info, Copy, Calculator, TrendingUp, Receipt, MapPin, Train, Building2, Link, Settings2, Printer, MessageSquareText, FileSpreadsheet } from "lucide-react";
+import { formatJPY, formatPct, numOr0, printHtml, safeDiv } from "./foodpl/utils";
+import {
+  AREA_MASTER,
+  DAYS_OPTIONS,
+  INDUSTRY_PRESETS,
+  OCCUPANCY_OPTIONS,
+  PEOPLE_PER_GROUP_OPTIONS,
+  SEATS_PER_TSUBO_OPTIONS,
+  STATION_DISTANCE,
+  TRADE_AREA,
+  TURNOVER_OPTIONS,
+  getIndustry,
+  type AreaKey,
+  type IndustryKey,
+  type ScenarioKey,
+  type StationDistanceKey,
+  type TradeAreaKey,
+  type UnitType,
+} from "./foodpl/presets";
+import {
+  computeBaseline,
+  computeNormalized,
+  computeRentSuggestion,
+  type CalcInput,
+} from "./foodpl/engine";
+import { DEFAULT_INPUTS, type CaseInputs } from "./foodpl/inputs";
+import type { SavedCase } from "./foodpl/cases";
+import { CasesPanel } from "./foodpl/cases-panel";
+import {
+  BUILTIN_AREA_RECORDS,
+  compileAreaRecords,
+  loadAreaOverrides,
+  persistAreaOverrides,
+  type AreaRecord,
+} from "./foodpl/area-master";
+import { AreaMasterEditor } from "./foodpl/area-editor";
+import {
+  compileIndustryRecords,
+  loadIndustryRecords,
+  persistIndustryRecords,
+  type IndustryRecord,
+} from "./foodpl/industry-presets";
+import { IndustryPresetEditor } from "./foodpl/industry-editor";
+import { AUTO_APPLY_CONFIDENCE, matchAreas } from "./foodpl/area-match";
+import { AreaMatchHint } from "./foodpl/area-match-hint";
+import { SCENARIO_LABELS, buildRangeTalkTrack, compareScenarios } from "./foodpl/scenarios";
+import { ScenarioComparison } from "./foodpl/scenario-compare";
+import { runSensitivity, type SensitivityMetric } from "./foodpl/sensitivity";
+import { SensitivityPanel } from "./foodpl/sensitivity-panel";
+import {
+  MC_VARS,
+  defaultMcRanges,
+  mcVarsFor,
+  runMonteCarlo,
+  type McRanges,
+  type McResult,
+  type McVar,
+} from "./foodpl/monte-carlo";
+import { MonteCarloPanel } from "./foodpl/monte-carlo-panel";
+import { RAMP_CURVES, projectMonths, type RampCurve } from "./foodpl/projection";
+import { ProjectionPanel } from "./foodpl/projection-panel";
+import { EMPTY_ACTUALS, buildActualsTalkTrack, computeActuals, type Actuals } from "./foodpl/actuals";
+import { ActualsPanel } from "./foodpl/actuals-panel";
+import { computePnl, type CostLine } from "./foodpl/pnl";
+import { PnlPanel } from "./foodpl/pnl-panel";
+import { computeLabor, type LaborModel } from "./foodpl/labor";
+import { LaborBuilder } from "./foodpl/labor-panel";
+import { computeMenu, type MenuItem } from "./foodpl/menu";
+import { MenuBuilder } from "./foodpl/menu-panel";
+import { computeDemand, type DemandModel } from "./foodpl/demand";
+import { DemandEditor } from "./foodpl/demand-panel";
+import { computeChannelMix, type AdChannel } from "./foodpl/channels";
+import { ChannelMixPanel } from "./foodpl/channel-mix-panel";
+import { computeDeliveryBreakdown, computeDeliveryMix, type DeliveryModel } from "./foodpl/delivery";
+import { DeliveryPanel } from "./foodpl/delivery-panel";
+import { computeLtv, type LtvAssumptions } from "./foodpl/ltv";
+import { LtvPanel } from "./foodpl/ltv-panel";
+import { GOAL_TARGETS, goalSeek, type GoalTarget, type SolveVar } from "./foodpl/goal-seek";
+import { GoalSeekPanel } from "./foodpl/goal-seek-panel";
+import { buildProposalHtml } from "./foodpl/proposal";
+import { PRICE_TAX_MODES, TAX_RATES, blendedTaxRate, netPriceFactor, type PriceTaxMode, type TaxSetting } from "./foodpl/tax";
+import {
+  BUILTIN_TEMPLATES,
+  DEFAULT_TEMPLATE_ID,
+  buildTalkContext,
+  findTemplate,
+  loadTemplateStore,
+  persistTemplateStore,
+  renderTemplate,
+  type TalkTemplate,
+} from "./foodpl/talk-templates";
+import { TalkTemplateEditor } from "./foodpl/talk-template-editor";
+import { checkPlausibility } from "./foodpl/plausibility";
+import { FieldChecks, PlausibilitySummary } from "./foodpl/plausibility-notes";
+import { BatchPanel } from "./foodpl/batch-panel";
+import { bundledGeoAdapter, estimateStationDistance, type GeoAdapter, type StationEstimate } from "./foodpl/geo";
+import { buildShareUrl, readInputsFromLocation, writeInputsToLocation } from "./foodpl/share";
+
+type Props = {
+  // Address -> station lookup; defaults to the bundled offline tables
+  geoAdapter?: GeoAdapter;
 };
 
-const INDUSTRY_PRESETS: Record<IndustryKey, RatePreset> = {
-  izakaya: {
-    label: "居酒屋",
-    scenarios: {
-      low: { food: 0.28, labor: 0.26, rent: 0.09 },
-      standard: { food: 0.30, labor: 0.30, rent: 0.10 },
-      high: { food: 0.33, labor: 0.34, rent: 0.12 },
-    },
-  },
-  yakiniku: {
-    label: "焼肉",
-    scenarios: {
-      low: { food: 0.34, labor: 0.24, rent: 0.09 },
-      standard: { food: 0.38, labor: 0.28, rent: 0.10 },
-      high: { food: 0.42, labor: 0.32, rent: 0.12 },
-    },
-  },
-  cafe: {
-    label: "カフェ",
-    scenarios: {
-      low: { food: 0.24, labor: 0.28, rent: 0.10 },
-      standard: { food: 0.28, labor: 0.32, rent: 0.12 },
-      high: { food: 0.32, labor: 0.36, rent: 0.14 },
-    },
-  },
-  ramen: {
-    label: "ラーメン",
-    scenarios: {
-      low: { food: 0.26, labor: 0.22, rent: 0.08 },
-      standard: { food: 0.30, labor: 0.25, rent: 0.10 },
-      high: { food: 0.34, labor: 0.28, rent: 0.12 },
-    },
-  },
-  restaurant: {
-    label: "レストラン（一般）",
-    scenarios: {
-      low: { food: 0.28, labor: 0.26, rent: 0.09 },
-      standard: { food: 0.32, labor: 0.30, rent: 0.10 },
-      high: { food: 0.36, labor: 0.34, rent: 0.12 },
-    },
-  },
-  takeout: {
-    label: "テイクアウト中心",
-    scenarios: {
-      low: { food: 0.32, labor: 0.18, rent: 0.06 },
-      standard: { food: 0.35, labor: 0.20, rent: 0.08 },
-      high: { food: 0.38, labor: 0.24, rent: 0.10 },
-    },
-  },
-};
+export default function RestaurantPrevisitCalculator({ geoAdapter = bundledGeoAdapter }: Props = {}) {
+  // --- Inputs ---
+  const [address, setAddress] = useState<string>(DEFAULT_INPUTS.address);
+  const [industry, setIndustry] = useState<IndustryKey>(DEFAULT_INPUTS.industry);
+  const [scenario, setScenario] = useState<ScenarioKey>(DEFAULT_INPUTS.scenario);
 
-const DAYS_OPTIONS = [22, 24, 26, 28, 30] as const;
-const PEOPLE_PER_GROUP_OPTIONS = [1, 2, 3, 4, 5, 6] as const;
-const TURNOVER_OPTIONS = [1.2, 1.5, 2.0, 2.5, 3.0] as const;
-const OCCUPANCY_OPTIONS = [0.45, 0.55, 0.65, 0.75, 0.85] as const;
-const SEATS_PER_TSUBO_OPTIONS = [1.6, 1.8, 2.0, 2.2, 2.4] as const;
-
-type UnitType = "per_person" | "per_group";
-
-// --- Area / Rent Master (Editable) ---
-type AreaKey =
-  | "tokyo_core"
-  | "tokyo_suburb"
-  | "osaka_core"
-  | "osaka_suburb"
-  | "nagoya_core"
-  | "kyoto_core"
-  | "regional_city"
-  | "rural";
-
-type AreaMaster = {
-  key: AreaKey;
-  label: string;
-  // base rent per tsubo per month (JPY). These are placeholder defaults; you should tune them to your dataset.
-  baseRentPerTsubo: number;
-  // keyword patterns for rough address detection
-  patterns: RegExp[];
-};
+  const [unitType, setUnitType] = useState<UnitType>(DEFAULT_INPUTS.unitType);
+  const [unitPrice, setUnitPrice] = useState<number>(DEFAULT_INPUTS.unitPrice);
+  const [peoplePerGroup, setPeoplePerGroup] = useState<number>(DEFAULT_INPUTS.peoplePerGroup);
 
-const AREA_MASTER: AreaMaster[] = [
-  {
-    key: "tokyo_core",
-    label: "東京 都心（都心部・23区中心）",
-    baseRentPerTsubo: 35000,
-    patterns: [
-      /東京都/,
-      /渋谷|新宿|港区|中央区|千代田区|品川|池袋|恵比寿|六本木|銀座/,
-    ],
-  },
-  {
-    key: "tokyo_suburb",
-    label: "東京 近郊（23区外・近郊）",
-    baseRentPerTsubo: 25000,
-    patterns: [/東京都/, /立川|町田|八王子|府中|調布|武蔵|多摩/],
-  },
-  {
-    key: "osaka_core",
-    label: "大阪 都心（梅田/難波/心斎橋など）",
-    baseRentPerTsubo: 28000,
-    patterns: [/大阪府/, /北区|中央区|西区|天王寺|難波|梅田|心斎橋|本町/],
-  },
-  {
-    key: "osaka_suburb",
-    label: "大阪 近郊（大阪市外・北摂・東大阪など）",
-    baseRentPerTsubo: 20000,
-    patterns: [/大阪府/, /吹田|豊中|東大阪|堺|枚方|高槻|守口|八尾/],
-  },
-  {
-    key: "kyoto_core",
-    label: "京都 中心（四条/河原町/烏丸など）",
-    baseRentPerTsubo: 24000,
-    patterns: [/京都府/, /中京区|下京区|四条|河原町|烏丸|祇園/],
-  },
-  {
-    key: "nagoya_core",
-    label: "名古屋 中心（栄/名駅など）",
-    baseRentPerTsubo: 22000,
-    patterns: [/愛知県/, /名古屋|栄|名駅|中区/],
-  },
-  {
-    key: "regional_city",
-    label: "地方都市（駅前・中心街）",
-    baseRentPerTsubo: 15000,
-    patterns: [/奈良県|兵庫県|滋賀県|和歌山県|福岡県|広島県|宮城県|北海道/],
-  },
-  {
-    key: "rural",
-    label: "郊外・地方（ロードサイド/住宅地寄り）",
-    baseRentPerTsubo: 9000,
-    patterns: [/郡|町|村/],
-  },
-];
-
-type StationDistanceKey = "walk_1_3" | "walk_4_7" | "walk_8_12" | "walk_13_plus" | "unknown";
-const STATION_DISTANCE: Record<StationDistanceKey, { label: string; factor: number }> = {
-  walk_1_3: { label: "徒歩1〜3分", factor: 1.15 },
-  walk_4_7: { label: "徒歩4〜7分", factor: 1.0 },
-  walk_8_12: { label: "徒歩8〜12分", factor: 0.9 },
-  walk_13_plus: { label: "徒歩13分以上", factor: 0.8 },
-  unknown: { label: "不明", factor: 1.0 },
-};
+  // Consumption tax: typed prices incl./excl. tax, takeout share at the reduced rate
+  const [priceTaxMode, setPriceTaxMode] = useState<PriceTaxMode>(DEFAULT_INPUTS.priceTaxMode);
+  const [takeoutShare, setTakeoutShare] = useState<number>(DEFAULT_INPUTS.takeoutShare);
 
-type TradeAreaKey =
-  | "downtown"
-  | "station_front"
-  | "office"
-  | "residential"
-  | "roadside"
-  | "tourism";
-
-const TRADE_AREA: Record<TradeAreaKey, { label: string; factor: number }> = {
-  downtown: { label: "繁華街", factor: 1.2 },
-  station_front: { label: "駅前", factor: 1.1 },
-  office: { label: "オフィス街", factor: 1.1 },
-  residential: { label: "住宅街", factor: 0.95 },
-  roadside: { label: "ロードサイド", factor: 0.9 },
-  tourism: { label: "観光地", factor: 1.25 },
-};
+  const [addGroupsPerDay, setAddGroupsPerDay] = useState<number>(DEFAULT_INPUTS.addGroupsPerDay);
+  const [seats, setSeats] = useState<number>(DEFAULT_INPUTS.seats);
+  const [adSpend, setAdSpend] = useState<number>(DEFAULT_INPUTS.adSpend);
+  const [daysPerMonth, setDaysPerMonth] = useState<number>(DEFAULT_INPUTS.daysPerMonth);
+
+  // Optional baseline estimate (seat-based)
+  const [useBaseline, setUseBaseline] = useState<boolean>(DEFAULT_INPUTS.useBaseline);
+  const [turnover, setTurnover] = useState<number>(DEFAULT_INPUTS.turnover);
+  const [occupancy, setOccupancy] = useState<number>(DEFAULT_INPUTS.occupancy);
+  const [useDemandModel, setUseDemandModel] = useState<boolean>(DEFAULT_INPUTS.useDemandModel);
+  const [demandModel, setDemandModel] = useState<DemandModel>(DEFAULT_INPUTS.demandModel);
+
+  // Ad channel mix (per-channel cost model -> total ad spend and groups/day)
+  const [useChannelMix, setUseChannelMix] = useState<boolean>(DEFAULT_INPUTS.useChannelMix);
+  const [channels, setChannels] = useState<AdChannel[]>(DEFAULT_INPUTS.channels);
+
+  // Dine-in / takeout / delivery platform split (commission + packaging)
+  const [useDeliveryModel, setUseDeliveryModel] = useState<boolean>(DEFAULT_INPUTS.useDeliveryModel);
+  const [deliveryModel, setDeliveryModel] = useState<DeliveryModel>(DEFAULT_INPUTS.deliveryModel);
+
+  // --- Address -> Area / Rent suggestion ---
+  const [autoDetectArea, setAutoDetectArea] = useState<boolean>(DEFAULT_INPUTS.autoDetectArea);
+  const [area, setArea] = useState<AreaKey>(DEFAULT_INPUTS.area);
+  const [autoStationDistance, setAutoStationDistance] = useState<boolean>(DEFAULT_INPUTS.autoStationDistance);
+  const [stationDistance, setStationDistance] = useState<StationDistanceKey>(DEFAULT_INPUTS.stationDistance);
+  const [tradeArea, setTradeArea] = useState<TradeAreaKey>(DEFAULT_INPUTS.tradeArea);
+  const [seatsPerTsubo, setSeatsPerTsubo] = useState<number>(DEFAULT_INPUTS.seatsPerTsubo);
+  const [autoSetRentRate, setAutoSetRentRate] = useState<boolean>(DEFAULT_INPUTS.autoSetRentRate);
 
-function detectAreaFromAddress(address: string): AreaKey | null {
-  const a = (address || "").trim();
-  if (!a) return null;
+  // Manual override for rates
+  const [manualRates, setManualRates] = useState<boolean>(DEFAULT_INPUTS.manualRates);
+  // User-defined industry presets (listed after the built-ins)
+  const [industryRecords, setIndustryRecords] = useState<IndustryRecord[]>([]);
+  const [showIndustryEditor, setShowIndustryEditor] = useState<boolean>(false);
 
-  // Prefer more specific matches first
-  for (const area of AREA_MASTER) {
-    if (area.patterns.some((re) => re.test(a))) return area.key;
+  React.useEffect(() => {
+    setIndustryRecords(loadIndustryRecords());
+  }, []);
+
+  const industries = useMemo(
+    () => ({ ...INDUSTRY_PRESETS, ...compileIndustryRecords(industryRecords).industries }),
+    [industryRecords]
+  );
+  const industryPreset = getIndustry(industry, industries);
+  const presetRates = industryPreset.scenarios[scenario];
+  const [foodRate, setFoodRate] = useState<number>(DEFAULT_INPUTS.foodRate);
+  const [laborRate, setLaborRate] = useState<number>(DEFAULT_INPUTS.laborRate);
+  const [rentRate, setRentRate] = useState<number>(DEFAULT_INPUTS.rentRate);
+
+  // Multi-month projection (ramp-up + per-month ad spend)
+  const [projectionMonths, setProjectionMonths] = useState<number>(DEFAULT_INPUTS.projectionMonths);
+  const [rampCurve, setRampCurve] = useState<RampCurve>(DEFAULT_INPUTS.rampCurve);
+  const [rampMonths, setRampMonths] = useState<number>(DEFAULT_INPUTS.rampMonths);
+  const [adSpendByMonth, setAdSpendByMonth] = useState<number[]>(DEFAULT_INPUTS.adSpendByMonth);
+
+  // Repeat visits of ad-acquired groups (LTV / CAC)
+  const [ltvAssumptions, setLtvAssumptions] = useState<LtvAssumptions>(DEFAULT_INPUTS.ltv);
+
+  // Post-visit actuals (heard on site)
+  const [useActuals, setUseActuals] = useState<boolean>(DEFAULT_INPUTS.useActuals);
+  const [actuals, setActuals] = useState<Actuals>(DEFAULT_INPUTS.actuals);
+
+  // Cost lines beyond FLR (utilities, fees, depreciation, ...)
+  const [costLines, setCostLines] = useState<CostLine[]>(DEFAULT_INPUTS.costLines);
+
+  // Labor (L) from staff roles and wages instead of the preset ratio
+  const [useLaborModel, setUseLaborModel] = useState<boolean>(DEFAULT_INPUTS.useLaborModel);
+  const [laborModel, setLaborModel] = useState<LaborModel>(DEFAULT_INPUTS.laborModel);
+
+  // Menu recipe costing (weighted F / spend per person)
+  const [menuItems, setMenuItems] = useState<MenuItem[]>(DEFAULT_INPUTS.menuItems);
+  const [menuSetsFoodRate, setMenuSetsFoodRate] = useState<boolean>(DEFAULT_INPUTS.menuSetsFoodRate);
+  const [menuSetsUnitPrice, setMenuSetsUnitPrice] = useState<boolean>(DEFAULT_INPUTS.menuSetsUnitPrice);
+
+  // --- Saved cases ---
+  const [activeCase, setActiveCase] = useState<SavedCase | null>(null);
+
+  // Snapshot of every input (what a saved case stores)
+  const currentInputs = useMemo<CaseInputs>(
+    () => ({
+      address,
+      industry,
+      scenario,
+      unitType,
+      unitPrice,
+      peoplePerGroup,
+      priceTaxMode,
+      takeoutShare,
+      addGroupsPerDay,
+      seats,
+      adSpend,
+      daysPerMonth,
+      useBaseline,
+      turnover,
+      occupancy,
+      autoDetectArea,
+      area,
+      autoStationDistance,
+      stationDistance,
+      tradeArea,
+      seatsPerTsubo,
+      autoSetRentRate,
+      manualRates,
+      foodRate,
+      laborRate,
+      rentRate,
+      projectionMonths,
+      rampCurve,
+      rampMonths,
+      adSpendByMonth,
+      useActuals,
+      actuals,
+      costLines,
+      useLaborModel,
+      laborModel,
+      menuItems,
+      menuSetsFoodRate,
+      menuSetsUnitPrice,
+      useDemandModel,
+      demandModel,
+      useChannelMix,
+      channels,
+      useDeliveryModel,
+      deliveryModel,
+      ltv: ltvAssumptions,
+    }),
+    [
+      address,
+      industry,
+      scenario,
+      unitType,
+      unitPrice,
+      peoplePerGroup,
+      priceTaxMode,
+      takeoutShare,
+      addGroupsPerDay,
+      seats,
+      adSpend,
+      daysPerMonth,
+      useBaseline,
+      turnover,
+      occupancy,
+      autoDetectArea,
+      area,
+      autoStationDistance,
+      stationDistance,
+      tradeArea,
+      seatsPerTsubo,
+      autoSetRentRate,
+      manualRates,
+      foodRate,
+      laborRate,
+      rentRate,
+      projectionMonths,
+      rampCurve,
+      rampMonths,
+      adSpendByMonth,
+      useActuals,
+      actuals,
+      costLines,
+      useLaborModel,
+      laborModel,
+      menuItems,
+      menuSetsFoodRate,
+      menuSetsUnitPrice,
+      useDemandModel,
+      demandModel,
+      useChannelMix,
+      channels,
+      useDeliveryModel,
+      deliveryModel,
+      ltvAssumptions,
+    ]
+  );
+
+  function applyInputs(x: CaseInputs) {
+    setAddress(x.address);
+    setIndustry(x.industry);
+    setScenario(x.scenario);
+    setUnitType(x.unitType);
+    setUnitPrice(x.unitPrice);
+    setPeoplePerGroup(x.peoplePerGroup);
+    setPriceTaxMode(x.priceTaxMode);
+    setTakeoutShare(x.takeoutShare);
+    setAddGroupsPerDay(x.addGroupsPerDay);
+    setSeats(x.seats);
+    setAdSpend(x.adSpend);
+    setDaysPerMonth(x.daysPerMonth);
+    setUseBaseline(x.useBaseline);
+    setTurnover(x.turnover);
+    setOccupancy(x.occupancy);
+    setAutoDetectArea(x.autoDetectArea);
+    setArea(x.area);
+    setAutoStationDistance(x.autoStationDistance);
+    setStationDistance(x.stationDistance);
+    setTradeArea(x.tradeArea);
+    setSeatsPerTsubo(x.seatsPerTsubo);
+    setAutoSetRentRate(x.autoSetRentRate);
+    setManualRates(x.manualRates);
+    setFoodRate(x.foodRate);
+    setLaborRate(x.laborRate);
+    setRentRate(x.rentRate);
+    setProjectionMonths(x.projectionMonths);
+    setRampCurve(x.rampCurve);
+    setRampMonths(x.rampMonths);
+    setAdSpendByMonth(x.adSpendByMonth);
+    setUseActuals(x.useActuals);
+    setActuals(x.actuals);
+    setCostLines(x.costLines);
+    setUseLaborModel(x.useLaborModel);
+    setLaborModel(x.laborModel);
+    setMenuItems(x.menuItems);
+    setMenuSetsFoodRate(x.menuSetsFoodRate);
+    setMenuSetsUnitPrice(x.menuSetsUnitPrice);
+    setUseDemandModel(x.useDemandModel);
+    setDemandModel(x.demandModel);
+    setUseChannelMix(x.useChannelMix);
+    setChannels(x.channels);
+    setUseDeliveryModel(x.useDeliveryModel);
+    setDeliveryModel(x.deliveryModel);
+    setLtvAssumptions(x.ltv);
   }
-  return null;
-}
 
-function getArea(key: AreaKey): AreaMaster {
-  return AREA_MASTER.find((x) => x.key === key) || AREA_MASTER[0];
-}
+  // --- Shareable URL (restore on load, then keep the hash in sync) ---
+  const [urlReady, setUrlReady] = useState<boolean>(false);
 
-export default function RestaurantPrevisitCalculator() {
-  // --- Inputs ---
-  const [address, setAddress] = useState<string>("");
-  const [industry, setIndustry] = useState<IndustryKey>("izakaya");
-  const [scenario, setScenario] = useState<ScenarioKey>("standard");
+  React.useEffect(() => {
+    const fromUrl = readInputsFromLocation();
+    if (fromUrl) applyInputs(fromUrl);
+    setUrlReady(true);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
-  const [unitType, setUnitType] = useState<UnitType>("per_person");
-  const [unitPrice, setUnitPrice] = useState<number>(6000);
-  const [peoplePerGroup, setPeoplePerGroup] = useState<number>(2);
+  React.useEffect(() => {
+    if (!urlReady) return;
+    writeInputsToLocation(currentInputs);
+  }, [urlReady, currentInputs]);
 
-  const [addGroupsPerDay, setAddGroupsPerDay] = useState<number>(1);
-  const [seats, setSeats] = useState<number>(30);
-  const [adSpend, setAdSpend] = useState<number>(100000);
-  const [daysPerMonth, setDaysPerMonth] = useState<number>(26);
+  // --- Area master (built-in, or locally edited override) ---
+  const [areaRecords, setAreaRecords] = useState<AreaRecord[] | null>(null);
+  const [showAreaEditor, setShowAreaEditor] = useState<boolean>(false);
+  const [showBatch, setShowBatch] = useState<boolean>(false);
 
-  // Optional baseline estimate (seat-based)
-  const [useBaseline, setUseBaseline] = useState<boolean>(true);
-  const [turnover, setTurnover] = useState<number>(2.0);
-  const [occupancy, setOccupancy] = useState<number>(0.65);
+  React.useEffect(() => {
+    setAreaRecords(loadAreaOverrides());
+  }, []);
 
-  // --- Address -> Area / Rent suggestion ---
-  const [autoDetectArea, setAutoDetectArea] = useState<boolean>(true);
-  const [area, setArea] = useState<AreaKey>("regional_city");
-  const [stationDistance, setStationDistance] = useState<StationDistanceKey>("walk_4_7");
-  const [tradeArea, setTradeArea] = useState<TradeAreaKey>("station_front");
-  const [seatsPerTsubo, setSeatsPerTsubo] = useState<number>(2.0);
-  const [autoSetRentRate, setAutoSetRentRate] = useState<boolean>(true);
+  const areas = useMemo(() => {
+    if (!areaRecords) return AREA_MASTER;
+    const compiled = compileAreaRecords(areaRecords).areas;
+    return compiled.length > 0 ? compiled : AREA_MASTER;
+  }, [areaRecords]);
 
-  // Manual override for rates
-  const [manualRates, setManualRates] = useState<boolean>(false);
-  const presetRates = INDUSTRY_PRESETS[industry].scenarios[scenario];
-  const [foodRate, setFoodRate] = useState<number>(presetRates.food);
-  const [laborRate, setLaborRate] = useState<number>(presetRates.labor);
-  const [rentRate, setRentRate] = useState<number>(presetRates.rent);
+  // Scored address -> area candidates (shown with reasons in the UI)
+  const areaMatch = useMemo(() => matchAreas(address, areas), [address, areas]);
 
-  // Auto-detect area from address
+  // Auto-detect area from address; a low-confidence match is left for the rep to pick in the hint
   React.useEffect(() => {
     if (!autoDetectArea) return;
-    const detected = detectAreaFromAddress(address);
-    if (detected) setArea(detected);
-  }, [address, autoDetectArea]);
+    const top = areaMatch.candidates[0];
+    if (top && top.confidence >= AUTO_APPLY_CONFIDENCE) setArea(top.key);
+  }, [autoDetectArea, areaMatch]);
 
-  // Seat-based baseline revenue (independent from rates)
-  const baseline = useMemo(() => {
-    const ppg = clamp(peoplePerGroup, 1, 20);
-    const seatsN = clamp(seats, 0, 500);
-    const days = clamp(daysPerMonth, 1, 31);
+  // Address -> nearest station estimate (adapter may be async, e.g. an in-house DB)
+  const [stationEstimate, setStationEstimate] = useState<StationEstimate | null>(null);
 
-    // Convert to per-person price for baseline estimation
-    const pricePerPerson = unitType === "per_person" ? unitPrice : safeDiv(unitPrice, ppg);
+  React.useEffect(() => {
+    let cancelled = false;
+    estimateStationDistance(address, geoAdapter)
+      .then((est) => {
+        if (!cancelled) setStationEstimate(est);
+      })
+      .catch(() => {
+        if (!cancelled) setStationEstimate(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [address, geoAdapter]);
 
-    const coversPerDay = seatsN * occupancy * turnover;
-    const baselineRevenueDaily = coversPerDay * pricePerPerson;
-    const baselineRevenueMonthly = baselineRevenueDaily * days;
+  // Pre-select the walking bucket unless the rep picked one by hand
+  React.useEffect(() => {
+    if (!autoStationDistance) return;
+    if (!stationEstimate?.applicable) return;
+    setStationDistance(stationEstimate.bucket);
+  }, [autoStationDistance, stationEstimate]);
 
-    return {
-      ppg,
-      seatsN,
-      days,
-      pricePerPerson,
-      coversPerDay,
-      baselineRevenueDaily,
-      baselineRevenueMonthly,
-    };
-  }, [peoplePerGroup, seats, daysPerMonth, unitType, unitPrice, occupancy, turnover]);
+  const deliveryMix = useMemo(() => computeDeliveryMix(deliveryModel), [deliveryModel]);
 
-  // Suggest rent from area master
-  const rentSuggestion = useMemo(() => {
-    const a = getArea(area);
-    const seatsN = clamp(seats, 0, 500);
-    const spt = clamp(seatsPerTsubo, 0.8, 4.0);
-    const tsubo = safeDiv(seatsN, spt);
+  // With the channel split on, the reduced-rate share is its off-premise share
+  const taxSetting = useMemo<TaxSetting>(
+    () => ({ mode: priceTaxMode, takeoutShare: useDeliveryModel ? deliveryMix.offPremiseShare : takeoutShare }),
+    [priceTaxMode, takeoutShare, useDeliveryModel, deliveryMix]
+  );
+  const netFactor = netPriceFactor(taxSetting);
 
-    const stationFactor = STATION_DISTANCE[stationDistance].factor;
-    const tradeFactor = TRADE_AREA[tradeArea].factor;
+  const menu = useMemo(() => computeMenu(menuItems, netFactor), [menuItems, netFactor]);
 
-    const rentPerTsubo = a.baseRentPerTsubo * stationFactor * tradeFactor;
-    const estimatedRentMonthly = tsubo * rentPerTsubo;
+  // Menu -> spend per person (per group: times people per group)
+  React.useEffect(() => {
+    if (!menuSetsUnitPrice) return;
+    if (menu.spendPerPerson <= 0) return;
+    setUnitPrice(Math.round(unitType === "per_person" ? menu.spendPerPerson : menu.spendPerPerson * peoplePerGroup));
+  }, [menuSetsUnitPrice, menu.spendPerPerson, unitType, peoplePerGroup]);
+
+  // Everything the engine needs, in one object
+  const calcInput = useMemo<CalcInput>(
+    () => ({
+      unitType,
+      unitPrice,
+      peoplePerGroup,
+      addGroupsPerDay,
+      seats,
+      adSpend,
+      daysPerMonth,
+      tax: taxSetting,
+      turnover,
+      occupancy,
+      demand: useDemandModel ? demandModel : null,
+      delivery: useDeliveryModel ? deliveryModel : null,
+      area,
+      stationDistance,
+      tradeArea,
+      seatsPerTsubo,
+      foodRate,
+      laborRate,
+      rentRate,
+    }),
+    [
+      unitType,
+      unitPrice,
+      peoplePerGroup,
+      addGroupsPerDay,
+      seats,
+      adSpend,
+      daysPerMonth,
+      taxSetting,
+      turnover,
+      occupancy,
+      useDemandModel,
+      demandModel,
+      useDeliveryModel,
+      deliveryModel,
+      area,
+      stationDistance,
+      tradeArea,
+      seatsPerTsubo,
+      foodRate,
+      laborRate,
+      rentRate,
+    ]
+  );
 
-    const baselineSales = baseline.baselineRevenueMonthly;
-    const rentRateSuggested = baselineSales > 0 ? clamp(estimatedRentMonthly / baselineSales, 0, 0.35) : 0;
+  // Seat-based baseline revenue (independent from rates)
+  const baseline = useMemo(() => computeBaseline(calcInput), [calcInput]);
 
-    return {
-      areaLabel: a.label,
-      rentPerTsubo,
-      tsubo,
-      estimatedRentMonthly,
-      rentRateSuggested,
-      baselineSales,
-    };
-  }, [area, stationDistance, tradeArea, seats, seatsPerTsubo, baseline.baselineRevenueMonthly]);
+  // Per-slot breakdown for the editor / talk track (the baseline already includes it)
+  const demand = useMemo(() => computeDemand(demandModel, baseline.seatsN, baseline.days, netFactor), [
+    demandModel,
+    baseline,
+    netFactor,
+  ]);
+
+  // Suggest rent from area master
+  const rentSuggestion = useMemo(() => computeRentSuggestion(calcInput, baseline, areas), [
+    calcInput,
+    baseline,
+    areas,
+  ]);
 
   // Sync preset -> local rates when industry/scenario changes (if not manual)
   React.useEffect(() => {
@@ -333,7 +514,7 @@ export default function RestaurantPrevisitCalculator() {
       }
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [industry, scenario]);
+  }, [industry, scenario, presetRates]);
 
   // Whenever the rent suggestion changes, optionally auto-apply it
   React.useEffect(() => {
@@ -343,135 +524,325 @@ export default function RestaurantPrevisitCalculator() {
     setRentRate(rentSuggestion.rentRateSuggested);
   }, [autoSetRentRate, manualRates, rentSuggestion.rentRateSuggested]);
 
-  const normalized = useMemo(() => {
-    const ppg = baseline.ppg;
-    const seatsN = baseline.seatsN;
-    const addG = clamp(addGroupsPerDay, 0, 200);
-    const days = baseline.days;
-
-    const food = clamp(foodRate, 0, 0.95);
-    const labor = clamp(laborRate, 0, 0.95);
-    const rent = clamp(rentRate, 0, 0.95);
-
-    // Incremental revenue
-    const addRevenueDaily = unitType === "per_person" ? unitPrice * addG * ppg : unitPrice * addG;
-    const addRevenueMonthly = addRevenueDaily * days;
-
-    // Contribution estimations
-    const addGrossProfit = addRevenueMonthly * (1 - food);
-    const addAfterFL = addRevenueMonthly * (1 - food - labor);
-    const addAfterFLR = addRevenueMonthly * (1 - food - labor - rent);
-
-    // Ads
-    const roas = safeDiv(addRevenueMonthly, adSpend);
-    const gpRoas = safeDiv(addGrossProfit, adSpend);
+  const normalized = useMemo(() => computeNormalized(calcInput, baseline), [calcInput, baseline]);
+
+  const channelMix = useMemo(() => {
+    const revenuePerGroup = (unitType === "per_person" ? unitPrice * baseline.ppg : unitPrice) * netFactor;
+    return computeChannelMix(channels, {
+      revenuePerGroup,
+      foodRate: normalized.food,
+      days: baseline.days,
+      costPerGroup: useDeliveryModel ? revenuePerGroup * deliveryMix.commissionRate + deliveryMix.packagingPerOrder : 0,
+    });
+  }, [channels, unitType, unitPrice, netFactor, baseline, normalized.food, useDeliveryModel, deliveryMix]);
+
+  // Per-channel orders and costs for the delivery panel
+  const delivery = useMemo(() => {
+    const baselineOrders = safeDiv(normalized.coversPerDay, normalized.ppg);
+    return {
+      baseline: useBaseline
+        ? computeDeliveryBreakdown(deliveryMix, {
+            ordersPerDay: baselineOrders,
+            revenuePerOrder: safeDiv(normalized.baselineRevenueDaily, baselineOrders),
+            days: normalized.days,
+          })
+        : null,
+      increment: computeDeliveryBreakdown(deliveryMix, {
+        ordersPerDay: normalized.addG,
+        revenuePerOrder: safeDiv(normalized.addRevenueDaily, normalized.addG),
+        days: normalized.days,
+      }),
+    };
+  }, [deliveryMix, normalized, useBaseline]);
 
-    // Breakeven groups/day to cover ad spend using gross profit
-    const gpPerGroup = unitType === "per_person" ? unitPrice * ppg * (1 - food) : unitPrice * (1 - food);
-    const breakevenGroupsPerDay_Gross = safeDiv(adSpend, gpPerGroup * days);
+  // Channel mix -> ad spend and target groups/day
+  React.useEffect(() => {
+    if (!useChannelMix) return;
+    setAdSpend(Math.round(channelMix.total.spend));
+    setAddGroupsPerDay(Math.round(channelMix.total.groupsPerDay * 100) / 100);
+  }, [useChannelMix, channelMix.total.spend, channelMix.total.groupsPerDay]);
 
-    // Baseline
-    const baselineRevenueDaily = baseline.baselineRevenueDaily;
-    const baselineRevenueMonthly = baseline.baselineRevenueMonthly;
+  const labor = useMemo(() => computeLabor(laborModel, baseline, normalized), [laborModel, baseline, normalized]);
 
-    const baselineFood = baselineRevenueMonthly * food;
-    const baselineLabor = baselineRevenueMonthly * labor;
-    const baselineRent = baselineRevenueMonthly * rent;
+  // Shift model -> L (runs after the preset sync above, so it wins on industry changes too)
+  React.useEffect(() => {
+    if (!useLaborModel) return;
+    if (manualRates) return;
+    if (labor.laborRate <= 0) return;
+    setLaborRate(labor.laborRate);
+  }, [useLaborModel, manualRates, labor.laborRate, industry, scenario, presetRates]);
 
-    const baselineOperatingProfitApprox = baselineRevenueMonthly - baselineFood - baselineLabor - baselineRent - adSpend;
+  // Menu -> F (same precedence as the shift model: manual rates win)
+  React.useEffect(() => {
+    if (!menuSetsFoodRate) return;
+    if (manualRates) return;
+    if (menu.foodRate <= 0) return;
+    setFoodRate(menu.foodRate);
+  }, [menuSetsFoodRate, manualRates, menu.foodRate, industry, scenario, presetRates]);
 
-    const fl = food + labor;
-    const flr = food + labor + rent;
+  React.useEffect(() => {
+    if (!menuSetsFoodRate && !manualRates) setFoodRate(presetRates.food);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [menuSetsFoodRate]);
 
-    return {
-      ppg,
-      seatsN,
-      addG,
-      days,
-      food,
-      labor,
-      rent,
-      addRevenueDaily,
-      addRevenueMonthly,
-      addGrossProfit,
-      addAfterFL,
-      addAfterFLR,
-      roas,
-      gpRoas,
-      breakevenGroupsPerDay_Gross,
-      coversPerDay: baseline.coversPerDay,
-      baselineRevenueDaily,
-      baselineRevenueMonthly,
-      baselineFood,
-      baselineLabor,
-      baselineRent,
-      baselineOperatingProfitApprox,
-      fl,
-      flr,
-    };
-  }, [
-    baseline,
-    addGroupsPerDay,
-    unitType,
-    unitPrice,
-    foodRate,
-    laborRate,
-    rentRate,
+  // Back to the template L when the shift model is switched off
+  React.useEffect(() => {
+    if (!useLaborModel && !manualRates) setLaborRate(presetRates.labor);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [useLaborModel]);
+
+  const pnl = useMemo(() => computePnl(normalized, adSpend, costLines), [normalized, adSpend, costLines]);
+
+  const projection = useMemo(
+    () =>
+      projectMonths(normalized, adSpend, {
+        months: projectionMonths,
+        curve: rampCurve,
+        rampMonths,
+        adSpendByMonth,
+      }),
+    [normalized, adSpend, projectionMonths, rampCurve, rampMonths, adSpendByMonth]
+  );
+
+  const ltv = useMemo(() => computeLtv(normalized, adSpend, projection, ltvAssumptions), [
+    normalized,
     adSpend,
+    projection,
+    ltvAssumptions,
   ]);
 
-  const talkTrack = useMemo(() => {
-    const lines: string[] = [];
-    lines.push(`【事前試算（仮説）】`);
-    if (address.trim()) lines.push(`・住所：${address.trim()}`);
-    lines.push(`・業態：${INDUSTRY_PRESETS[industry].label}（${scenario === "low" ? "保守" : scenario === "high" ? "攻め" : "標準"}）`);
-
-    lines.push(`・エリア：${rentSuggestion.areaLabel}`);
-    lines.push(
-      `・家賃推定：${formatJPY(rentSuggestion.estimatedRentMonthly)}/月（${formatJPY(
-        rentSuggestion.rentPerTsubo
-      )}/坪・推定${rentSuggestion.tsubo.toFixed(1)}坪）`
-    );
+  // Combined-input sanity checks (shown next to the fields and in the talk track)
+  const checks = useMemo(
+    () =>
+      checkPlausibility(
+        calcInput,
+        { baseline, rentSuggestion, normalized },
+        { industry: industryPreset, useBaseline, autoRentRate: autoSetRentRate && !manualRates }
+      ),
+    [calcInput, baseline, rentSuggestion, normalized, industryPreset, useBaseline, autoSetRentRate, manualRates]
+  );
+
+  // --- Talk track (selected template rendered against the current numbers) ---
+  const [userTemplates, setUserTemplates] = useState<TalkTemplate[]>([]);
+  const [talkTemplateId, setTalkTemplateId] = useState<string>(DEFAULT_TEMPLATE_ID);
+  const [showTemplateEditor, setShowTemplateEditor] = useState<boolean>(false);
+
+  React.useEffect(() => {
+    const store = loadTemplateStore();
+    setUserTemplates(store.templates);
+    setTalkTemplateId(store.selectedId);
+  }, []);
 
-    lines.push(`・目標：+${normalized.addG}組/日（営業日数 ${normalized.days}日）`);
+  const talkTemplates = useMemo(() => [...BUILTIN_TEMPLATES, ...userTemplates], [userTemplates]);
 
-    if (unitType === "per_person") {
-      lines.push(`・客単価：${formatJPY(unitPrice)}/人、平均${normalized.ppg}人/組 想定`);
-    } else {
-      lines.push(`・客単価：${formatJPY(unitPrice)}/組、平均${normalized.ppg}人/組 想定`);
+  function saveTalkTemplates(templates: TalkTemplate[], selectedId: string) {
+    setUserTemplates(templates);
+    setTalkTemplateId(selectedId);
+    persistTemplateStore({ templates, selectedId });
+  }
+
+  const talkContext = useMemo(
+    () =>
+      buildTalkContext({
+        caseName: activeCase?.name ?? "",
+        date: new Date(),
+        address,
+        industryLabel: industryPreset.label,
+        scenarioLabel: SCENARIO_LABELS[scenario],
+        unitType,
+        unitPrice,
+        tax: taxSetting,
+        adSpend,
+        occupancy,
+        turnover,
+        useBaseline,
+        rentSuggestion,
+        normalized,
+        pnl,
+        projection,
+        projectionMonths,
+        rampCurveLabel: RAMP_CURVES[rampCurve],
+        labor: useLaborModel ? labor : null,
+        channelMix: useChannelMix ? channelMix : null,
+        demand: useBaseline && useDemandModel ? demand : null,
+        deliveryMix: useDeliveryModel ? deliveryMix : null,
+        ltv,
+        checks,
+      }),
+    [
+      activeCase,
+      address,
+      industryPreset,
+      scenario,
+      rentSuggestion,
+      normalized,
+      pnl,
+      labor,
+      useLaborModel,
+      projection,
+      projectionMonths,
+      rampCurve,
+      unitType,
+      unitPrice,
+      taxSetting,
+      adSpend,
+      occupancy,
+      turnover,
+      useBaseline,
+      useDemandModel,
+      demand,
+      useChannelMix,
+      channelMix,
+      useDeliveryModel,
+      deliveryMix,
+      ltv,
+      checks,
+    ]
+  );
+
+  const renderTalk = (body: string) => renderTemplate(body, talkContext.vars, talkContext.flags);
+
+  const talkTrack = useMemo(
+    () => renderTemplate(findTemplate(talkTemplates, talkTemplateId).body, talkContext.vars, talkContext.flags).text,
+    [talkTemplates, talkTemplateId, talkContext]
+  );
+
+  // 保守 / 標準 / 攻め side by side (same engine, preset F/L per scenario)
+  const scenarioColumns = useMemo(
+    () => compareScenarios(calcInput, industryPreset, scenario, { manualRates, manualRentRate: rentRate, autoSetRentRate }, { areas }),
+    [calcInput, industryPreset, scenario, manualRates, rentRate, autoSetRentRate, areas]
+  );
+
+  const rangeTalkTrack = useMemo(
+    () => buildRangeTalkTrack(scenarioColumns, { address, industryLabel: industryPreset.label, adSpend, useBaseline }),
+    [scenarioColumns, address, industryPreset, adSpend, useBaseline]
+  );
+
+  // Which assumption moves the result most (±N% one at a time)
+  const [sensitivityMetric, setSensitivityMetric] = useState<SensitivityMetric>("baselineOperatingProfitApprox");
+  const [sensitivityPct, setSensitivityPct] = useState<number>(0.1);
+
+  const sensitivity = useMemo(
+    () => runSensitivity(calcInput, sensitivityPct, sensitivityMetric, { areas }),
+    [calcInput, sensitivityPct, sensitivityMetric, areas]
+  );
+
+  // Goal seek: solve one input for a target (rent held at today's yen amount)
+  const [goalTarget, setGoalTarget] = useState<GoalTarget>("operatingProfit");
+  const [goalValue, setGoalValue] = useState<number>(GOAL_TARGETS.operatingProfit.defaultValue);
+  const [goalSolveFor, setGoalSolveFor] = useState<SolveVar>("addGroupsPerDay");
+
+  const goalResult = useMemo(
+    () =>
+      goalSeek(
+        calcInput,
+        goalTarget,
+        goalValue,
+        goalSolveFor,
+        {
+          rentMonthly: normalized.baselineRent,
+          projection: { curve: rampCurve, rampMonths, adSpendByMonth },
+          costLines,
+        },
+        { areas }
+      ),
+    [calcInput, goalTarget, goalValue, goalSolveFor, normalized.baselineRent, rampCurve, rampMonths, adSpendByMonth, costLines, areas]
+  );
+
+  function applyGoalValue(value: number) {
+    if (goalSolveFor === "addGroupsPerDay") setAddGroupsPerDay(value);
+    else if (goalSolveFor === "unitPrice") setUnitPrice(value);
+    else if (goalSolveFor === "adSpend") setAdSpend(value);
+    else {
+      // Occupancy is picked from a list: snap to the nearest option that still meets the goal
+      const pick =
+        goalResult.direction === "atLeast"
+          ? OCCUPANCY_OPTIONS.find((o) => o >= value)
+          : [...OCCUPANCY_OPTIONS].reverse().find((o) => o <= value);
+      setOccupancy(pick ?? value);
     }
+  }
 
-    lines.push(`・増分売上：${formatJPY(normalized.addRevenueMonthly)}/月（${formatJPY(normalized.addRevenueDaily)}/日）`);
-    lines.push(`・増分粗利（原価差引後）：${formatJPY(normalized.addGrossProfit)}/月（原価率 ${formatPct(normalized.food)}）`);
-    lines.push(`・広告費：${formatJPY(adSpend)}/月 → ROAS ${normalized.roas.toFixed(2)}、粗利ROAS ${normalized.gpRoas.toFixed(2)}`);
-    lines.push(`・広告回収の損益分岐（粗利ベース）：${normalized.breakevenGroupsPerDay_Gross.toFixed(2)}組/日`);
-    lines.push(`・FL：${formatPct(normalized.fl)} / FLR：${formatPct(normalized.flr)}（"70%"目安はFLRで語られることが多い）`);
-
-    if (useBaseline) {
-      lines.push(
-        `・席数：${normalized.seatsN}席、想定：稼働${Math.round(
-          occupancy * 100
-        )}%×回転${turnover} → ${normalized.coversPerDay.toFixed(1)}人/日`
-      );
-      lines.push(`・仮の月商：${formatJPY(normalized.baselineRevenueMonthly)}（席推定ベース）`);
-      lines.push(`・ざっくり営業利益（FLR+広告のみ控除）：${formatJPY(normalized.baselineOperatingProfitApprox)}`);
+  // Inputs currently driven by the menu / channel mix would be overwritten right away
+  const goalApplyLocked =
+    (goalSolveFor === "unitPrice" && menuSetsUnitPrice) ||
+    ((goalSolveFor === "adSpend" || goalSolveFor === "addGroupsPerDay") && useChannelMix);
+
+  // Probabilistic mode: triangular ranges around the current inputs
+  const [mcEnabled, setMcEnabled] = useState<boolean>(false);
+  const [mcOverrides, setMcOverrides] = useState<Partial<Record<McVar, { min?: number; max?: number }>>>({});
+  const [mcIterations, setMcIterations] = useState<number>(3000);
+  const [mcSeed, setMcSeed] = useState<number>(1);
+
+  const mcRanges = useMemo<McRanges>(() => {
+    const defaults = defaultMcRanges(calcInput, industryPreset);
+    const out = { ...defaults };
+    for (const { key } of MC_VARS) {
+      const o = mcOverrides[key];
+      if (o) out[key] = { ...defaults[key], ...o };
     }
+    return out;
+  }, [calcInput, industryPreset, mcOverrides]);
+
+  // Thousands of engine runs: only on request, not on every keystroke
+  const mcArgs = useMemo(
+    () => ({ calcInput, mcRanges, mcIterations, mcSeed, areas }),
+    [calcInput, mcRanges, mcIterations, mcSeed, areas]
+  );
+  const [mcRun, setMcRun] = useState<{ args: typeof mcArgs; result: McResult } | null>(null);
+  const mcStale = mcRun !== null && mcRun.args !== mcArgs;
+
+  function runMc() {
+    const result = runMonteCarlo(calcInput, mcRanges, { iterations: mcIterations, seed: mcSeed }, { areas });
+    setMcRun({ args: mcArgs, result });
+  }
 
-    lines.push(`\n※あくまで事前仮説。現場で「月商・原価率（棚卸）・人件費・家賃」を聞いて確定させます。`);
-    return lines.join("\n");
-  }, [
-    address,
-    industry,
-    scenario,
-    rentSuggestion,
-    normalized,
-    unitType,
-    unitPrice,
-    adSpend,
-    occupancy,
-    turnover,
-    useBaseline,
-  ]);
+  // Hypothesis vs actual figures (same engine, re-run on the actual rates)
+  const actualsResult = useMemo(
+    () =>
+      useActuals
+        ? computeActuals(calcInput, { baseline, rentSuggestion, normalized }, actuals, { areas })
+        : null,
+    [useActuals, calcInput, baseline, rentSuggestion, normalized, actuals, areas]
+  );
+
+  const [printError, setPrintError] = useState<string | null>(null);
+
+  function printProposal() {
+    const opened = printHtml(
+      buildProposalHtml({
+        caseName: activeCase?.name ?? "",
+        date: new Date(),
+        address,
+        industryLabel: industryPreset.label,
+        scenarioLabel: SCENARIO_LABELS[scenario],
+        input: calcInput,
+        result: { baseline, rentSuggestion, normalized },
+        stationLabel: STATION_DISTANCE[stationDistance].label,
+        tradeAreaLabel: TRADE_AREA[tradeArea].label,
+        useBaseline,
+        pnl,
+        projection,
+        ltv,
+        scenarios: scenarioColumns,
+        talkTrack,
+      })
+    );
+    setPrintError(opened ? null : "印刷用のウィンドウを開けませんでした。ポップアップのブロックを解除してから、もう一度お試しください。");
+  }
+
+  // Picking a preset from the dropdown also fills in its typical store figures (if it has them)
+  function selectIndustry(key: IndustryKey) {
+    setIndustry(key);
+    const p = getIndustry(key, industries);
+    if (p.takeoutShare !== undefined) setTakeoutShare(p.takeoutShare);
+    const d = p.defaults;
+    if (!d) return;
+    if (!menuSetsUnitPrice) setUnitPrice(unitType === "per_person" ? d.unitPrice : d.unitPrice * peoplePerGroup);
+    setSeatsPerTsubo(d.seatsPerTsubo);
+    setTurnover(d.turnover);
+    setOccupancy(d.occupancy);
+  }
 
   async function copyToClipboard(text: string) {
     try {
@@ -497,33 +868,31 @@ export default function RestaurantPrevisitCalculator() {
             </p>
           </div>
 
-          <div className="flex gap-2">
+          <div className="flex flex-wrap gap-2">
             <Button variant="outline" onClick={() => copyToClipboard(talkTrack)}>
               <Copy className="mr-2 h-4 w-4" />
               提案トークをコピー
             </Button>
+            <Button variant="outline" onClick={() => setShowTemplateEditor((v) => !v)}>
+              <MessageSquareText className="mr-2 h-4 w-4" />
+              トークのテンプレート
+            </Button>
+            <Button variant="outline" onClick={printProposal}>
+              <Printer className="mr-2 h-4 w-4" />
+              提案書を印刷
+            </Button>
+            <Button variant="outline" onClick={() => copyToClipboard(buildShareUrl(currentInputs))}>
+              <Link className="mr-2 h-4 w-4" />
+              共有リンクをコピー
+            </Button>
+            <Button variant="outline" onClick={() => setShowBatch((v) => !v)}>
+              <FileSpreadsheet className="mr-2 h-4 w-4" />
+              一括試算（CSV）
+            </Button>
             <Button
               onClick={() => {
-                setAddress("");
-                setIndustry("izakaya");
-                setScenario("standard");
-                setUnitType("per_person");
-                setUnitPrice(6000);
-                setPeoplePerGroup(2);
-                setAddGroupsPerDay(1);
-                setSeats(30);
-                setAdSpend(100000);
-                setDaysPerMonth(26);
-                setUseBaseline(true);
-                setTurnover(2.0);
-                setOccupancy(0.65);
-                setAutoDetectArea(true);
-                setArea("regional_city");
-                setStationDistance("walk_4_7");
-                setTradeArea("station_front");
-                setSeatsPerTsubo(2.0);
-                setAutoSetRentRate(true);
-                setManualRates(false);
+                applyInputs(DEFAULT_INPUTS);
+                setActiveCase(null);
               }}
             >
               リセット
@@ -531,6 +900,70 @@ export default function RestaurantPrevisitCalculator() {
           </div>
         </div>
 
+        {printError && (
+          <div className="rounded-xl border border-destructive/50 p-3 text-sm text-destructive">{printError}</div>
+        )}
+
+        <CasesPanel
+          currentInputs={currentInputs}
+          activeCaseId={activeCase?.id ?? null}
+          onActiveCaseChange={setActiveCase}
+          onOpen={(c) => {
+            applyInputs(c.inputs);
+            setActiveCase(c);
+          }}
+        />
+
+        {showAreaEditor && (
+          <AreaMasterEditor
+            records={areaRecords ?? BUILTIN_AREA_RECORDS}
+            isCustom={areaRecords !== null}
+            onSave={(records) => {
+              // An empty table means the built-in master, not a custom one
+              const next = records.length > 0 ? records : null;
+              setAreaRecords(next);
+              persistAreaOverrides(next);
+            }}
+            onResetToBuiltin={() => {
+              setAreaRecords(null);
+              persistAreaOverrides(null);
+            }}
+            onClose={() => setShowAreaEditor(false)}
+          />
+        )}
+
+        {showBatch && (
+          <BatchPanel
+            base={currentInputs}
+            areas={areas}
+            industries={industries}
+            geoAdapter={geoAdapter}
+            onClose={() => setShowBatch(false)}
+          />
+        )}
+
+        {showIndustryEditor && (
+          <IndustryPresetEditor
+            records={industryRecords}
+            onSave={(records) => {
+              setIndustryRecords(records);
+              persistIndustryRecords(records);
+            }}
+            onClose={() => setShowIndustryEditor(false)}
+          />
+        )}
+
+        {showTemplateEditor && (
+          <TalkTemplateEditor
+            templates={talkTemplates}
+            selectedId={talkTemplateId}
+            onChange={saveTalkTemplates}
+            render={renderTalk}
+            onCopy={copyToClipboard}
+            onClose={() => setShowTemplateEditor(false)}
+          />
+        )}
+
         <div className="grid gap-6 md:grid-cols-2">
           <Card className="rounded-2xl">
             <CardHeader>
@@ -555,6 +988,10 @@ export default function RestaurantPrevisitCalculator() {
                     <MapPin className="h-4 w-4" />
                     <div className="text-sm font-medium">住所 → エリア係数</div>
                     <Badge variant="secondary">マスタ</Badge>
+                    <Button variant="ghost" size="sm" className="ml-auto" onClick={() => setShowAreaEditor((v) => !v)}>
+                      <Settings2 className="mr-1 h-4 w-4" />
+                      マスタを編集
+                    </Button>
                   </div>
 
                   <div className="mt-3 grid gap-4 md:grid-cols-2">
@@ -571,13 +1008,22 @@ export default function RestaurantPrevisitCalculator() {
                           <SelectValue placeholder="エリア" />
                         </SelectTrigger>
                         <SelectContent>
-                          {AREA_MASTER.map((a) => (
+                          {areas.map((a) => (
                             <SelectItem key={a.key} value={a.key}>
                               {a.label}
                             </SelectItem>
                           ))}
                         </SelectContent>
                       </Select>
+                      <AreaMatchHint
+                        result={areaMatch}
+                        selectedKey={area}
+                        onPick={(key) => {
+                          // Picking a candidate by hand stops auto-detection from overriding it
+                          setAutoDetectArea(false);
+                          setArea(key);
+                        }}
+                      />
                       <p className="text-xs text-muted-foreground">
                         ※ 数値はプレースホルダー。あなたの実データ（過去案件/不動産相場）に合わせてマスタを調整。
                       </p>
@@ -600,6 +1046,7 @@ export default function RestaurantPrevisitCalculator() {
                           ※ 席推定の月商（仮説）に対して算出
                         </div>
                       </div>
+                      <FieldChecks issues={checks} field="rentRate" />
                     </div>
                   </div>
 
@@ -607,11 +1054,24 @@ export default function RestaurantPrevisitCalculator() {
 
                   <div className="grid gap-4 md:grid-cols-3">
                     <div className="space-y-2">
-                      <div className="flex items-center gap-2">
-                        <Train className="h-4 w-4" />
-                        <Label>駅距離</Label>
+                      <div className="flex items-center justify-between">
+                        <div className="flex items-center gap-2">
+                          <Train className="h-4 w-4" />
+                          <Label>駅距離</Label>
+                        </div>
+                        <div className="flex items-center gap-2">
+                          <span className="text-xs text-muted-foreground">住所から推定</span>
+                          <Switch checked={autoStationDistance} onCheckedChange={setAutoStationDistance} />
+                        </div>
                       </div>
-                      <Select value={stationDistance} onValueChange={(v) => setStationDistance(v as StationDistanceKey)}>
+                      <Select
+                        value={stationDistance}
+                        onValueChange={(v) => {
+                          // A hand-picked bucket is kept until auto is switched back on
+                          setAutoStationDistance(false);
+                          setStationDistance(v as StationDistanceKey);
+                        }}
+                      >
                         <SelectTrigger>
                           <SelectValue placeholder="徒歩4〜7分" />
                         </SelectTrigger>
@@ -623,6 +1083,17 @@ export default function RestaurantPrevisitCalculator() {
                           ))}
                         </SelectContent>
                       </Select>
+                      {stationEstimate ? (
+                        <p className="text-xs text-muted-foreground">
+                          最寄り：{stationEstimate.station.name}駅 約{Math.round(stationEstimate.station.distanceM)}m・徒歩
+                          {stationEstimate.walkMinutes}分（{stationEstimate.location.label}・
+                          {stationEstimate.location.precision === "town" ? "町名" : stationEstimate.location.precision === "ward" ? "区" : "市区町村"}
+                          レベル／{stationEstimate.source}）
+                          {!stationEstimate.applicable && " ※位置の精度が低いため自動選択しません"}
+                        </p>
+                      ) : (
+                        address.trim() && <p className="text-xs text-muted-foreground">※ 同梱データに該当なし。手動で選択してください。</p>
+                      )}
                     </div>
 
                     <div className="space-y-2">
@@ -678,19 +1149,25 @@ export default function RestaurantPrevisitCalculator() {
                   </div>
 
                   <p className="mt-3 text-xs text-muted-foreground">
-                    ※ 将来は「住所→駅距離（徒歩分）→家賃相場（坪単価）」を外部API/自社DBで自動化して精度を上げられます。
+                    ※ 駅距離は同梱データ（市区町村・町名の代表点＋主要駅）からの概算です。GeoAdapterを自社DBに差し替えれば精度を上げられます。
                   </p>
                 </div>
 
                 <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
                   <div className="space-y-2">
-                    <Label>業態（テンプレ）</Label>
-                    <Select value={industry} onValueChange={(v) => setIndustry(v as IndustryKey)}>
+                    <div className="flex items-center justify-between">
+                      <Label>業態（テンプレ）</Label>
+                      <Button variant="ghost" size="sm" className="h-6 px-2" onClick={() => setShowIndustryEditor((v) => !v)}>
+                        <Settings2 className="mr-1 h-4 w-4" />
+                        業態を追加・編集
+                      </Button>
+                    </div>
+                    <Select value={industry} onValueChange={selectIndustry}>
                       <SelectTrigger>
                         <SelectValue placeholder="業態を選択" />
                       </SelectTrigger>
                       <SelectContent>
-                        {Object.entries(INDUSTRY_PRESETS).map(([k, v]) => (
+                        {Object.entries(industries).map(([k, v]) => (
                           <SelectItem key={k} value={k}>
                             {v.label}
                           </SelectItem>
@@ -736,9 +1213,54 @@ export default function RestaurantPrevisitCalculator() {
                       inputMode="numeric"
                       value={String(unitPrice)}
                       onChange={(e) => setUnitPrice(numOr0(e.target.value))}
+                      disabled={menuSetsUnitPrice}
                       placeholder="例：6000"
                     />
-                    <p className="text-xs text-muted-foreground">{unitType === "per_person" ? "円/人" : "円/組"}</p>
+                    <p className="text-xs text-muted-foreground">
+                      {unitType === "per_person" ? "円/人" : "円/組"}
+                      {menuSetsUnitPrice && "（メニューから自動）"}
+                    </p>
+                    <FieldChecks issues={checks} field="unitPrice" />
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+                  <div className="space-y-2">
+                    <Label>価格の税区分</Label>
+                    <Select value={priceTaxMode} onValueChange={(v) => setPriceTaxMode(v as PriceTaxMode)}>
+                      <SelectTrigger>
+                        <SelectValue placeholder="税抜" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {(Object.keys(PRICE_TAX_MODES) as PriceTaxMode[]).map((k) => (
+                          <SelectItem key={k} value={k}>
+                            {PRICE_TAX_MODES[k].label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <p className="text-xs text-muted-foreground">
+                      客単価・メニュー・時間帯別の価格に適用。売上・F/L/R・ROASはすべて税抜で計算します
+                    </p>
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label>持ち帰り比率（軽減税率{TAX_RATES.takeout * 100}%）</Label>
+                    <Input
+                      inputMode="decimal"
+                      value={String(useDeliveryModel ? deliveryMix.offPremiseShare : takeoutShare)}
+                      onChange={(e) => setTakeoutShare(numOr0(e.target.value))}
+                      disabled={priceTaxMode !== "inclusive" || useDeliveryModel}
+                      placeholder="0.30"
+                    />
+                    <p className="text-xs text-muted-foreground">
+                      0.30 = 30%（店内は{TAX_RATES.dineIn * 100}%）
+                      {useDeliveryModel && "・テイクアウト・デリバリーの構成から自動"}
+                      {priceTaxMode === "inclusive" &&
+                        `。平均税率 ${formatPct(blendedTaxRate(taxSetting.takeoutShare))} → 税抜 ${formatJPY(unitPrice * netFactor)}${
+                          unitType === "per_person" ? "/人" : "/組"
+                        }`}
+                    </p>
                   </div>
                 </div>
 
@@ -766,8 +1288,10 @@ export default function RestaurantPrevisitCalculator() {
                       inputMode="numeric"
                       value={String(addGroupsPerDay)}
                       onChange={(e) => setAddGroupsPerDay(numOr0(e.target.value))}
+                      disabled={useChannelMix}
                       placeholder="例：1"
                     />
+                    <FieldChecks issues={checks} field="addGroupsPerDay" />
                   </div>
                 </div>
 
@@ -788,6 +1312,7 @@ export default function RestaurantPrevisitCalculator() {
                       inputMode="numeric"
                       value={String(adSpend)}
                       onChange={(e) => setAdSpend(numOr0(e.target.value))}
+                      disabled={useChannelMix}
                       placeholder="例：100000"
                     />
                   </div>
@@ -825,6 +1350,20 @@ export default function RestaurantPrevisitCalculator() {
                 </div>
 
                 {useBaseline && (
+                  <div className="flex items-center justify-between gap-3 rounded-xl border p-3">
+                    <div className="space-y-1">
+                      <Label className="text-sm">時間帯・曜日別に見積もる</Label>
+                      <p className="text-xs text-muted-foreground">ランチ/ディナー/深夜 × 平日/土日祝で単価・稼働・回転を分けます。</p>
+                    </div>
+                    <Switch checked={useDemandModel} onCheckedChange={setUseDemandModel} />
+                  </div>
+                )}
+
+                {useBaseline && useDemandModel && (
+                  <DemandEditor model={demandModel} onModelChange={setDemandModel} result={demand} />
+                )}
+
+                {useBaseline && !useDemandModel && (
                   <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
                     <div className="space-y-2">
                       <Label>席稼働率（仮）</Label>
@@ -862,20 +1401,30 @@ export default function RestaurantPrevisitCalculator() {
                 <Separator />
 
                 <Tabs defaultValue="preset" className="w-full">
-                  <TabsList className="grid w-full grid-cols-2">
+                  <TabsList className="grid w-full grid-cols-4">
                     <TabsTrigger value="preset">率（テンプレ）</TabsTrigger>
                     <TabsTrigger value="manual">率（手動）</TabsTrigger>
+                    <TabsTrigger value="menu">F（メニュー）</TabsTrigger>
+                    <TabsTrigger value="labor">L（シフト）</TabsTrigger>
                   </TabsList>
 
                   <TabsContent value="preset" className="space-y-3">
                     <div className="rounded-xl border p-3 text-sm">
                       <div className="flex items-center justify-between">
                         <span>原価率（F）</span>
-                        <span className="font-medium">{formatPct(presetRates.food)}</span>
+                        <span className="font-medium">
+                          {menuSetsFoodRate && !manualRates && menu.foodRate > 0
+                            ? `${formatPct(menu.foodRate)}（メニュー）`
+                            : formatPct(presetRates.food)}
+                        </span>
                       </div>
                       <div className="flex items-center justify-between">
                         <span>人件費率（L）</span>
-                        <span className="font-medium">{formatPct(presetRates.labor)}</span>
+                        <span className="font-medium">
+                          {useLaborModel && !manualRates && labor.laborRate > 0
+                            ? `${formatPct(labor.laborRate)}（シフト）`
+                            : formatPct(presetRates.labor)}
+                        </span>
                       </div>
                       <div className="flex items-center justify-between">
                         <span>家賃率（R）</span>
@@ -938,6 +1487,31 @@ export default function RestaurantPrevisitCalculator() {
                       <p className="text-xs text-muted-foreground">手動OFFのときは、テンプレ/自動推定が適用されます。</p>
                     )}
                   </TabsContent>
+
+                  <TabsContent value="menu" className="space-y-3">
+                    <MenuBuilder
+                      items={menuItems}
+                      onItemsChange={setMenuItems}
+                      result={menu}
+                      setsFoodRate={menuSetsFoodRate}
+                      onSetsFoodRateChange={setMenuSetsFoodRate}
+                      setsUnitPrice={menuSetsUnitPrice}
+                      onSetsUnitPriceChange={setMenuSetsUnitPrice}
+                      manualRates={manualRates}
+                    />
+                  </TabsContent>
+
+                  <TabsContent value="labor" className="space-y-3">
+                    <LaborBuilder
+                      enabled={useLaborModel}
+                      onEnabledChange={setUseLaborModel}
+                      model={laborModel}
+                      onModelChange={setLaborModel}
+                      result={labor}
+                      manualRates={manualRates}
+                      addAfterFL={normalized.addAfterFL}
+                    />
+                  </TabsContent>
                 </Tabs>
               </div>
             </CardContent>
@@ -952,6 +1526,8 @@ export default function RestaurantPrevisitCalculator() {
             </CardHeader>
             <CardContent className="space-y-5">
               <div className="grid gap-3">
+                <PlausibilitySummary issues={checks} />
+
                 <div className="rounded-2xl border p-4">
                   <div className="text-sm text-muted-foreground">増分売上（+{normalized.addG}組/日）</div>
                   <div className="mt-1 text-2xl font-semibold">{formatJPY(normalized.addRevenueMonthly)}/月</div>
@@ -986,9 +1562,104 @@ export default function RestaurantPrevisitCalculator() {
                     <div className="text-sm text-muted-foreground">FL / FLR</div>
                     <div className="mt-1 text-xl font-semibold">{formatPct(normalized.fl)} / {formatPct(normalized.flr)}</div>
                     <div className="mt-1 text-xs text-muted-foreground">"70%"はFLRで語られることが多い</div>
+                    <div className="mt-2">
+                      <FieldChecks issues={checks} field="rates" />
+                    </div>
                   </div>
                 </div>
 
+                <PnlPanel pnl={pnl} costLines={costLines} onCostLinesChange={setCostLines} />
+
+                <DeliveryPanel
+                  enabled={useDeliveryModel}
+                  onEnabledChange={setUseDeliveryModel}
+                  model={deliveryModel}
+                  onModelChange={setDeliveryModel}
+                  mix={deliveryMix}
+                  baseline={delivery.baseline}
+                  increment={delivery.increment}
+                />
+
+                <ChannelMixPanel
+                  enabled={useChannelMix}
+                  onEnabledChange={setUseChannelMix}
+                  channels={channels}
+                  onChannelsChange={setChannels}
+                  result={channelMix}
+                />
+
+                <ScenarioComparison
+                  columns={scenarioColumns}
+                  current={scenario}
+                  showBaseline={useBaseline}
+                  onCopyRange={() => copyToClipboard(rangeTalkTrack)}
+                />
+
+                <SensitivityPanel
+                  result={sensitivity}
+                  onMetricChange={setSensitivityMetric}
+                  onPctChange={setSensitivityPct}
+                />
+
+                <GoalSeekPanel
+                  target={goalTarget}
+                  onTargetChange={setGoalTarget}
+                  goal={goalValue}
+                  onGoalChange={setGoalValue}
+                  solveFor={goalSolveFor}
+                  onSolveForChange={setGoalSolveFor}
+                  result={goalResult}
+                  onApply={goalApplyLocked ? undefined : applyGoalValue}
+                />
+
+                <MonteCarloPanel
+                  enabled={mcEnabled}
+                  onEnabledChange={setMcEnabled}
+                  vars={mcVarsFor(calcInput)}
+                  ranges={mcRanges}
+                  onRangeChange={(key, side, value) =>
+                    setMcOverrides((prev) => ({ ...prev, [key]: { ...prev[key], [side]: value } }))
+                  }
+                  onResetRanges={() => setMcOverrides({})}
+                  iterations={mcIterations}
+                  onIterationsChange={setMcIterations}
+                  seed={mcSeed}
+                  onSeedChange={setMcSeed}
+                  result={mcRun?.result ?? null}
+                  stale={mcStale}
+                  onRun={runMc}
+                />
+
+                <ProjectionPanel
+                  projection={projection}
+                  months={projectionMonths}
+                  onMonthsChange={setProjectionMonths}
+                  curve={rampCurve}
+                  onCurveChange={setRampCurve}
+                  rampMonths={rampMonths}
+                  onRampMonthsChange={setRampMonths}
+                  adSpendByMonth={adSpendByMonth}
+                  onAdSpendByMonthChange={setAdSpendByMonth}
+                  baseAdSpend={adSpend}
+                />
+
+                <LtvPanel
+                  assumptions={ltvAssumptions}
+                  onAssumptionsChange={setLtvAssumptions}
+                  result={ltv}
+                  gpRoas={normalized.gpRoas}
+                />
+
+                <ActualsPanel
+                  enabled={useActuals}
+                  onEnabledChange={setUseActuals}
+                  actuals={actuals}
+                  onActualChange={(key, value) => setActuals((prev) => ({ ...prev, [key]: value }))}
+                  onClear={() => setActuals(EMPTY_ACTUALS)}
+                  result={actualsResult}
+                  onCopy={() => actualsResult && copyToClipboard(buildActualsTalkTrack(actualsResult, { address, adSpend }))}
+                />
+
                 <Separator />
 
                 <div className="rounded-2xl border p-4">
@@ -0,0 +1,124 @@
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { ClipboardCheck, Copy } from "lucide-react";
+import { numOr0 } from "./utils";
+import {
+  ACTUAL_FIELDS,
+  formatVarianceDiff,
+  formatVarianceValue,
+  type Actuals,
+  type ActualsKey,
+  type ActualsResult,
+} from "./actuals";
+
+type Props = {
+  enabled: boolean;
+  onEnabledChange: (v: boolean) => void;
+  actuals: Actuals;
+  onActualChange: (key: ActualsKey, value: number) => void;
+  onClear: () => void;
+  result: ActualsResult | null;
+  onCopy: () => void;
+};
+
+// Costs and rates: higher than the hypothesis is the bad direction
+const HIGHER_IS_WORSE = new Set(["foodCost", "laborCost", "rent", "foodRate", "laborRate", "rentRate", "flr", "breakeven"]);
+
+export function ActualsPanel(props: Props) {
+  const { enabled, onEnabledChange, actuals, result } = props;
+
+  const diffClass = (key: string, diff: number) => {
+    if (Math.abs(diff) < 1e-9) return "";
+    const worse = HIGHER_IS_WORSE.has(key) ? diff > 0 : diff < 0;
+    return worse ? "text-destructive" : "text-primary";
+  };
+
+  return (
+    <div className="rounded-2xl border p-4">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2 text-sm font-medium">
+          <ClipboardCheck className="h-4 w-4" />
+          訪問後の実績入力（仮説との差）
+        </div>
+        <Switch checked={enabled} onCheckedChange={onEnabledChange} />
+      </div>
+
+      {!enabled ? (
+        <p className="mt-2 text-xs text-muted-foreground">
+          ONにすると、現場で聞いた月商・原価・人件費・家賃を入れて、事前仮説との差を一覧にします。
+        </p>
+      ) : (
+        <div className="mt-3 space-y-4">
+          <div className="grid gap-3 md:grid-cols-3">
+            {ACTUAL_FIELDS.map(({ key, label }) => (
+              <div key={key} className="space-y-1">
+                <Label className="text-xs">{label}（円/月）</Label>
+                <Input
+                  className="h-8"
+                  inputMode="numeric"
+                  value={String(actuals[key])}
+                  onChange={(e) => props.onActualChange(key, numOr0(e.target.value))}
+                />
+              </div>
+            ))}
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <p className="text-xs text-muted-foreground">※ 0 は未回答扱い（仮説の値で計算）。率は月商を入れると算出します。</p>
+            <Button size="sm" variant="outline" className="ml-auto" onClick={props.onClear}>
+              実績をクリア
+            </Button>
+          </div>
+
+          {result && (
+            <>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-xs text-muted-foreground">
+                      <th className="py-1 text-left font-normal" />
+                      <th className="py-1 text-right font-normal">仮説</th>
+                      <th className="py-1 text-right font-normal">実績</th>
+                      <th className="py-1 text-right font-normal">差</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.variance.map((r) => (
+                      <tr key={r.key} className="border-t">
+                        <td className="py-1 text-muted-foreground">{r.label}</td>
+                        <td className="py-1 text-right">{formatVarianceValue(r.kind, r.hypothesis)}</td>
+                        <td className={`py-1 text-right ${r.fromActual ? "font-semibold" : "text-muted-foreground"}`}>
+                          {formatVarianceValue(r.kind, r.actual)}
+                          {!r.fromActual && (
+                            <Badge variant="secondary" className="ml-1 text-[10px]">
+                              仮説
+                            </Badge>
+                          )}
+                        </td>
+                        <td className={`py-1 text-right ${r.fromActual ? diffClass(r.key, r.diff) : "text-muted-foreground"}`}>
+                          {r.fromActual ? formatVarianceDiff(r.kind, r.diff) : "—"}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <p className="text-xs text-muted-foreground">
+                  営業利益はその他経費と広告費も控除（仮説側はFLR+広告のみ）。
+                </p>
+                <Button size="sm" variant="outline" onClick={props.onCopy}>
+                  <Copy className="mr-2 h-4 w-4" />
+                  実績トークをコピー
+                </Button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import { formatJPY, formatPct, safeDiv } from "./utils";
+import { calculate, type CalcInput, type CalcOptions, type CalcResult } from "./engine";
+
+// --- Post-visit actuals vs the pre-visit hypothesis ---
+// Figures heard on site (monthly, yen). 0 = not asked yet; the hypothesis fills the gap.
+
+export type Actuals = {
+  sales: number;
+  foodCost: number; // inventory-based (棚卸) cost of goods
+  laborCost: number;
+  rent: number;
+  otherCost: number;
+};
+
+export type ActualsKey = keyof Actuals;
+
+export const EMPTY_ACTUALS: Actuals = {
+  sales: 0,
+  foodCost: 0,
+  laborCost: 0,
+  rent: 0,
+  otherCost: 0,
+};
+
+export const ACTUAL_FIELDS: { key: ActualsKey; label: string }[] = [
+  { key: "sales", label: "月商（税抜）" },
+  { key: "foodCost", label: "原価（棚卸ベース）" },
+  { key: "laborCost", label: "人件費" },
+  { key: "rent", label: "家賃" },
+  { key: "otherCost", label: "その他経費" },
+];
+
+export type VarianceRow = {
+  key: string;
+  label: string;
+  kind: "jpy" | "pct" | "num";
+  hypothesis: number;
+  actual: number;
+  diff: number; // actual - hypothesis
+  fromActual: boolean; // false = actual not entered, hypothesis carried over
+};
+
+export type ActualsResult = {
+  hasSales: boolean;
+  rates: { food: number; labor: number; rent: number };
+  operatingProfit: number; // sales - F - L - R - other - ads
+  recalculated: CalcResult; // the calculator re-run on the actual rates (its baseline stays seat-based)
+  variance: VarianceRow[];
+};
+
+// Re-run the calculator with rates taken from the actual figures.
+// Without actual sales no rate can be derived, so the hypothesis rates stay.
+// Only the rates are re-run: the ad-effect figures (増分粗利, ROAS, 回収分岐) do not
+// depend on the monthly sales, and the yen figures above use the actual sales directly.
+export function computeActuals(
+  input: CalcInput,
+  hypothesis: CalcResult,
+  actuals: Actuals,
+  options: CalcOptions = {}
+): ActualsResult {
+  const hyp = hypothesis.normalized;
+  const hasSales = actuals.sales > 0;
+  const sales = hasSales ? actuals.sales : hyp.baselineRevenueMonthly;
+
+  const entered = {
+    food: hasSales && actuals.foodCost > 0,
+    labor: hasSales && actuals.laborCost > 0,
+    rent: actuals.rent > 0,
+  };
+
+  const foodCost = entered.food ? actuals.foodCost : sales * hyp.food;
+  const laborCost = entered.labor ? actuals.laborCost : sales * hyp.labor;
+  // Same rent as the hypothesis operating profit (sales × R), so an unanswered rent leaves no gap
+  const rentCost = entered.rent ? actuals.rent : hyp.baselineRent;
+
+  const rates = {
+    food: entered.food ? safeDiv(foodCost, sales) : hyp.food,
+    labor: entered.labor ? safeDiv(laborCost, sales) : hyp.labor,
+    rent: hasSales && entered.rent ? safeDiv(rentCost, sales) : hyp.rent,
+  };
+
+  // Delivery commission / packaging are not asked on site: keep the hypothesis ratio to sales
+  const channelCost = sales * safeDiv(hyp.baselineChannelCost, hyp.baselineRevenueMonthly);
+  const operatingProfit = sales - foodCost - laborCost - rentCost - channelCost - actuals.otherCost - input.adSpend;
+  const recalculated = calculate(
+    { ...input, foodRate: rates.food, laborRate: rates.labor, rentRate: rates.rent },
+    options
+  );
+  const act = recalculated.normalized;
+
+  const row = (
+    key: string,
+    label: string,
+    kind: VarianceRow["kind"],
+    hypothesisValue: number,
+    actual: number,
+    fromActual: boolean
+  ): VarianceRow => ({ key, label, kind, hypothesis: hypothesisValue, actual, diff: actual - hypothesisValue, fromActual });
+
+  const variance: VarianceRow[] = [
+    row("sales", "月商", "jpy", hyp.baselineRevenueMonthly, sales, hasSales),
+    row("foodCost", "原価", "jpy", hyp.baselineFood, foodCost, entered.food),
+    row("laborCost", "人件費", "jpy", hyp.baselineLabor, laborCost, entered.labor),
+    row("rent", "家賃", "jpy", hyp.baselineRent, rentCost, entered.rent),
+    row("foodRate", "原価率（F）", "pct", hyp.food, rates.food, entered.food),
+    row("laborRate", "人件費率（L）", "pct", hyp.labor, rates.labor, entered.labor),
+    row("rentRate", "家賃率（R）", "pct", hyp.rent, rates.rent, hasSales && entered.rent),
+    row("flr", "FLR", "pct", hyp.flr, act.flr, entered.food || entered.labor || (hasSales && entered.rent)),
+    row("operatingProfit", "営業利益", "jpy", hyp.baselineOperatingProfitApprox, operatingProfit, hasSales),
+    row("addGrossProfit", "増分粗利", "jpy", hyp.addGrossProfit, act.addGrossProfit, entered.food),
+    row("gpRoas", "粗利ROAS", "num", hyp.gpRoas, act.gpRoas, entered.food),
+    row(
+      "breakeven",
+      "広告回収の分岐（組/日）",
+      "num",
+      hyp.breakevenGroupsPerDay_Gross,
+      act.breakevenGroupsPerDay_Gross,
+      entered.food
+    ),
+  ];
+
+  return { hasSales, rates, operatingProfit, recalculated, variance };
+}
+
+export function formatVarianceValue(kind: VarianceRow["kind"], v: number): string {
+  if (kind === "jpy") return formatJPY(v);
+  if (kind === "pct") return formatPct(v);
+  return v.toFixed(2);
+}
+
+// Differences: yen and ratios signed, rates in percentage points
+export function formatVarianceDiff(kind: VarianceRow["kind"], d: number): string {
+  const sign = d >= 0 ? "+" : "−";
+  if (kind === "jpy") return sign + formatJPY(Math.abs(d));
+  if (kind === "pct") return `${sign}${(Math.abs(d) * 100).toFixed(1)}pt`;
+  return sign + Math.abs(d).toFixed(2);
+}
+
+// Talk track for the proposal after the visit (actual figures first)
+export function buildActualsTalkTrack(result: ActualsResult, ctx: { address: string; adSpend: number }): string {
+  const lines: string[] = [];
+  lines.push(`【ヒアリング結果と仮説の差】`);
+  if (ctx.address.trim()) lines.push(`・住所：${ctx.address.trim()}`);
+  for (const r of result.variance) {
+    if (!r.fromActual) continue;
+    lines.push(
+      `・${r.label}：実績 ${formatVarianceValue(r.kind, r.actual)}（仮説 ${formatVarianceValue(
+        r.kind,
+        r.hypothesis
+      )}、差 ${formatVarianceDiff(r.kind, r.diff)}）`
+    );
+  }
+  const n = result.recalculated.normalized;
+  lines.push(
+    `・実績ベースの広告効果：広告費 ${formatJPY(ctx.adSpend)}/月 → 増分粗利 ${formatJPY(n.addGrossProfit)}/月、回収分岐 ${n.breakevenGroupsPerDay_Gross.toFixed(
+      2
+    )}組/日`
+  );
+  lines.push(`\n※未回答の項目は事前仮説の値のまま計算しています。広告効果は実績の率（F/L/R）だけを反映した再計算です。`);
+  return lines.join("\n");
+}
@@ -0,0 +1,201 @@
+import React, { useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
+import { Download, Plus, RotateCcw, Save, Settings2, Trash2, Upload, X } from "lucide-react";
+import { downloadText, numOr0 } from "./utils";
+import {
+  areasToCSV,
+  areasToJSON,
+  compileAreaRecords,
+  parseAreasCSV,
+  parseAreasJSON,
+  type AreaRecord,
+} from "./area-master";
+
+type Props = {
+  records: AreaRecord[];
+  isCustom: boolean;
+  onSave: (records: AreaRecord[]) => void;
+  onResetToBuiltin: () => void;
+  onClose: () => void;
+};
+
+// Editable row: rent and patterns stay as text while typing
+type DraftRow = { key: string; label: string; rent: string; patterns: string };
+
+const toDraft = (r: AreaRecord): DraftRow => ({
+  key: r.key,
+  label: r.label,
+  rent: String(r.baseRentPerTsubo),
+  patterns: r.patterns.join("\n"),
+});
+
+const fromDraft = (d: DraftRow): AreaRecord => ({
+  key: d.key.trim(),
+  label: d.label.trim(),
+  baseRentPerTsubo: numOr0(d.rent),
+  patterns: d.patterns.split("\n").map((p) => p.trim()).filter(Boolean),
+});
+
+export function AreaMasterEditor({ records, isCustom, onSave, onResetToBuiltin, onClose }: Props) {
+  const [rows, setRows] = useState<DraftRow[]>(() => records.map(toDraft));
+  const [errors, setErrors] = useState<string[]>([]);
+  const [notice, setNotice] = useState<string>("");
+
+  // Re-sync when the saved master changes (save / reset)
+  React.useEffect(() => {
+    setRows(records.map(toDraft));
+  }, [records]);
+
+  function patchRow(i: number, patch: Partial<DraftRow>) {
+    setRows((prev) => prev.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+  }
+
+  function save() {
+    const recs = rows.map(fromDraft);
+    const { errors: errs } = compileAreaRecords(recs);
+    setErrors(errs);
+    if (errs.length > 0) return;
+    onSave(recs);
+    setNotice(recs.length > 0 ? "保存しました。" : "行が空のため既定値に戻しました。");
+  }
+
+  async function importFile(file: File) {
+    try {
+      const text = await file.text();
+      const isCSV = /\.csv$/i.test(file.name) || !text.trim().startsWith("[");
+      const recs = isCSV ? parseAreasCSV(text) : parseAreasJSON(text);
+      setRows(recs.map(toDraft));
+      setErrors(compileAreaRecords(recs).errors);
+      setNotice(`${file.name} から ${recs.length}件 読み込みました（保存するまで反映されません）。`);
+    } catch (e) {
+      setErrors([`読み込みに失敗しました：${e instanceof Error ? e.message : String(e)}`]);
+    }
+  }
+
+  const current = rows.map(fromDraft);
+
+  return (
+    <Card className="rounded-2xl">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Settings2 className="h-5 w-5" />
+          エリアマスタ編集
+          <Badge variant="secondary">{isCustom ? "カスタム" : "既定値"}</Badge>
+          <Button variant="ghost" size="sm" className="ml-auto" onClick={onClose} title="閉じる">
+            <X className="h-4 w-4" />
+          </Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-xs text-muted-foreground">
+          坪単価（円/坪・月）と住所パターン（正規表現、1行に1つ）を編集できます。保存するとこのブラウザに記録されます。
+          住所判定は行の順番ではなく、都道府県パターンと地名パターンの一致度でスコア化され、確度が低い場合は自動適用されません。CSVのpatterns列は「;」区切りのため、パターン内の「;」は \x3B と書いてください。
+        </p>
+
+        <div className="flex flex-wrap gap-2">
+          <Button variant="outline" onClick={() => setRows((prev) => [...prev, { key: "", label: "", rent: "", patterns: "" }])}>
+            <Plus className="mr-2 h-4 w-4" />
+            行を追加
+          </Button>
+          <Button variant="outline" onClick={() => downloadText("area-master.json", areasToJSON(current), "application/json")}>
+            <Download className="mr-2 h-4 w-4" />
+            JSON
+          </Button>
+          <Button variant="outline" onClick={() => downloadText("area-master.csv", areasToCSV(current), "text/csv")}>
+            <Download className="mr-2 h-4 w-4" />
+            CSV
+          </Button>
+          <Button variant="outline" asChild>
+            <label className="cursor-pointer">
+              <Upload className="mr-2 h-4 w-4" />
+              インポート
+              <input
+                type="file"
+                accept=".json,.csv,application/json,text/csv"
+                className="hidden"
+                onChange={(e) => {
+                  const f = e.target.files?.[0];
+                  if (f) importFile(f);
+                  e.target.value = "";
+                }}
+              />
+            </label>
+          </Button>
+          <Button
+            variant="outline"
+            onClick={() => {
+              if (!window.confirm("エリアマスタを既定値に戻しますか？")) return;
+              onResetToBuiltin();
+              setErrors([]);
+              setNotice("既定値に戻しました。");
+            }}
+          >
+            <RotateCcw className="mr-2 h-4 w-4" />
+            既定値に戻す
+          </Button>
+          <Button className="ml-auto" onClick={save}>
+            <Save className="mr-2 h-4 w-4" />
+            保存
+          </Button>
+        </div>
+
+        {notice && <p className="text-sm text-muted-foreground">{notice}</p>}
+        {errors.length > 0 && (
+          <div className="rounded-xl border border-destructive/50 p-3 text-sm text-destructive">
+            {errors.map((e, i) => (
+              <div key={i}>・{e}</div>
+            ))}
+          </div>
+        )}
+
+        <div className="space-y-3">
+          {rows.map((r, i) => (
+            <div key={i} className="grid gap-3 rounded-xl border p-3 md:grid-cols-[1fr_2fr_1fr_2fr_auto]">
+              <div className="space-y-1">
+                <Label className="text-xs">key</Label>
+                <Input value={r.key} onChange={(e) => patchRow(i, { key: e.target.value })} placeholder="nara_city" />
+              </div>
+              <div className="space-y-1">
+                <Label className="text-xs">表示名</Label>
+                <Input value={r.label} onChange={(e) => patchRow(i, { label: e.target.value })} placeholder="奈良市 中心" />
+              </div>
+              <div className="space-y-1">
+                <Label className="text-xs">坪単価（円/坪）</Label>
+                <Input
+                  inputMode="numeric"
+                  value={r.rent}
+                  onChange={(e) => patchRow(i, { rent: e.target.value })}
+                  placeholder="15000"
+                />
+              </div>
+              <div className="space-y-1">
+                <Label className="text-xs">住所パターン</Label>
+                <Textarea
+                  rows={2}
+                  value={r.patterns}
+                  onChange={(e) => patchRow(i, { patterns: e.target.value })}
+                  placeholder={"奈良県\n奈良市"}
+                />
+              </div>
+              <div className="flex items-end">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setRows((prev) => prev.filter((_, j) => j !== i))}
+                  title="削除"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,125 @@
+import { AREA_MASTER, type AreaMaster } from "./presets";
+import { csvToObjects, toCSV } from "./csv";
+
+// --- Area master overrides (editable in-app, persisted locally) ---
+// Patterns are kept as regex *source strings* here so they can be edited,
+// stored as JSON and round-tripped through CSV.
+
+export type AreaRecord = {
+  key: string;
+  label: string;
+  baseRentPerTsubo: number;
+  patterns: string[];
+};
+
+const STORAGE_KEY = "foodpl.areaMaster.v1";
+
+// CSV: patterns are joined with this separator inside one column, so a pattern
+// itself may not contain ";" (use \x3B instead)
+const CSV_PATTERN_SEPARATOR = " ; ";
+const CSV_HEADER = ["key", "label", "baseRentPerTsubo", "patterns"];
+
+export function toAreaRecord(a: AreaMaster): AreaRecord {
+  return { key: a.key, label: a.label, baseRentPerTsubo: a.baseRentPerTsubo, patterns: a.patterns.map((re) => re.source) };
+}
+
+export const BUILTIN_AREA_RECORDS: AreaRecord[] = AREA_MASTER.map(toAreaRecord);
+
+// Validate records and compile patterns. Rows with errors are skipped (and reported).
+export function compileAreaRecords(records: AreaRecord[]): { areas: AreaMaster[]; errors: string[] } {
+  const areas: AreaMaster[] = [];
+  const errors: string[] = [];
+  const seen = new Set<string>();
+
+  records.forEach((r, i) => {
+    const row = `${i + 1}行目`;
+    const key = (r.key || "").trim();
+    if (!/^[a-z0-9_]+$/.test(key)) {
+      errors.push(`${row}: key は半角英小文字・数字・_ で入力してください（${key || "空"}）`);
+      return;
+    }
+    if (seen.has(key)) {
+      errors.push(`${row}: key「${key}」が重複しています`);
+      return;
+    }
+    if (!Number.isFinite(r.baseRentPerTsubo) || r.baseRentPerTsubo <= 0) {
+      errors.push(`${row}: 坪単価は正の数で入力してください（${key}）`);
+      return;
+    }
+
+    const patterns: RegExp[] = [];
+    for (const src of r.patterns.map((p) => p.trim()).filter(Boolean)) {
+      if (src.includes(CSV_PATTERN_SEPARATOR.trim())) {
+        errors.push(`${row}: 正規表現に「;」は使えません。\\x3B で代用してください「${src}」（${key}）`);
+        return;
+      }
+      try {
+        patterns.push(new RegExp(src));
+      } catch (e) {
+        errors.push(`${row}: 正規表現が不正です「${src}」（${key}）`);
+        return;
+      }
+    }
+
+    seen.add(key);
+    areas.push({ key, label: (r.label || "").trim() || key, baseRentPerTsubo: r.baseRentPerTsubo, patterns });
+  });
+
+  return { areas, errors };
+}
+
+// --- Storage ---
+
+// Returns null when no override is stored (use the built-in master)
+export function loadAreaOverrides(): AreaRecord[] | null {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+    const records = parseAreasJSON(raw);
+    return records.length > 0 ? records : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+export function persistAreaOverrides(records: AreaRecord[] | null): void {
+  try {
+    if (records && records.length > 0) window.localStorage.setItem(STORAGE_KEY, areasToJSON(records));
+    else window.localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    // no-op (quota / private mode)
+  }
+}
+
+// --- Import / export ---
+
+export function areasToJSON(records: AreaRecord[]): string {
+  return JSON.stringify(records, null, 2);
+}
+
+export function parseAreasJSON(text: string): AreaRecord[] {
+  const parsed = JSON.parse(text);
+  if (!Array.isArray(parsed)) throw new Error("JSONは配列である必要があります");
+  return parsed.map((x) => ({
+    key: String(x?.key ?? ""),
+    label: String(x?.label ?? ""),
+    baseRentPerTsubo: Number(x?.baseRentPerTsubo),
+    patterns: Array.isArray(x?.patterns) ? x.patterns.map(String) : [],
+  }));
+}
+
+export function areasToCSV(records: AreaRecord[]): string {
+  return toCSV([
+    CSV_HEADER,
+    ...records.map((r) => [r.key, r.label, r.baseRentPerTsubo, r.patterns.join(CSV_PATTERN_SEPARATOR)]),
+  ]);
+}
+
+export function parseAreasCSV(text: string): AreaRecord[] {
+  return csvToObjects(text).map((o) => ({
+    key: o.key ?? "",
+    label: o.label ?? "",
+    baseRentPerTsubo: Number(o.baseRentPerTsubo),
+    patterns: (o.patterns ?? "").split(CSV_PATTERN_SEPARATOR.trim()).map((p) => p.trim()).filter(Boolean),
+  }));
+}
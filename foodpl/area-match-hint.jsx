@@ -0,0 +1,80 @@
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { formatPct } from "./utils";
+import type { AreaKey } from "./presets";
+import { AUTO_APPLY_CONFIDENCE, type AreaMatchResult } from "./area-match";
+
+type Props = {
+  result: AreaMatchResult;
+  selectedKey: AreaKey;
+  onPick: (key: AreaKey) => void;
+};
+
+function confidenceLabel(c: number): string {
+  if (c >= 0.75) return "高";
+  if (c >= 0.4) return "中";
+  return "低";
+}
+
+// Shows why the address landed in an area, and the runner-up candidates
+export function AreaMatchHint({ result, selectedKey, onPick }: Props) {
+  const { parsed, candidates } = result;
+  if (!parsed.normalized) return null;
+
+  const top = candidates[0];
+  const others = candidates.slice(1, 4);
+  const lowConfidence = top !== undefined && top.confidence < AUTO_APPLY_CONFIDENCE;
+  const parts = [parsed.prefecture, parsed.city, parsed.ward].filter(Boolean);
+
+  return (
+    <div className="space-y-2 rounded-xl bg-muted/40 p-3 text-xs">
+      <div className="text-muted-foreground">
+        住所の解析：{parts.length > 0 ? parts.join(" / ") : "都道府県・市区町村を読み取れませんでした"}
+        {parsed.prefectureInferred && "（都道府県は推定）"}
+      </div>
+
+      {top ? (
+        <div className="space-y-1">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="font-medium">判定：{top.label}</span>
+            <Badge variant={top.confidence >= 0.75 ? "default" : "secondary"}>
+              確度 {confidenceLabel(top.confidence)}（{formatPct(top.confidence)}）
+            </Badge>
+            {top.key !== selectedKey && <Badge variant="outline">未適用</Badge>}
+            {top.key !== selectedKey && (
+              <Button size="sm" variant="outline" className="ml-auto" onClick={() => onPick(top.key)}>
+                これにする
+              </Button>
+            )}
+          </div>
+          {lowConfidence && (
+            <div className="text-amber-700">確度が低いため自動では適用していません。候補を確認して選んでください。</div>
+          )}
+          <ul className="list-inside list-disc text-muted-foreground">
+            {top.reasons.map((r, i) => (
+              <li key={i}>{r}</li>
+            ))}
+          </ul>
+        </div>
+      ) : (
+        <div className="text-muted-foreground">該当するエリアがありません。手動で選択してください。</div>
+      )}
+
+      {others.length > 0 && (
+        <div className="space-y-1">
+          <div className="text-muted-foreground">他の候補</div>
+          {others.map((c) => (
+            <div key={c.key} className="flex items-center justify-between gap-2">
+              <span className="truncate" title={c.reasons.join(" / ")}>
+                {c.label}（スコア {c.score}）
+              </span>
+              <Button size="sm" variant="outline" disabled={c.key === selectedKey} onClick={() => onPick(c.key)}>
+                これにする
+              </Button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,235 @@
+import { clamp } from "./utils";
+import { AREA_MASTER, type AreaKey, type AreaMaster } from "./presets";
+
+// --- Address -> area matching (scored, explainable) ---
+// The address is split into prefecture / city / ward / town first, and every area
+// is scored against those parts instead of the raw string. An area whose patterns
+// name prefectures only matches when the address is in one of them, so "大阪市中央区"
+// can no longer hit tokyo_core via /中央区/. Areas without a prefecture pattern
+// (e.g. custom ones like /奈良市/) match on their place names anywhere in the address.
+
+export type ParsedAddress = {
+  normalized: string;
+  prefecture: string; // "" when unknown
+  prefectureInferred: boolean; // true when guessed from the city/ward name
+  city: string; // 市 / 郡+町村 / 町村 ("" for Tokyo special wards)
+  ward: string; // 区 (designated-city ward or Tokyo special ward)
+  town: string; // the rest (町名・番地)
+};
+
+export type AreaMatch = {
+  key: AreaKey;
+  label: string;
+  score: number;
+  confidence: number; // 0..1
+  reasons: string[];
+};
+
+export type AreaMatchResult = {
+  parsed: ParsedAddress;
+  candidates: AreaMatch[]; // best first
+};
+
+// Score weights
+const W_PREFECTURE = 2;
+const W_PREFECTURE_ONLY = 1; // prefecture agrees but none of the area's locality patterns did
+const W_LOCALITY_CITY = 3; // ward / city hit
+const W_LOCALITY_TOWN = 2; // town-name hit
+const W_GENERIC = 2.5; // area without prefecture patterns (e.g. 郡/町/村) hitting the city part
+const MAX_SCORE = W_PREFECTURE + W_LOCALITY_CITY;
+
+// Below this the top candidate is only suggested, not applied (the "中" level in the hint)
+export const AUTO_APPLY_CONFIDENCE = 0.4;
+
+const PREFECTURE_RE = /^(東京都|北海道|(?:京都|大阪)府|[^\s\d都道府県]{2,3}県)/;
+const PREFECTURE_NAME_RE = /^(東京都|北海道|(?:京都|大阪)府|[^\s\d]{2,3}県)$/;
+
+// Designated cities / Tokyo wards, for addresses written without the prefecture
+const CITY_TO_PREFECTURE: Record<string, string> = {
+  札幌市: "北海道",
+  仙台市: "宮城県",
+  さいたま市: "埼玉県",
+  千葉市: "千葉県",
+  横浜市: "神奈川県",
+  川崎市: "神奈川県",
+  相模原市: "神奈川県",
+  新潟市: "新潟県",
+  静岡市: "静岡県",
+  浜松市: "静岡県",
+  名古屋市: "愛知県",
+  京都市: "京都府",
+  大阪市: "大阪府",
+  堺市: "大阪府",
+  神戸市: "兵庫県",
+  岡山市: "岡山県",
+  広島市: "広島県",
+  北九州市: "福岡県",
+  福岡市: "福岡県",
+  熊本市: "熊本県",
+};
+
+const TOKYO_WARDS = [
+  "千代田区", "中央区", "港区", "新宿区", "文京区", "台東区", "墨田区", "江東区", "品川区", "目黒区", "大田区", "世田谷区",
+  "渋谷区", "中野区", "杉並区", "豊島区", "北区", "荒川区", "板橋区", "練馬区", "足立区", "葛飾区", "江戸川区",
+];
+
+export function normalizeAddress(address: string): string {
+  return (address || "")
+    .normalize("NFKC")
+    .replace(/〒?\s*\d{3}-?\d{4}/, "")
+    .replace(/\s+/g, "")
+    .trim();
+}
+
+export function parseAddress(address: string): ParsedAddress {
+  const normalized = normalizeAddress(address);
+  let rest = normalized;
+  let prefecture = "";
+  let prefectureInferred = false;
+  let city = "";
+  let ward = "";
+
+  const pm = rest.match(PREFECTURE_RE);
+  if (pm) {
+    prefecture = pm[1];
+    rest = rest.slice(prefecture.length);
+  }
+
+  const tokyoWard = TOKYO_WARDS.find((w) => rest.startsWith(w));
+  if (tokyoWard && (!prefecture || prefecture === "東京都")) {
+    ward = tokyoWard;
+    rest = rest.slice(ward.length);
+    if (!prefecture) {
+      prefecture = "東京都";
+      prefectureInferred = true;
+    }
+  } else {
+    const cm = rest.match(/^((?:[^\d市]+?郡)?[^\d]+?[市町村])/);
+    if (cm) {
+      city = cm[1];
+      // 四日市市 / 廿日市市 etc.: the lazy match stops one 市 too early
+      if (rest[city.length] === "市") city += "市";
+      rest = rest.slice(city.length);
+    }
+    if (city.endsWith("市")) {
+      const wm = rest.match(/^([^\d]+?区)/);
+      if (wm) {
+        ward = wm[1];
+        rest = rest.slice(ward.length);
+      }
+    }
+    if (!prefecture && CITY_TO_PREFECTURE[city]) {
+      prefecture = CITY_TO_PREFECTURE[city];
+      prefectureInferred = true;
+    }
+  }
+
+  return { normalized, prefecture, prefectureInferred, city, ward, town: rest };
+}
+
+// A pattern counts as a prefecture pattern when every alternative is a prefecture name
+function prefecturesOf(re: RegExp): string[] | null {
+  const alts = re.source.split("|");
+  return alts.every((a) => PREFECTURE_NAME_RE.test(a)) ? alts : null;
+}
+
+// Generic = only municipality kinds (/郡|町|村/), not place names
+function isGenericPattern(re: RegExp): boolean {
+  return re.source.split("|").every((a) => /^[郡市区町村]$/.test(a));
+}
+
+// First locality pattern hitting the ward / city / town part, else anywhere in the address
+function localityHit(
+  patterns: RegExp[],
+  p: ParsedAddress,
+  includeWhole: boolean
+): { weight: number; reason: string } | null {
+  const parts: { text: string; name: string; weight: number }[] = [
+    { text: p.ward, name: "区", weight: W_LOCALITY_CITY },
+    { text: p.city, name: "市区町村", weight: W_LOCALITY_CITY },
+    { text: p.town, name: "町名", weight: W_LOCALITY_TOWN },
+    ...(includeWhole ? [{ text: p.normalized, name: "住所", weight: W_LOCALITY_TOWN }] : []),
+  ];
+  for (const part of parts) {
+    if (!part.text) continue;
+    const re = patterns.find((r) => r.test(part.text));
+    if (!re) continue;
+    const hit = part.text.match(re)?.[0] ?? "";
+    return { weight: part.weight, reason: `${part.name}一致：「${hit}」（${part.text}）` };
+  }
+  return null;
+}
+
+function scoreArea(area: AreaMaster, p: ParsedAddress): AreaMatch | null {
+  const prefPatterns = area.patterns.filter((re) => prefecturesOf(re));
+  const localityPatterns = area.patterns.filter((re) => !prefecturesOf(re));
+  const reasons: string[] = [];
+  let score = 0;
+
+  if (prefPatterns.length > 0) {
+    // Prefecture must agree
+    if (!p.prefecture || !prefPatterns.some((re) => re.test(p.prefecture))) return null;
+    score += W_PREFECTURE;
+    reasons.push(`都道府県一致：${p.prefecture}${p.prefectureInferred ? "（市区名から推定）" : ""}`);
+
+    if (localityPatterns.length === 0) return { key: area.key, label: area.label, score, confidence: 0, reasons };
+
+    const hit = localityHit(localityPatterns, p, false);
+    if (hit) {
+      score += hit.weight;
+      reasons.push(hit.reason);
+    } else {
+      score = W_PREFECTURE_ONLY;
+      reasons.push("地名パターンは該当なし");
+    }
+    return { key: area.key, label: area.label, score, confidence: 0, reasons };
+  }
+
+  // No prefecture constraint: place names are tested against the parts, then the whole
+  // address (a name spanning city and ward, e.g. /大阪市北区/)
+  const named = localityHit(localityPatterns.filter((re) => !isGenericPattern(re)), p, true);
+  if (named) {
+    score += named.weight;
+    reasons.push(named.reason);
+    return { key: area.key, label: area.label, score, confidence: 0, reasons };
+  }
+
+  // Generic patterns (e.g. /郡|町|村/) are tested against the municipality *kind* only,
+  // so 町田市 or a town name like 川原城町 does not count
+  const cityPart = p.city || p.ward;
+  const kind = cityPart ? (/郡.+[町村]$/.test(cityPart) ? "郡" : "") + cityPart.slice(-1) : "";
+  const re = kind ? localityPatterns.filter(isGenericPattern).find((r) => r.test(kind)) : undefined;
+  if (!re) return null;
+  score += W_GENERIC;
+  reasons.push(`市区町村の種別一致：「${kind.match(re)?.[0] ?? ""}」（${cityPart}）`);
+  return { key: area.key, label: area.label, score, confidence: 0, reasons };
+}
+
+export function matchAreas(address: string, areas: AreaMaster[] = AREA_MASTER): AreaMatchResult {
+  const parsed = parseAddress(address);
+  if (!parsed.normalized) return { parsed, candidates: [] };
+
+  const scored = areas
+    .map((a, order) => ({ m: scoreArea(a, parsed), order }))
+    .filter((x): x is { m: AreaMatch; order: number } => x.m !== null)
+    // Higher score first; master order breaks ties
+    .sort((a, b) => b.m.score - a.m.score || a.order - b.order)
+    .map((x) => x.m);
+
+  const candidates = scored.map((m, i) => {
+    const next = i === 0 ? scored[1] : undefined;
+    // Confidence: how close to a full (prefecture + locality) hit, reduced when the runner-up is close
+    let confidence = clamp(m.score / MAX_SCORE, 0, 1);
+    if (next) confidence *= clamp(0.6 + (m.score - next.score) / MAX_SCORE, 0.6, 1);
+    if (parsed.prefectureInferred) confidence *= 0.9;
+    return { ...m, confidence: i === 0 ? confidence : clamp(m.score / MAX_SCORE, 0, 1) * 0.6 };
+  });
+
+  return { parsed, candidates };
+}
+
+// Top candidate when it is confident enough to apply without asking, else null
+export function detectAreaFromAddress(address: string, areas: AreaMaster[] = AREA_MASTER): AreaKey | null {
+  const top = matchAreas(address, areas).candidates[0];
+  return top && top.confidence >= AUTO_APPLY_CONFIDENCE ? top.key : null;
+}
@@ -0,0 +1,191 @@
+import { useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Download, FileSpreadsheet, Upload, X } from "lucide-react";
+import { downloadText, formatJPY, formatPct } from "./utils";
+import type { AreaMaster, RatePreset } from "./presets";
+import type { GeoAdapter } from "./geo";
+import type { CaseInputs } from "./inputs";
+import {
+  BATCH_INPUT_COLUMNS,
+  batchResultsToCSV,
+  batchTemplateCSV,
+  runBatch,
+  type BatchResultRow,
+} from "./batch";
+
+type Props = {
+  base: CaseInputs; // blank cells take these (the screen's current inputs)
+  areas: AreaMaster[];
+  industries: Record<string, RatePreset>;
+  geoAdapter: GeoAdapter;
+  onClose: () => void;
+};
+
+const PREVIEW_LIMIT = 50;
+
+const num = (v: string | number | undefined) => (typeof v === "number" ? v : 0);
+
+export function BatchPanel({ base, areas, industries, geoAdapter, onClose }: Props) {
+  const [fileName, setFileName] = useState<string>("");
+  const [results, setResults] = useState<BatchResultRow[]>([]);
+  const [progress, setProgress] = useState<{ done: number; total: number } | null>(null);
+  const [error, setError] = useState<string>("");
+
+  async function runFile(file: File) {
+    setError("");
+    setResults([]);
+    setFileName(file.name);
+    try {
+      const text = await file.text();
+      setProgress({ done: 0, total: 0 });
+      const rows = await runBatch(text, base, { areas, industries, geoAdapter }, (done, total) => setProgress({ done, total }));
+      setResults(rows);
+      if (rows.length === 0) setError("データ行がありません（1行目はヘッダーです）。");
+    } catch (e) {
+      setError(`読み込みに失敗しました：${e instanceof Error ? e.message : String(e)}`);
+    } finally {
+      setProgress(null);
+    }
+  }
+
+  const failed = results.filter((r) => r.errors.length > 0).length;
+  // Best prospects first (gross-profit ROAS), rows with errors last
+  const preview = [...results]
+    .sort((a, b) => {
+      if ((a.errors.length > 0) !== (b.errors.length > 0)) return a.errors.length > 0 ? 1 : -1;
+      return num(b.values.gpRoas) - num(a.values.gpRoas);
+    })
+    .slice(0, PREVIEW_LIMIT);
+
+  return (
+    <Card className="rounded-2xl">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <FileSpreadsheet className="h-5 w-5" />
+          一括試算（CSV）
+          {results.length > 0 && (
+            <Badge variant={failed > 0 ? "destructive" : "secondary"}>
+              {results.length}件{failed > 0 ? `（エラー ${failed}件）` : ""}
+            </Badge>
+          )}
+          <Button variant="ghost" size="sm" className="ml-auto" onClick={onClose} title="閉じる">
+            <X className="h-4 w-4" />
+          </Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-xs text-muted-foreground">
+          1行1店舗のCSVを読み込み、画面と同じ手順（住所→エリア判定・駅距離推定→家賃率→試算）で全店を計算します。
+          空欄のセルは今の画面の値を使います（時間帯別・媒体別・シフト・メニューは使いません）。税区分とテイクアウト・デリバリーの構成は画面の設定を全店に当てます。
+        </p>
+
+        <div className="flex flex-wrap gap-2">
+          <Button variant="outline" onClick={() => downloadText("prospects-template.csv", batchTemplateCSV(), "text/csv")}>
+            <Download className="mr-2 h-4 w-4" />
+            テンプレートCSV
+          </Button>
+          <Button variant="outline" asChild disabled={progress !== null}>
+            <label className="cursor-pointer">
+              <Upload className="mr-2 h-4 w-4" />
+              CSVを読み込んで計算
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                className="hidden"
+                onChange={(e) => {
+                  const f = e.target.files?.[0];
+                  if (f) runFile(f);
+                  e.target.value = "";
+                }}
+              />
+            </label>
+          </Button>
+          <Button
+            className="ml-auto"
+            disabled={results.length === 0}
+            onClick={() =>
+              downloadText(`${fileName.replace(/\.csv$/i, "") || "prospects"}-results.csv`, batchResultsToCSV(results), "text/csv")
+            }
+          >
+            <Download className="mr-2 h-4 w-4" />
+            結果CSVをダウンロード
+          </Button>
+        </div>
+
+        {progress && (
+          <p className="text-sm text-muted-foreground">
+            計算中… {progress.done}/{progress.total || "?"}件
+          </p>
+        )}
+        {error && <div className="rounded-xl border border-destructive/50 p-3 text-sm text-destructive">{error}</div>}
+
+        {results.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-muted-foreground">
+                  <th className="py-1 text-left font-normal">行</th>
+                  <th className="py-1 text-left font-normal">店舗</th>
+                  <th className="py-1 text-left font-normal">エリア</th>
+                  <th className="py-1 text-right font-normal">増分粗利/月</th>
+                  <th className="py-1 text-right font-normal">粗利ROAS</th>
+                  <th className="py-1 text-right font-normal">FLR</th>
+                  <th className="py-1 text-right font-normal">回収月</th>
+                  <th className="py-1 text-left font-normal">エラー・注意</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map((r) => (
+                  <tr key={r.row} className="border-t align-top">
+                    <td className="py-1">{r.row}</td>
+                    <td className="py-1">
+                      <div className="font-medium">{r.name || "—"}</div>
+                      <div className="text-muted-foreground">{r.address}</div>
+                    </td>
+                    <td className="py-1">{r.values.areaLabel ?? "—"}</td>
+                    <td className="py-1 text-right">{r.errors.length ? "—" : formatJPY(num(r.values.addGrossProfit))}</td>
+                    <td className={`py-1 text-right ${!r.errors.length && num(r.values.gpRoas) < 1 ? "text-destructive" : ""}`}>
+                      {r.errors.length ? "—" : num(r.values.gpRoas).toFixed(2)}
+                    </td>
+                    <td className="py-1 text-right">{r.errors.length ? "—" : formatPct(num(r.values.flr))}</td>
+                    <td className="py-1 text-right">{r.values.paybackMonth ? `${r.values.paybackMonth}ヶ月目` : "—"}</td>
+                    <td className="py-1">
+                      {r.errors.map((e, i) => (
+                        <div key={`e${i}`} className="text-destructive">
+                          {e}
+                        </div>
+                      ))}
+                      {r.notes.map((n, i) => (
+                        <div key={`n${i}`} className="text-muted-foreground">
+                          {n}
+                        </div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {results.length > PREVIEW_LIMIT && (
+              <p className="mt-2 text-xs text-muted-foreground">
+                粗利ROASの高い順に{PREVIEW_LIMIT}件を表示。全件は結果CSVに入っています。
+              </p>
+            )}
+          </div>
+        )}
+
+        <details className="rounded-xl border p-3 text-xs">
+          <summary className="cursor-pointer font-medium">読み込める列</summary>
+          <div className="mt-2 grid gap-x-4 gap-y-1 sm:grid-cols-2">
+            {BATCH_INPUT_COLUMNS.map((c) => (
+              <div key={c.key}>
+                <code>{c.key}</code> <span className="text-muted-foreground">{c.label}</span>
+              </div>
+            ))}
+          </div>
+        </details>
+      </CardContent>
+    </Card>
+  );
+}
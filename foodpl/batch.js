@@ -0,0 +1,388 @@
+import { csvToObjects, toCSV } from "./csv";
+import {
+  AREA_MASTER,
+  INDUSTRY_PRESETS,
+  STATION_DISTANCE,
+  TRADE_AREA,
+  getIndustry,
+  type AreaMaster,
+  type RatePreset,
+  type ScenarioKey,
+  type StationDistanceKey,
+  type TradeAreaKey,
+  type UnitType,
+} from "./presets";
+import { calculate, type CalcInput } from "./engine";
+import { computeDeliveryMix } from "./delivery";
+import { detectAreaFromAddress } from "./area-match";
+import { bundledGeoAdapter, estimateStationDistance, type GeoAdapter } from "./geo";
+import { computePnl } from "./pnl";
+import { projectMonths } from "./projection";
+import { checkPlausibility } from "./plausibility";
+import { SCENARIO_LABELS } from "./scenarios";
+import type { CaseInputs } from "./inputs";
+
+// --- Batch mode: a CSV of prospect stores in, one result row per store out ---
+// Each row goes through the same steps as the screen: address -> area, address ->
+// station distance, preset / auto rent rate, then the engine, P&L and payback.
+// Blank cells take the value currently on the screen.
+
+export type BatchColumn = { key: string; label: string; example: string };
+
+// Input columns (header names). Only `address` or `area` is really needed.
+export const BATCH_INPUT_COLUMNS: BatchColumn[] = [
+  { key: "name", label: "店舗名", example: "〇〇酒場 駅前店" },
+  { key: "address", label: "住所", example: "大阪府大阪市北区梅田1丁目" },
+  { key: "industry", label: "業態（key か表示名）", example: "居酒屋" },
+  { key: "scenario", label: "シナリオ（low/standard/high か 保守/標準/攻め）", example: "標準" },
+  { key: "unitType", label: "客単価の単位（per_person/per_group か 人/組）", example: "人" },
+  { key: "unitPrice", label: "客単価", example: "4500" },
+  { key: "peoplePerGroup", label: "人数/組", example: "2" },
+  { key: "addGroupsPerDay", label: "増やす組数/日", example: "1" },
+  { key: "seats", label: "席数", example: "40" },
+  { key: "adSpend", label: "広告費/月", example: "80000" },
+  { key: "daysPerMonth", label: "営業日数", example: "26" },
+  { key: "turnover", label: "回転数", example: "" },
+  { key: "occupancy", label: "席稼働率（0.65 か 65%）", example: "" },
+  { key: "area", label: "エリアkey（空欄なら住所から判定）", example: "" },
+  { key: "stationDistance", label: "駅距離key（空欄なら住所から推定）", example: "" },
+  { key: "tradeArea", label: "商圏key", example: "" },
+  { key: "seatsPerTsubo", label: "席/坪", example: "" },
+  { key: "foodRate", label: "原価率（0.30 か 30%、空欄なら業態テンプレ）", example: "" },
+  { key: "laborRate", label: "人件費率（0.30 か 30%、空欄なら業態テンプレ）", example: "" },
+  { key: "rentRate", label: "家賃率（0.10 か 10%、空欄なら自動推定/テンプレ）", example: "" },
+];
+
+export type BatchOptions = {
+  areas?: AreaMaster[];
+  industries?: Record<string, RatePreset>; // built-ins plus user-defined
+  geoAdapter?: GeoAdapter;
+};
+
+export type BatchResultRow = {
+  row: number; // 1-based data row (header excluded)
+  name: string;
+  address: string;
+  errors: string[]; // the row was not calculated
+  notes: string[]; // calculated, with assumptions worth knowing
+  values: Record<string, string | number>; // output columns
+};
+
+const NUMBER_FIELDS = [
+  "unitPrice",
+  "peoplePerGroup",
+  "addGroupsPerDay",
+  "seats",
+  "adSpend",
+  "daysPerMonth",
+  "turnover",
+  "seatsPerTsubo",
+] as const;
+
+// Ratio columns: "0.65" or "65%"
+const RATE_FIELDS = ["occupancy", "foodRate", "laborRate", "rentRate"] as const;
+
+const UNIT_TYPE_ALIASES: Record<string, UnitType> = {
+  per_person: "per_person",
+  per_group: "per_group",
+  人: "per_person",
+  組: "per_group",
+};
+
+// A key, or a label as shown in the dropdown
+function resolveKey<T extends string>(value: string, entries: [string, { label: string }][]): T | null {
+  const hit = entries.find(([k, v]) => k === value || v.label === value);
+  return hit ? (hit[0] as T) : null;
+}
+
+// Yen and counts: thousands separators and 円 are fine; "%" is not (see parseRate)
+function parseNumber(raw: string): number | null {
+  const n = Number(raw.replace(/[,，円\s]/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+// "0.3" or "30%"; a bare "30" (or "1") is ambiguous, so it is rejected
+function parseRate(raw: string): number | null {
+  const pct = /[%％]\s*$/.test(raw);
+  const n = parseNumber(raw.replace(/[%％]\s*$/, ""));
+  if (n === null || n < 0) return null;
+  if (pct) return n / 100;
+  return n < 1 ? n : null;
+}
+
+// Template CSV: header, then one example row
+export function batchTemplateCSV(): string {
+  return toCSV([BATCH_INPUT_COLUMNS.map((c) => c.key), BATCH_INPUT_COLUMNS.map((c) => c.example)]);
+}
+
+export async function runBatch(
+  csvText: string,
+  base: CaseInputs,
+  options: BatchOptions = {},
+  onProgress?: (done: number, total: number) => void
+): Promise<BatchResultRow[]> {
+  const areas = options.areas ?? AREA_MASTER;
+  const industries = options.industries ?? INDUSTRY_PRESETS;
+  const adapter = options.geoAdapter ?? bundledGeoAdapter;
+  const rows = csvToObjects(csvText);
+  const out: BatchResultRow[] = [];
+
+  for (let i = 0; i < rows.length; i++) {
+    out.push(await runBatchRow(rows[i], i + 1, base, areas, industries, adapter));
+    onProgress?.(i + 1, rows.length);
+  }
+  return out;
+}
+
+async function runBatchRow(
+  cells: Record<string, string>,
+  row: number,
+  base: CaseInputs,
+  areas: AreaMaster[],
+  industries: Record<string, RatePreset>,
+  adapter: GeoAdapter
+): Promise<BatchResultRow> {
+  const cell = (k: string) => (cells[k] ?? "").trim();
+  const errors: string[] = [];
+  const notes: string[] = [];
+  const name = cell("name");
+  const address = cell("address");
+
+  // Numbers: blank = screen value
+  const nums: Record<(typeof NUMBER_FIELDS)[number], number> = {
+    unitPrice: base.unitPrice,
+    peoplePerGroup: base.peoplePerGroup,
+    addGroupsPerDay: base.addGroupsPerDay,
+    seats: base.seats,
+    adSpend: base.adSpend,
+    daysPerMonth: base.daysPerMonth,
+    turnover: base.turnover,
+    seatsPerTsubo: base.seatsPerTsubo,
+  };
+  for (const k of NUMBER_FIELDS) {
+    if (!cell(k)) continue;
+    const n = parseNumber(cell(k));
+    if (/[%％]/.test(cell(k))) errors.push(`${k} に % は使えません（${cell(k)}）`);
+    else if (n === null || n < 0) errors.push(`${k} が数値ではありません（${cell(k)}）`);
+    else nums[k] = n;
+  }
+
+  const rateOf = (k: (typeof RATE_FIELDS)[number]): number | null => {
+    if (!cell(k)) return null;
+    const n = parseRate(cell(k));
+    if (n === null) errors.push(`${k} は 0.30 か 30% の形式で入力してください（${cell(k)}）`);
+    return n;
+  };
+  const occupancy = rateOf("occupancy") ?? base.occupancy;
+  const manualFood = rateOf("foodRate");
+  const manualLabor = rateOf("laborRate");
+  const manualRent = rateOf("rentRate");
+
+  // Enums: key or label
+  let industry = base.industry;
+  if (cell("industry")) {
+    const hit = resolveKey<string>(cell("industry"), Object.entries(industries));
+    if (hit) industry = hit;
+    else errors.push(`業態「${cell("industry")}」がありません`);
+  }
+  const preset: RatePreset = getIndustry(industry, industries);
+
+  let scenario: ScenarioKey = base.scenario;
+  if (cell("scenario")) {
+    const hit = resolveKey<ScenarioKey>(
+      cell("scenario"),
+      Object.entries(SCENARIO_LABELS).map(([k, label]) => [k, { label }])
+    );
+    if (hit) scenario = hit;
+    else errors.push(`シナリオ「${cell("scenario")}」がありません`);
+  }
+
+  let unitType: UnitType = base.unitType;
+  if (cell("unitType")) {
+    const v = cell("unitType");
+    if (Object.prototype.hasOwnProperty.call(UNIT_TYPE_ALIASES, v)) unitType = UNIT_TYPE_ALIASES[v];
+    else errors.push(`客単価の単位「${cell("unitType")}」は 人 / 組 で指定してください`);
+  }
+
+  let tradeArea: TradeAreaKey = base.tradeArea;
+  if (cell("tradeArea")) {
+    const hit = resolveKey<TradeAreaKey>(cell("tradeArea"), Object.entries(TRADE_AREA));
+    if (hit) tradeArea = hit;
+    else errors.push(`商圏「${cell("tradeArea")}」がありません`);
+  }
+
+  // Area: explicit, else detected from the address (same matcher as the screen)
+  let area = base.area;
+  if (cell("area")) {
+    const hit = areas.find((a) => a.key === cell("area") || a.label === cell("area"));
+    if (hit) area = hit.key;
+    else errors.push(`エリア「${cell("area")}」がマスタにありません`);
+  } else {
+    const detected = address ? detectAreaFromAddress(address, areas) : null;
+    if (detected) area = detected;
+    else notes.push("住所からエリアを判定できない（または確度が低い）ため、画面のエリアを使用");
+  }
+
+  // Station distance: explicit, else estimated when the address is precise enough
+  let stationDistance: StationDistanceKey = "unknown";
+  if (cell("stationDistance")) {
+    const hit = resolveKey<StationDistanceKey>(cell("stationDistance"), Object.entries(STATION_DISTANCE));
+    if (hit) stationDistance = hit;
+    else errors.push(`駅距離「${cell("stationDistance")}」がありません`);
+  } else if (address) {
+    const est = await estimateStationDistance(address, adapter);
+    if (est?.applicable) stationDistance = est.bucket;
+    else notes.push("駅距離は推定できず「不明」で計算");
+  }
+
+  if (errors.length > 0) return { row, name, address, errors, notes, values: {} };
+
+  // Rates: manual cells win; F/L from the preset; R from the area suggestion when it exists
+  const rates = preset.scenarios[scenario];
+  const input: CalcInput = {
+    ...nums,
+    occupancy,
+    unitType,
+    area,
+    stationDistance,
+    tradeArea,
+    foodRate: manualFood ?? rates.food,
+    laborRate: manualLabor ?? rates.labor,
+    rentRate: rates.rent,
+    // Tax basis and channel split from the screen; the takeout share follows the
+    // channel split, else the industry, like on screen
+    tax: {
+      mode: base.priceTaxMode,
+      takeoutShare: base.useDeliveryModel
+        ? computeDeliveryMix(base.deliveryModel).offPremiseShare
+        : preset.takeoutShare ?? base.takeoutShare,
+    },
+    delivery: base.useDeliveryModel ? base.deliveryModel : null,
+    // Time-slot demand is not in the CSV: the screen's model applies to every row
+    demand: base.useDemandModel ? base.demandModel : null,
+  };
+  if (base.useDemandModel) notes.push("月商は画面の時間帯別需要モデルで計算（席稼働率・回転数の列は不使用）");
+  const suggested = calculate(input, { areas }).rentSuggestion.rentRateSuggested;
+  let rentRateSource = "テンプレ";
+  if (manualRent !== null) {
+    input.rentRate = manualRent;
+    rentRateSource = "入力";
+  } else if (base.autoSetRentRate && suggested > 0) {
+    input.rentRate = suggested;
+    rentRateSource = "自動";
+  }
+
+  const result = calculate(input, { areas });
+  const { rentSuggestion: rs, normalized: n } = result;
+  const pnl = computePnl(n, input.adSpend, base.costLines);
+  const projection = projectMonths(n, input.adSpend, {
+    months: base.projectionMonths,
+    curve: base.rampCurve,
+    rampMonths: base.rampMonths,
+    adSpendByMonth: [],
+  });
+  const checks = checkPlausibility(input, result, {
+    industry: preset,
+    useBaseline: base.useBaseline,
+    autoRentRate: rentRateSource === "自動",
+  });
+  for (const c of checks) notes.push(`${c.level === "error" ? "[不可能] " : "[要確認] "}${c.message}`);
+
+  const yen = (v: number) => Math.round(v);
+  const ratio = (v: number) => Math.round(v * 10000) / 10000;
+
+  return {
+    row,
+    name,
+    address,
+    errors,
+    notes,
+    values: {
+      industry: preset.label,
+      scenario: SCENARIO_LABELS[scenario],
+      area,
+      areaLabel: rs.areaLabel,
+      stationDistance: STATION_DISTANCE[stationDistance].label,
+      tradeArea: TRADE_AREA[tradeArea].label,
+      unitType: unitType === "per_person" ? "人" : "組",
+      unitPrice: input.unitPrice,
+      peoplePerGroup: n.ppg,
+      addGroupsPerDay: n.addG,
+      seats: n.seatsN,
+      adSpend: yen(input.adSpend),
+      daysPerMonth: n.days,
+      foodRate: ratio(n.food),
+      laborRate: ratio(n.labor),
+      rentRate: ratio(n.rent),
+      rentRateSource,
+      rentPerTsubo: yen(rs.rentPerTsubo),
+      tsubo: Math.round(rs.tsubo * 10) / 10,
+      estimatedRentMonthly: yen(rs.estimatedRentMonthly),
+      coversPerDay: Math.round(n.coversPerDay * 10) / 10,
+      baselineRevenueMonthly: yen(n.baselineRevenueMonthly),
+      addRevenueMonthly: yen(n.addRevenueMonthly),
+      addGrossProfit: yen(n.addGrossProfit),
+      roas: ratio(n.roas),
+      gpRoas: ratio(n.gpRoas),
+      breakevenGroupsPerDay: ratio(n.breakevenGroupsPerDay_Gross),
+      fl: ratio(n.fl),
+      flr: ratio(n.flr),
+      baselineOperatingProfitApprox: yen(n.baselineOperatingProfitApprox),
+      operatingProfit: yen(pnl.operatingProfit),
+      breakevenSales: yen(pnl.breakevenSales),
+      paybackMonth: projection.paybackMonth ?? "",
+    },
+  };
+}
+
+// Output columns, in order (values keys), after row / name / address / status
+export const BATCH_OUTPUT_COLUMNS = [
+  "industry",
+  "scenario",
+  "area",
+  "areaLabel",
+  "stationDistance",
+  "tradeArea",
+  "unitType",
+  "unitPrice",
+  "peoplePerGroup",
+  "addGroupsPerDay",
+  "seats",
+  "adSpend",
+  "daysPerMonth",
+  "foodRate",
+  "laborRate",
+  "rentRate",
+  "rentRateSource",
+  "rentPerTsubo",
+  "tsubo",
+  "estimatedRentMonthly",
+  "coversPerDay",
+  "baselineRevenueMonthly",
+  "addRevenueMonthly",
+  "addGrossProfit",
+  "roas",
+  "gpRoas",
+  "breakevenGroupsPerDay",
+  "fl",
+  "flr",
+  "baselineOperatingProfitApprox",
+  "operatingProfit",
+  "breakevenSales",
+  "paybackMonth",
+];
+
+export function batchResultsToCSV(rows: BatchResultRow[]): string {
+  return toCSV([
+    ["row", "name", "address", "status", ...BATCH_OUTPUT_COLUMNS, "errors", "notes"],
+    ...rows.map((r) => [
+      r.row,
+      r.name,
+      r.address,
+      r.errors.length > 0 ? "error" : "ok",
+      ...BATCH_OUTPUT_COLUMNS.map((k) => r.values[k] ?? ""),
+      r.errors.join(" / "),
+      r.notes.join(" / "),
+    ]),
+  ]);
+}
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runBatch } from "./batch";
+import { DEFAULT_INPUTS } from "./inputs";
+
+// No address: area given, station distance left at 不明 (no geo lookup)
+const run = (occupancy: string) => runBatch(`name,area,occupancy\nA,regional_city,${occupancy}\n`, DEFAULT_INPUTS);
+
+// 30 seats × 2 turns × 6,000円 × 26 days at the given occupancy
+const salesAt = (occupancy: number) => Math.round(30 * occupancy * 2 * 6000 * 26);
+
+test("runBatch: occupancy as a ratio or a percentage", async () => {
+  for (const [cell, rate] of [
+    ["0.65", 0.65],
+    ["65%", 0.65],
+    ["100%", 1],
+  ] as const) {
+    const [row] = await run(cell);
+    assert.deepEqual(row.errors, [], cell);
+    assert.equal(row.values.baselineRevenueMonthly, salesAt(rate), cell);
+  }
+});
+
+test("runBatch: a bare occupancy of 1 or more is rejected", async () => {
+  for (const cell of ["65", "1"]) {
+    const [row] = await run(cell);
+    assert.equal(row.errors.length, 1, cell);
+    assert.match(row.errors[0], /occupancy/);
+  }
+});
+
+test("runBatch: % is rejected in yen columns", async () => {
+  const [row] = await runBatch("name,area,unitPrice\nA,regional_city,4500%\n", DEFAULT_INPUTS);
+  assert.equal(row.errors.length, 1);
+  assert.match(row.errors[0], /unitPrice/);
+});
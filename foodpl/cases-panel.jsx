@@ -0,0 +1,177 @@
+import React, { useMemo, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { CopyPlus, FolderOpen, Pencil, Save, Search, Trash2 } from "lucide-react";
+import type { CaseInputs } from "./inputs";
+import {
+  addCase,
+  duplicateCase,
+  loadCases,
+  persistCases,
+  removeCase,
+  searchCases,
+  sortCases,
+  updateCase,
+  type SavedCase,
+} from "./cases";
+
+type Props = {
+  currentInputs: CaseInputs;
+  activeCaseId: string | null;
+  onActiveCaseChange: (c: SavedCase | null) => void;
+  onOpen: (c: SavedCase) => void;
+};
+
+function formatDateTime(iso: string): string {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "—" : d.toLocaleString("ja-JP", { dateStyle: "short", timeStyle: "short" });
+}
+
+export function CasesPanel({ currentInputs, activeCaseId, onActiveCaseChange, onOpen }: Props) {
+  const [cases, setCases] = useState<SavedCase[]>([]);
+  const [newName, setNewName] = useState<string>("");
+  const [query, setQuery] = useState<string>("");
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [editName, setEditName] = useState<string>("");
+
+  // Load once on mount (browser only)
+  React.useEffect(() => {
+    setCases(sortCases(loadCases()));
+  }, []);
+
+  function commit(next: SavedCase[]) {
+    setCases(next);
+    persistCases(next);
+  }
+
+  const visible = useMemo(() => searchCases(cases, query), [cases, query]);
+  const active = cases.find((c) => c.id === activeCaseId) || null;
+
+  function saveAsNew() {
+    const name = newName.trim() || currentInputs.address.trim() || "無題の案件";
+    const { cases: next, saved } = addCase(cases, name, currentInputs);
+    commit(next);
+    setNewName("");
+    onActiveCaseChange(saved);
+  }
+
+  function overwrite() {
+    if (!active) return;
+    const next = updateCase(cases, active.id, { inputs: currentInputs });
+    commit(next);
+    onActiveCaseChange(next.find((c) => c.id === active.id) || null);
+  }
+
+  function startRename(c: SavedCase) {
+    setEditingId(c.id);
+    setEditName(c.name);
+  }
+
+  function finishRename() {
+    if (!editingId) return;
+    const next = updateCase(cases, editingId, { name: editName });
+    commit(next);
+    if (editingId === activeCaseId) onActiveCaseChange(next.find((c) => c.id === editingId) || null);
+    setEditingId(null);
+  }
+
+  function remove(c: SavedCase) {
+    if (!window.confirm(`「${c.name}」を削除しますか？`)) return;
+    commit(removeCase(cases, c.id));
+    if (c.id === activeCaseId) onActiveCaseChange(null);
+  }
+
+  return (
+    <Card className="rounded-2xl">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <FolderOpen className="h-5 w-5" />
+          保存した案件
+          <Badge variant="secondary">{cases.length}件</Badge>
+          {active && <Badge>編集中：{active.name}</Badge>}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-col gap-2 md:flex-row">
+          <Input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="案件名（空なら住所）"
+          />
+          <div className="flex gap-2">
+            <Button variant="outline" onClick={saveAsNew}>
+              <Save className="mr-2 h-4 w-4" />
+              新規保存
+            </Button>
+            <Button onClick={overwrite} disabled={!active}>
+              上書き保存
+            </Button>
+          </div>
+        </div>
+
+        <div className="relative">
+          <Search className="absolute left-3 top-2.5 h-4 w-4 text-muted-foreground" />
+          <Input
+            className="pl-9"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="案件名・住所で検索"
+          />
+        </div>
+
+        {visible.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            {cases.length === 0 ? "まだ保存された案件はありません。" : "該当する案件がありません。"}
+          </p>
+        ) : (
+          <div className="max-h-72 space-y-2 overflow-y-auto">
+            {visible.map((c) => (
+              <div
+                key={c.id}
+                className={`flex flex-col gap-2 rounded-xl border p-3 md:flex-row md:items-center md:justify-between ${
+                  c.id === activeCaseId ? "bg-muted/40" : ""
+                }`}
+              >
+                <div className="min-w-0 space-y-1">
+                  {editingId === c.id ? (
+                    <Input
+                      autoFocus
+                      value={editName}
+                      onChange={(e) => setEditName(e.target.value)}
+                      onBlur={finishRename}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") finishRename();
+                        if (e.key === "Escape") setEditingId(null);
+                      }}
+                    />
+                  ) : (
+                    <div className="truncate text-sm font-medium">{c.name}</div>
+                  )}
+                  <div className="truncate text-xs text-muted-foreground">
+                    {c.inputs.address || "住所未入力"} ・ 更新 {formatDateTime(c.updatedAt)}
+                  </div>
+                </div>
+                <div className="flex shrink-0 gap-1">
+                  <Button size="sm" onClick={() => onOpen(c)}>
+                    開く
+                  </Button>
+                  <Button size="sm" variant="outline" onClick={() => commit(duplicateCase(cases, c.id))} title="複製">
+                    <CopyPlus className="h-4 w-4" />
+                  </Button>
+                  <Button size="sm" variant="outline" onClick={() => startRename(c)} title="名前変更">
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                  <Button size="sm" variant="outline" onClick={() => remove(c)} title="削除">
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
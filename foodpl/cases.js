@@ -0,0 +1,85 @@
+import { keepLegacyStationDistance, sanitizeInputs, type CaseInputs } from "./inputs";
+
+// --- Saved prospect cases (browser storage) ---
+
+export type SavedCase = {
+  id: string;
+  name: string;
+  createdAt: string; // ISO
+  updatedAt: string; // ISO
+  inputs: CaseInputs;
+};
+
+const STORAGE_KEY = "foodpl.cases.v1";
+
+export function newId(): string {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export function loadCases(): SavedCase[] {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    if (!raw) return [];
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) return [];
+    return parsed
+      .filter((c) => c && typeof c.id === "string" && typeof c.name === "string")
+      .map((c) => ({
+        id: c.id,
+        name: c.name,
+        createdAt: typeof c.createdAt === "string" ? c.createdAt : new Date(0).toISOString(),
+        updatedAt: typeof c.updatedAt === "string" ? c.updatedAt : new Date(0).toISOString(),
+        inputs: sanitizeInputs(c.inputs && typeof c.inputs === "object" ? keepLegacyStationDistance(c.inputs) : c.inputs),
+      }));
+  } catch (e) {
+    return [];
+  }
+}
+
+export function persistCases(cases: SavedCase[]): void {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(cases));
+  } catch (e) {
+    // no-op (quota / private mode)
+  }
+}
+
+// --- Pure list operations (return a new list, newest first) ---
+
+export function sortCases(cases: SavedCase[]): SavedCase[] {
+  return [...cases].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export function addCase(cases: SavedCase[], name: string, inputs: CaseInputs): { cases: SavedCase[]; saved: SavedCase } {
+  const now = new Date().toISOString();
+  const saved: SavedCase = { id: newId(), name: name.trim() || "無題の案件", createdAt: now, updatedAt: now, inputs };
+  return { cases: sortCases([saved, ...cases]), saved };
+}
+
+export function updateCase(cases: SavedCase[], id: string, patch: Partial<Pick<SavedCase, "name" | "inputs">>): SavedCase[] {
+  const now = new Date().toISOString();
+  return sortCases(
+    cases.map((c) =>
+      c.id === id
+        ? { ...c, ...patch, name: (patch.name ?? c.name).trim() || c.name, updatedAt: now }
+        : c
+    )
+  );
+}
+
+export function duplicateCase(cases: SavedCase[], id: string): SavedCase[] {
+  const src = cases.find((c) => c.id === id);
+  if (!src) return cases;
+  return addCase(cases, `${src.name}（コピー）`, src.inputs).cases;
+}
+
+export function removeCase(cases: SavedCase[], id: string): SavedCase[] {
+  return cases.filter((c) => c.id !== id);
+}
+
+export function searchCases(cases: SavedCase[], query: string): SavedCase[] {
+  const q = query.trim().toLowerCase();
+  if (!q) return cases;
+  return cases.filter((c) => c.name.toLowerCase().includes(q) || c.inputs.address.toLowerCase().includes(q));
+}
@@ -0,0 +1,160 @@
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Megaphone, Plus, RotateCcw, Trash2 } from "lucide-react";
+import { formatJPY, numOr0 } from "./utils";
+import { newId } from "./cases";
+import {
+  CHANNEL_COST_MODELS,
+  DEFAULT_CHANNELS,
+  type AdChannel,
+  type ChannelCostModel,
+  type ChannelMixResult,
+  type ChannelResult,
+} from "./channels";
+
+type Props = {
+  enabled: boolean;
+  onEnabledChange: (v: boolean) => void;
+  channels: AdChannel[];
+  onChannelsChange: (channels: AdChannel[]) => void;
+  result: ChannelMixResult;
+};
+
+// Which numbers a cost model asks for
+const VOLUME_LABEL: Record<ChannelCostModel, string> = {
+  fixed: "予約数/月",
+  per_reservation: "予約数/月",
+  per_click: "クリック/月",
+};
+
+export function ChannelMixPanel({ enabled, onEnabledChange, channels, onChannelsChange, result }: Props) {
+  const patch = (id: string, p: Partial<AdChannel>) => onChannelsChange(channels.map((c) => (c.id === id ? { ...c, ...p } : c)));
+
+  const numberInput = (c: AdChannel, key: "fixedMonthly" | "unitCost" | "volume" | "conversionRate", placeholder: string) => (
+    <Input
+      className="h-8"
+      inputMode="decimal"
+      value={String(c[key])}
+      onChange={(e) => patch(c.id, { [key]: numOr0(e.target.value) })}
+      placeholder={placeholder}
+      title={placeholder}
+    />
+  );
+
+  const resultRow = (r: ChannelResult, bold = false) => (
+    <tr key={r.id} className={`border-t ${bold ? "font-semibold" : ""}`}>
+      <td className="py-1">{r.label}</td>
+      <td className="py-1 text-right">{formatJPY(r.spend)}</td>
+      <td className="py-1 text-right">{r.reservationsMonthly.toFixed(1)}</td>
+      <td className="py-1 text-right">{r.groupsPerDay.toFixed(2)}</td>
+      <td className="py-1 text-right">{formatJPY(r.revenueMonthly)}</td>
+      <td className="py-1 text-right">{r.roas.toFixed(2)}</td>
+      <td className={`py-1 text-right ${r.spend > 0 && r.gpRoas < 1 ? "text-destructive" : ""}`}>{r.gpRoas.toFixed(2)}</td>
+      <td className="py-1 text-right">{r.reservationsMonthly > 0 ? formatJPY(r.cpa) : "—"}</td>
+    </tr>
+  );
+
+  return (
+    <div className="rounded-2xl border p-4">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2 text-sm font-medium">
+          <Megaphone className="h-4 w-4" />
+          媒体別の広告効果（チャネルミックス）
+        </div>
+        <div className="flex items-center gap-2">
+          <span className="text-xs text-muted-foreground">広告費・増加組数に反映</span>
+          <Switch checked={enabled} onCheckedChange={onEnabledChange} />
+        </div>
+      </div>
+
+      <div className="mt-3 space-y-2">
+        <div className="grid grid-cols-[auto_1fr_8rem_6rem_6rem_6rem_6rem_auto] items-center gap-2 text-xs text-muted-foreground">
+          <span />
+          <span>媒体</span>
+          <span>課金方式</span>
+          <span>月額固定</span>
+          <span>単価</span>
+          <span>数量</span>
+          <span>CVR</span>
+          <span />
+        </div>
+        {channels.map((c) => (
+          <div key={c.id} className="grid grid-cols-[auto_1fr_8rem_6rem_6rem_6rem_6rem_auto] items-center gap-2">
+            <Switch checked={c.enabled} onCheckedChange={(v) => patch(c.id, { enabled: v })} />
+            <Input className="h-8" value={c.label} onChange={(e) => patch(c.id, { label: e.target.value })} />
+            <Select value={c.costModel} onValueChange={(v) => patch(c.id, { costModel: v as ChannelCostModel })}>
+              <SelectTrigger className="h-8">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(CHANNEL_COST_MODELS).map(([k, label]) => (
+                  <SelectItem key={k} value={k}>
+                    {label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            {numberInput(c, "fixedMonthly", "円/月")}
+            {c.costModel === "fixed" ? <span /> : numberInput(c, "unitCost", c.costModel === "per_click" ? "円/クリック" : "円/予約")}
+            {numberInput(c, "volume", VOLUME_LABEL[c.costModel])}
+            {c.costModel === "per_click" ? numberInput(c, "conversionRate", "予約率（0.02 = 2%）") : <span />}
+            <Button size="sm" variant="ghost" onClick={() => onChannelsChange(channels.filter((x) => x.id !== c.id))} title="削除">
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        ))}
+        <div className="flex flex-wrap gap-2">
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() =>
+              onChannelsChange([
+                ...channels,
+                { id: newId(), label: "", enabled: true, costModel: "fixed", fixedMonthly: 0, unitCost: 0, volume: 0, conversionRate: 0 },
+              ])
+            }
+          >
+            <Plus className="mr-2 h-4 w-4" />
+            媒体を追加
+          </Button>
+          <Button size="sm" variant="outline" onClick={() => onChannelsChange(DEFAULT_CHANNELS)}>
+            <RotateCcw className="mr-2 h-4 w-4" />
+            既定に戻す
+          </Button>
+        </div>
+      </div>
+
+      <div className="mt-4 overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-muted-foreground">
+              <th className="py-1 text-left font-normal">媒体</th>
+              <th className="py-1 text-right font-normal">費用/月</th>
+              <th className="py-1 text-right font-normal">予約/月</th>
+              <th className="py-1 text-right font-normal">組/日</th>
+              <th className="py-1 text-right font-normal">増分売上</th>
+              <th className="py-1 text-right font-normal">ROAS</th>
+              <th className="py-1 text-right font-normal">粗利ROAS</th>
+              <th className="py-1 text-right font-normal">CPA</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.channels.map((r) => resultRow(r))}
+            {resultRow(result.total, true)}
+          </tbody>
+        </table>
+      </div>
+      <p className="mt-2 text-xs text-muted-foreground">
+        ※ 1予約 = 1組。売上・粗利は現在の客単価・人数/組・原価率で計算。ONの間は合計を広告費と増やしたい組数/日に使います。
+      </p>
+    </div>
+  );
+}
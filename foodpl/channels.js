@@ -0,0 +1,99 @@
+import { safeDiv } from "./utils";
+
+// --- Ad channel mix ---
+// Each channel has its own cost model; reservations per month are turned into
+// groups/day, revenue and ROAS with the same per-group price and F as the main result.
+
+export type ChannelCostModel = "fixed" | "per_reservation" | "per_click";
+
+export const CHANNEL_COST_MODELS: Record<ChannelCostModel, string> = {
+  fixed: "月額固定",
+  per_reservation: "予約課金",
+  per_click: "クリック課金",
+};
+
+export type AdChannel = {
+  id: string;
+  label: string;
+  enabled: boolean;
+  costModel: ChannelCostModel;
+  fixedMonthly: number; // yen per month (any model may have a base fee)
+  unitCost: number; // per reservation or per click (yen)
+  volume: number; // reservations per month, or clicks per month for per_click
+  conversionRate: number; // clicks -> reservations (per_click only)
+};
+
+export const DEFAULT_CHANNELS: AdChannel[] = [
+  { id: "portal", label: "グルメサイト掲載", enabled: true, costModel: "fixed", fixedMonthly: 50000, unitCost: 0, volume: 20, conversionRate: 0 },
+  { id: "sns", label: "SNS広告", enabled: true, costModel: "per_click", fixedMonthly: 0, unitCost: 40, volume: 1000, conversionRate: 0.01 },
+  { id: "search", label: "検索広告", enabled: true, costModel: "per_click", fixedMonthly: 0, unitCost: 80, volume: 400, conversionRate: 0.03 },
+  { id: "flyer", label: "チラシ・ポスティング", enabled: true, costModel: "fixed", fixedMonthly: 30000, unitCost: 0, volume: 5, conversionRate: 0 },
+  {
+    id: "booking",
+    label: "予約サイト（送客課金）",
+    enabled: false,
+    costModel: "per_reservation",
+    fixedMonthly: 0,
+    unitCost: 1200,
+    volume: 10,
+    conversionRate: 0,
+  },
+];
+
+export type ChannelResult = {
+  id: string;
+  label: string;
+  spend: number;
+  reservationsMonthly: number;
+  groupsPerDay: number;
+  revenueMonthly: number;
+  grossProfit: number;
+  roas: number;
+  gpRoas: number;
+  cpa: number; // spend per reservation
+};
+
+export type ChannelMixResult = {
+  channels: ChannelResult[]; // enabled only
+  total: ChannelResult;
+};
+
+export function reservationsOf(c: AdChannel): number {
+  return c.costModel === "per_click" ? c.volume * c.conversionRate : c.volume;
+}
+
+export function spendOf(c: AdChannel): number {
+  if (c.costModel === "fixed") return c.fixedMonthly;
+  return c.fixedMonthly + c.unitCost * c.volume; // volume = reservations or clicks
+}
+
+export function computeChannelMix(
+  channels: AdChannel[],
+  ctx: { revenuePerGroup: number; foodRate: number; days: number; costPerGroup?: number } // costPerGroup: delivery commission + packaging
+): ChannelMixResult {
+  const build = (id: string, label: string, spend: number, reservationsMonthly: number): ChannelResult => {
+    const revenueMonthly = reservationsMonthly * ctx.revenuePerGroup;
+    const grossProfit = revenueMonthly * (1 - ctx.foodRate) - reservationsMonthly * (ctx.costPerGroup ?? 0);
+    return {
+      id,
+      label,
+      spend,
+      reservationsMonthly,
+      groupsPerDay: safeDiv(reservationsMonthly, ctx.days),
+      revenueMonthly,
+      grossProfit,
+      roas: safeDiv(revenueMonthly, spend),
+      gpRoas: safeDiv(grossProfit, spend),
+      cpa: safeDiv(spend, reservationsMonthly),
+    };
+  };
+
+  const rows = channels.filter((c) => c.enabled).map((c) => build(c.id, c.label, spendOf(c), reservationsOf(c)));
+  const total = build(
+    "total",
+    "合計",
+    rows.reduce((s, r) => s + r.spend, 0),
+    rows.reduce((s, r) => s + r.reservationsMonthly, 0)
+  );
+  return { channels: rows, total };
+}
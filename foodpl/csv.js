@@ -0,0 +1,60 @@
+// --- Minimal CSV (RFC 4180-ish: quoted fields, "" escapes, CRLF/LF) ---
+
+export function parseCSV(text: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = "";
+  let inQuotes = false;
+  const src = text.replace(/^﻿/, ""); // Excel BOM
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"') inQuotes = true;
+    else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Drop fully empty lines
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+function escapeField(v: string | number): string {
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCSV(rows: (string | number)[][]): string {
+  return rows.map((r) => r.map(escapeField).join(",")).join("\r\n") + "\r\n";
+}
+
+// Header row -> objects keyed by (trimmed) column name
+export function csvToObjects(text: string): Record<string, string>[] {
+  const [header, ...body] = parseCSV(text);
+  if (!header) return [];
+  const keys = header.map((h) => h.trim());
+  return body.map((r) => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? "").trim()])));
+}
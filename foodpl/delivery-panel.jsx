@@ -0,0 +1,175 @@
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import { Button } from "@/components/ui/button";
+import { Bike, Plus, RotateCcw, Trash2 } from "lucide-react";
+import { formatJPY, formatPct, numOr0 } from "./utils";
+import { newId } from "./cases";
+import {
+  DEFAULT_DELIVERY_MODEL,
+  type DeliveryChannelResult,
+  type DeliveryMix,
+  type DeliveryModel,
+  type DeliveryPlatform,
+} from "./delivery";
+
+type Breakdown = { channels: DeliveryChannelResult[]; costMonthly: number; costRate: number };
+
+type Props = {
+  enabled: boolean;
+  onEnabledChange: (v: boolean) => void;
+  model: DeliveryModel;
+  onModelChange: (m: DeliveryModel) => void;
+  mix: DeliveryMix;
+  baseline: Breakdown | null; // null when the seat-based baseline is off
+  increment: Breakdown;
+};
+
+export function DeliveryPanel({ enabled, onEnabledChange, model, onModelChange, mix, baseline, increment }: Props) {
+  const patchPlatform = (id: string, p: Partial<DeliveryPlatform>) =>
+    onModelChange({ ...model, platforms: model.platforms.map((x) => (x.id === id ? { ...x, ...p } : x)) });
+
+  const numberInput = (value: number, onChange: (v: number) => void, placeholder: string) => (
+    <Input
+      className="h-8"
+      inputMode="decimal"
+      value={String(value)}
+      onChange={(e) => onChange(numOr0(e.target.value))}
+      placeholder={placeholder}
+      title={placeholder}
+    />
+  );
+
+  return (
+    <div className="rounded-2xl border p-4">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2 text-sm font-medium">
+          <Bike className="h-4 w-4" />
+          テイクアウト・デリバリー（チャネル構成）
+        </div>
+        <div className="flex items-center gap-2">
+          <span className="text-xs text-muted-foreground">粗利・P&Lに反映</span>
+          <Switch checked={enabled} onCheckedChange={onEnabledChange} />
+        </div>
+      </div>
+
+      <div className="mt-3 space-y-2">
+        <p className="text-xs text-muted-foreground">
+          注文（組）の比率で按分します（0.20 = 20%）。残りが店内飲食。手数料は各プラットフォームの売上に、容器代は注文ごとにかかります。
+        </p>
+        <div className="grid grid-cols-[auto_1fr_6rem_6rem_6rem_auto] items-center gap-2 text-xs text-muted-foreground">
+          <span />
+          <span>チャネル</span>
+          <span>注文比率</span>
+          <span>手数料率</span>
+          <span>容器代/件</span>
+          <span />
+        </div>
+        <div className="grid grid-cols-[auto_1fr_6rem_6rem_6rem_auto] items-center gap-2">
+          <span className="w-9" />
+          <span className="text-sm">自店テイクアウト</span>
+          {numberInput(model.ownTakeoutShare, (v) => onModelChange({ ...model, ownTakeoutShare: v }), "0.10")}
+          <span className="text-xs text-muted-foreground">—</span>
+          {numberInput(model.ownTakeoutPackaging, (v) => onModelChange({ ...model, ownTakeoutPackaging: v }), "円/件")}
+          <span />
+        </div>
+        {model.platforms.map((p) => (
+          <div key={p.id} className="grid grid-cols-[auto_1fr_6rem_6rem_6rem_auto] items-center gap-2">
+            <Switch checked={p.enabled} onCheckedChange={(v) => patchPlatform(p.id, { enabled: v })} />
+            <Input className="h-8" value={p.label} onChange={(e) => patchPlatform(p.id, { label: e.target.value })} />
+            {numberInput(p.share, (v) => patchPlatform(p.id, { share: v }), "0.15")}
+            {numberInput(p.commissionRate, (v) => patchPlatform(p.id, { commissionRate: v }), "0.35")}
+            {numberInput(p.packagingPerOrder, (v) => patchPlatform(p.id, { packagingPerOrder: v }), "円/件")}
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={() => onModelChange({ ...model, platforms: model.platforms.filter((x) => x.id !== p.id) })}
+              title="削除"
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        ))}
+        <div className="flex flex-wrap gap-2">
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() =>
+              onModelChange({
+                ...model,
+                platforms: [
+                  ...model.platforms,
+                  { id: newId(), label: "", enabled: true, share: 0, commissionRate: 0.35, packagingPerOrder: 50 },
+                ],
+              })
+            }
+          >
+            <Plus className="mr-2 h-4 w-4" />
+            プラットフォームを追加
+          </Button>
+          <Button size="sm" variant="outline" onClick={() => onModelChange(DEFAULT_DELIVERY_MODEL)}>
+            <RotateCcw className="mr-2 h-4 w-4" />
+            既定に戻す
+          </Button>
+        </div>
+        {mix.overAllocated && (
+          <p className="text-xs text-destructive">
+            テイクアウト・デリバリーの比率の合計が100%を超えています（比率を按分し直し、店内飲食0%として計算）。
+          </p>
+        )}
+      </div>
+
+      <div className="mt-4 overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-muted-foreground">
+              <th className="py-1 text-left font-normal">チャネル</th>
+              <th className="py-1 text-right font-normal">比率</th>
+              {baseline && <th className="py-1 text-right font-normal">現状 件/日</th>}
+              <th className="py-1 text-right font-normal">増加 件/日</th>
+              <th className="py-1 text-right font-normal">増分売上/月</th>
+              <th className="py-1 text-right font-normal">手数料/月</th>
+              <th className="py-1 text-right font-normal">容器代/月</th>
+            </tr>
+          </thead>
+          <tbody>
+            {increment.channels.map((c, i) => (
+              <tr key={c.id} className="border-t">
+                <td className="py-1">{c.label || "—"}</td>
+                <td className="py-1 text-right">{formatPct(c.share)}</td>
+                {baseline && <td className="py-1 text-right">{baseline.channels[i].ordersPerDay.toFixed(1)}</td>}
+                <td className="py-1 text-right">{c.ordersPerDay.toFixed(2)}</td>
+                <td className="py-1 text-right">{formatJPY(c.salesMonthly)}</td>
+                <td className="py-1 text-right">{formatJPY(c.commissionMonthly)}</td>
+                <td className="py-1 text-right">{formatJPY(c.packagingMonthly)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-3 grid gap-2 text-xs sm:grid-cols-2">
+        <div className="rounded-xl bg-muted/40 p-3">
+          <div className="text-muted-foreground">増分から差し引く手数料・容器代</div>
+          <div className="text-base font-semibold">
+            {formatJPY(increment.costMonthly)}/月
+            <span className="ml-1 text-xs font-normal text-muted-foreground">（増分売上の{formatPct(increment.costRate)}）</span>
+          </div>
+        </div>
+        {baseline && (
+          <div className="rounded-xl bg-muted/40 p-3">
+            <div className="text-muted-foreground">現状の月商から差し引く分</div>
+            <div className="text-base font-semibold">
+              {formatJPY(baseline.costMonthly)}/月
+              <span className="ml-1 text-xs font-normal text-muted-foreground">（月商の{formatPct(baseline.costRate)}）</span>
+            </div>
+          </div>
+        )}
+      </div>
+      {enabled && mix.offPremiseShare > 0 && (
+        <p className="mt-2 text-xs text-muted-foreground">
+          ※ 税込価格で入力している場合、持ち帰り比率（軽減税率）はこの構成から自動で決まります。
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+import { clamp, safeDiv } from "./utils";
+
+// --- Sales channels: dine-in / own takeout / delivery platforms ---
+// Orders (groups) are split by share. Delivery platforms take a commission on
+// their sales and every off-premise order needs packaging; dine-in is the rest.
+// The engine deducts both from gross profit, for the baseline and the increment.
+
+export type DeliveryPlatform = {
+  id: string;
+  label: string;
+  enabled: boolean;
+  share: number; // share of orders (0.20 = 20%)
+  commissionRate: number; // of the platform's sales (0.35 = 35%)
+  packagingPerOrder: number; // yen
+};
+
+export type DeliveryModel = {
+  ownTakeoutShare: number; // counter / own site, no commission
+  ownTakeoutPackaging: number; // yen per order
+  platforms: DeliveryPlatform[];
+};
+
+export const DEFAULT_DELIVERY_MODEL: DeliveryModel = {
+  ownTakeoutShare: 0.1,
+  ownTakeoutPackaging: 30,
+  platforms: [
+    { id: "ubereats", label: "Uber Eats", enabled: true, share: 0.15, commissionRate: 0.35, packagingPerOrder: 50 },
+    { id: "demaecan", label: "出前館", enabled: true, share: 0.1, commissionRate: 0.3, packagingPerOrder: 50 },
+    { id: "wolt", label: "Wolt", enabled: false, share: 0.05, commissionRate: 0.35, packagingPerOrder: 50 },
+  ],
+};
+
+export type DeliveryChannel = {
+  id: string; // "dine_in" / "own_takeout" / platform id
+  label: string;
+  share: number;
+  commissionRate: number;
+  packagingPerOrder: number;
+};
+
+export type DeliveryMix = {
+  channels: DeliveryChannel[]; // dine-in first
+  dineInShare: number;
+  offPremiseShare: number; // own takeout + platforms (reduced tax rate)
+  commissionRate: number; // blended, of all sales
+  packagingPerOrder: number; // blended, per order of any channel
+  overAllocated: boolean; // shares added up to more than 100% and were scaled down
+};
+
+export function computeDeliveryMix(model: DeliveryModel): DeliveryMix {
+  const offPremise = [
+    {
+      id: "own_takeout",
+      label: "自店テイクアウト",
+      share: clamp(model.ownTakeoutShare, 0, 1),
+      commissionRate: 0,
+      packagingPerOrder: Math.max(0, model.ownTakeoutPackaging),
+    },
+    ...model.platforms
+      .filter((p) => p.enabled)
+      .map((p) => ({
+        id: p.id,
+        label: p.label,
+        share: clamp(p.share, 0, 1),
+        commissionRate: clamp(p.commissionRate, 0, 0.95),
+        packagingPerOrder: Math.max(0, p.packagingPerOrder),
+      })),
+  ];
+
+  const total = offPremise.reduce((s, c) => s + c.share, 0);
+  const overAllocated = total > 1 + 1e-9;
+  const scaled = overAllocated ? offPremise.map((c) => ({ ...c, share: c.share / total })) : offPremise;
+  const offPremiseShare = Math.min(1, total);
+  const dineInShare = 1 - offPremiseShare;
+
+  return {
+    channels: [{ id: "dine_in", label: "店内飲食", share: dineInShare, commissionRate: 0, packagingPerOrder: 0 }, ...scaled],
+    dineInShare,
+    offPremiseShare,
+    commissionRate: scaled.reduce((s, c) => s + c.share * c.commissionRate, 0),
+    packagingPerOrder: scaled.reduce((s, c) => s + c.share * c.packagingPerOrder, 0),
+    overAllocated,
+  };
+}
+
+export type DeliveryChannelResult = DeliveryChannel & {
+  ordersPerDay: number; // baseline + increment
+  salesMonthly: number;
+  commissionMonthly: number;
+  packagingMonthly: number;
+};
+
+// Per-channel volume and cost for the panel (same split the engine uses)
+export function computeDeliveryBreakdown(
+  mix: DeliveryMix,
+  ctx: { ordersPerDay: number; revenuePerOrder: number; days: number }
+): { channels: DeliveryChannelResult[]; costMonthly: number; costRate: number } {
+  const channels = mix.channels.map((c) => {
+    const ordersPerDay = ctx.ordersPerDay * c.share;
+    const salesMonthly = ordersPerDay * ctx.revenuePerOrder * ctx.days;
+    return {
+      ...c,
+      ordersPerDay,
+      salesMonthly,
+      commissionMonthly: salesMonthly * c.commissionRate,
+      packagingMonthly: ordersPerDay * ctx.days * c.packagingPerOrder,
+    };
+  });
+  const sales = channels.reduce((s, c) => s + c.salesMonthly, 0);
+  const costMonthly = channels.reduce((s, c) => s + c.commissionMonthly + c.packagingMonthly, 0);
+  return { channels, costMonthly, costRate: safeDiv(costMonthly, sales) };
+}
@@ -0,0 +1,98 @@
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Button } from "@/components/ui/button";
+import { RotateCcw } from "lucide-react";
+import { formatJPY, numOr0 } from "./utils";
+import {
+  DAY_TYPE_LABELS,
+  DEFAULT_DEMAND_MODEL,
+  SLOT_LABELS,
+  type DayType,
+  type DemandModel,
+  type DemandResult,
+  type SlotKey,
+  type SlotPattern,
+} from "./demand";
+
+type Props = {
+  model: DemandModel;
+  onModelChange: (m: DemandModel) => void;
+  result: DemandResult;
+};
+
+const PATTERN_FIELDS: { key: keyof SlotPattern; label: string }[] = [
+  { key: "pricePerPerson", label: "客単価/人" },
+  { key: "occupancy", label: "稼働率" },
+  { key: "turnover", label: "回転数" },
+];
+
+const DAY_TYPES: DayType[] = ["weekday", "weekend"];
+
+export function DemandEditor({ model, onModelChange, result }: Props) {
+  const patchSlot = (key: SlotKey, patch: (s: DemandModel["slots"][number]) => DemandModel["slots"][number]) =>
+    onModelChange({ ...model, slots: model.slots.map((s) => (s.key === key ? patch(s) : s)) });
+
+  const revenueOf = (key: SlotKey) => result.slots.find((s) => s.key === key)?.revenueMonthly ?? 0;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="space-y-1">
+          <Label className="text-xs">うち土日祝（日/月）</Label>
+          <Input
+            className="h-8 w-24"
+            inputMode="numeric"
+            value={String(model.weekendDaysPerMonth)}
+            onChange={(e) => onModelChange({ ...model, weekendDaysPerMonth: numOr0(e.target.value) })}
+          />
+        </div>
+        <p className="pb-1 text-xs text-muted-foreground">
+          平日 {result.weekdayDays}日 ／ 土日祝 {result.weekendDays}日（営業日数の内訳）
+        </p>
+        <Button size="sm" variant="outline" className="ml-auto" onClick={() => onModelChange(DEFAULT_DEMAND_MODEL)}>
+          <RotateCcw className="mr-2 h-4 w-4" />
+          既定に戻す
+        </Button>
+      </div>
+
+      {model.slots.map((slot) => (
+        <div key={slot.key} className="rounded-xl border p-3">
+          <div className="flex items-center justify-between">
+            <div className="text-sm font-medium">{SLOT_LABELS[slot.key]}</div>
+            <div className="flex items-center gap-3">
+              {slot.enabled && <span className="text-xs text-muted-foreground">{formatJPY(revenueOf(slot.key))}/月</span>}
+              <Switch checked={slot.enabled} onCheckedChange={(v) => patchSlot(slot.key, (s) => ({ ...s, enabled: v }))} />
+            </div>
+          </div>
+          {slot.enabled && (
+            <div className="mt-2 space-y-2">
+              {DAY_TYPES.map((dt) => (
+                <div key={dt} className="grid grid-cols-[4rem_repeat(3,1fr)] items-end gap-2">
+                  <span className="pb-2 text-xs text-muted-foreground">{DAY_TYPE_LABELS[dt]}</span>
+                  {PATTERN_FIELDS.map(({ key, label }) => (
+                    <div key={key} className="space-y-1">
+                      <Label className="text-xs">{label}</Label>
+                      <Input
+                        className="h-8"
+                        inputMode="decimal"
+                        value={String(slot[dt][key])}
+                        onChange={(e) =>
+                          patchSlot(slot.key, (s) => ({ ...s, [dt]: { ...s[dt], [key]: numOr0(e.target.value) } }))
+                        }
+                      />
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+
+      <p className="text-xs text-muted-foreground">
+        ※ 稼働率は 0.6 = 60%。時間帯別の合計が「席推定の月商」になります（上の客単価・稼働率・回転数の代わり）。
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+// --- Time-slot × weekday/weekend demand ---
+// Replaces the single occupancy × turnover × price with per-slot figures
+// (lunch / dinner / late night), each with its own weekday and weekend pattern.
+
+export type SlotKey = "lunch" | "dinner" | "late";
+
+export type DayType = "weekday" | "weekend";
+
+export type SlotPattern = {
+  pricePerPerson: number; // yen
+  occupancy: number; // 0.6 = 60%
+  turnover: number; // seatings per slot
+};
+
+export type DemandSlot = {
+  key: SlotKey;
+  enabled: boolean;
+  weekday: SlotPattern;
+  weekend: SlotPattern;
+};
+
+export type DemandModel = {
+  slots: DemandSlot[];
+  weekendDaysPerMonth: number; // of the operating days
+};
+
+export const SLOT_LABELS: Record<SlotKey, string> = {
+  lunch: "ランチ",
+  dinner: "ディナー",
+  late: "深夜",
+};
+
+export const DAY_TYPE_LABELS: Record<DayType, string> = {
+  weekday: "平日",
+  weekend: "土日祝",
+};
+
+export const DEFAULT_DEMAND_MODEL: DemandModel = {
+  slots: [
+    {
+      key: "lunch",
+      enabled: true,
+      weekday: { pricePerPerson: 1000, occupancy: 0.7, turnover: 2.0 },
+      weekend: { pricePerPerson: 1200, occupancy: 0.6, turnover: 1.5 },
+    },
+    {
+      key: "dinner",
+      enabled: true,
+      weekday: { pricePerPerson: 4000, occupancy: 0.5, turnover: 1.0 },
+      weekend: { pricePerPerson: 4500, occupancy: 0.75, turnover: 1.3 },
+    },
+    {
+      key: "late",
+      enabled: false,
+      weekday: { pricePerPerson: 2500, occupancy: 0.2, turnover: 1.0 },
+      weekend: { pricePerPerson: 2500, occupancy: 0.35, turnover: 1.0 },
+    },
+  ],
+  weekendDaysPerMonth: 8,
+};
+
+export type SlotDayResult = { covers: number; revenue: number };
+
+export type DemandResult = {
+  weekdayDays: number;
+  weekendDays: number;
+  slots: { key: SlotKey; weekday: SlotDayResult; weekend: SlotDayResult; revenueMonthly: number }[];
+  coversPerDay: number; // averaged over the operating days
+  revenueDaily: number;
+  revenueMonthly: number;
+};
+
+// netFactor: typed price → net of consumption tax (see tax.js)
+export function computeDemand(model: DemandModel, seats: number, days: number, netFactor = 1): DemandResult {
+  const weekendDays = Math.min(days, Math.max(0, model.weekendDaysPerMonth));
+  const weekdayDays = days - weekendDays;
+
+  const day = (p: SlotPattern): SlotDayResult => {
+    const covers = seats * p.occupancy * p.turnover;
+    return { covers, revenue: covers * p.pricePerPerson * netFactor };
+  };
+
+  const slots = model.slots
+    .filter((s) => s.enabled)
+    .map((s) => {
+      const weekday = day(s.weekday);
+      const weekend = day(s.weekend);
+      return { key: s.key, weekday, weekend, revenueMonthly: weekday.revenue * weekdayDays + weekend.revenue * weekendDays };
+    });
+
+  const coversMonthly = slots.reduce((sum, s) => sum + s.weekday.covers * weekdayDays + s.weekend.covers * weekendDays, 0);
+  const revenueMonthly = slots.reduce((sum, s) => sum + s.revenueMonthly, 0);
+
+  return {
+    weekdayDays,
+    weekendDays,
+    slots,
+    coversPerDay: days > 0 ? coversMonthly / days : 0,
+    revenueDaily: days > 0 ? revenueMonthly / days : 0,
+    revenueMonthly,
+  };
+}
@@ -0,0 +1,263 @@
+import { clamp, safeDiv } from "./utils";
+import {
+  AREA_MASTER,
+  STATION_DISTANCE,
+  TRADE_AREA,
+  getArea,
+  type AreaKey,
+  type AreaMaster,
+  type StationDistanceKey,
+  type TradeAreaKey,
+  type UnitType,
+} from "./presets";
+import { computeDemand, type DemandModel } from "./demand";
+import { netPriceFactor, type TaxSetting } from "./tax";
+import { computeDeliveryMix, type DeliveryModel } from "./delivery";
+
+// --- Calculation engine (pure; no React) ---
+// Same numbers as the calculator screen, usable from scripts, batch jobs and tests.
+
+export type CalcInput = {
+  unitType: UnitType;
+  unitPrice: number;
+  peoplePerGroup: number;
+  addGroupsPerDay: number;
+  seats: number;
+  adSpend: number;
+  daysPerMonth: number;
+  tax?: TaxSetting | null; // typed prices incl. tax are converted to net; omitted = already net
+
+  // Seat-based baseline
+  turnover: number;
+  occupancy: number;
+  demand?: DemandModel | null; // per time slot / day type; replaces the single occupancy × turnover × price
+
+  // Dine-in / takeout / delivery split (platform commission + packaging)
+  delivery?: DeliveryModel | null;
+
+  // Area / rent suggestion
+  area: AreaKey;
+  stationDistance: StationDistanceKey;
+  tradeArea: TradeAreaKey;
+  seatsPerTsubo: number;
+
+  // Effective rates (0.30 = 30%)
+  foodRate: number;
+  laborRate: number;
+  rentRate: number;
+};
+
+export type Baseline = {
+  ppg: number;
+  seatsN: number;
+  days: number;
+  pricePerPerson: number;
+  coversPerDay: number;
+  baselineRevenueDaily: number;
+  baselineRevenueMonthly: number;
+};
+
+export type RentSuggestion = {
+  areaLabel: string;
+  rentPerTsubo: number;
+  tsubo: number;
+  estimatedRentMonthly: number;
+  rentRateSuggested: number;
+  baselineSales: number;
+};
+
+export type Normalized = {
+  ppg: number;
+  seatsN: number;
+  addG: number;
+  days: number;
+  food: number;
+  labor: number;
+  rent: number;
+  addRevenueDaily: number;
+  addRevenueMonthly: number;
+  addChannelCost: number; // delivery commission + packaging on the increment
+  addGrossProfit: number;
+  addAfterFL: number;
+  addAfterFLR: number;
+  roas: number;
+  gpRoas: number;
+  breakevenGroupsPerDay_Gross: number;
+  coversPerDay: number;
+  baselineRevenueDaily: number;
+  baselineRevenueMonthly: number;
+  baselineFood: number;
+  baselineLabor: number;
+  baselineRent: number;
+  baselineChannelCost: number;
+  baselineOperatingProfitApprox: number;
+  fl: number;
+  flr: number;
+};
+
+// Data that can be swapped at runtime (edited masters etc.)
+export type CalcOptions = {
+  areas?: AreaMaster[];
+};
+
+export type CalcResult = {
+  baseline: Baseline;
+  rentSuggestion: RentSuggestion;
+  normalized: Normalized;
+};
+
+// Auto rent rate never goes above this (rent estimate vs seat-based sales)
+export const RENT_RATE_CAP = 0.35;
+
+// Seat-based baseline revenue (independent from rates)
+export function computeBaseline(input: CalcInput): Baseline {
+  const ppg = clamp(input.peoplePerGroup, 1, 20);
+  const seatsN = clamp(input.seats, 0, 500);
+  const days = clamp(input.daysPerMonth, 1, 31);
+
+  const net = netPriceFactor(input.tax);
+
+  // Convert to per-person net price for baseline estimation
+  let pricePerPerson = (input.unitType === "per_person" ? input.unitPrice : safeDiv(input.unitPrice, ppg)) * net;
+
+  let coversPerDay = seatsN * input.occupancy * input.turnover;
+  let baselineRevenueDaily = coversPerDay * pricePerPerson;
+  let baselineRevenueMonthly = baselineRevenueDaily * days;
+
+  if (input.demand) {
+    const d = computeDemand(input.demand, seatsN, days, net);
+    coversPerDay = d.coversPerDay;
+    baselineRevenueDaily = d.revenueDaily;
+    baselineRevenueMonthly = d.revenueMonthly;
+    pricePerPerson = safeDiv(d.revenueDaily, d.coversPerDay);
+  }
+
+  return {
+    ppg,
+    seatsN,
+    days,
+    pricePerPerson,
+    coversPerDay,
+    baselineRevenueDaily,
+    baselineRevenueMonthly,
+  };
+}
+
+// Suggest rent from area master
+export function computeRentSuggestion(
+  input: CalcInput,
+  baseline: Baseline,
+  areas: AreaMaster[] = AREA_MASTER
+): RentSuggestion {
+  const a = getArea(input.area, areas);
+  const seatsN = clamp(input.seats, 0, 500);
+  const spt = clamp(input.seatsPerTsubo, 0.8, 4.0);
+  const tsubo = safeDiv(seatsN, spt);
+
+  const stationFactor = STATION_DISTANCE[input.stationDistance].factor;
+  const tradeFactor = TRADE_AREA[input.tradeArea].factor;
+
+  const rentPerTsubo = a.baseRentPerTsubo * stationFactor * tradeFactor;
+  const estimatedRentMonthly = tsubo * rentPerTsubo;
+
+  const baselineSales = baseline.baselineRevenueMonthly;
+  const rentRateSuggested = baselineSales > 0 ? clamp(estimatedRentMonthly / baselineSales, 0, RENT_RATE_CAP) : 0;
+
+  return {
+    areaLabel: a.label,
+    rentPerTsubo,
+    tsubo,
+    estimatedRentMonthly,
+    rentRateSuggested,
+    baselineSales,
+  };
+}
+
+export function computeNormalized(input: CalcInput, baseline: Baseline): Normalized {
+  const { unitType, adSpend } = input;
+  const unitPrice = input.unitPrice * netPriceFactor(input.tax); // net of consumption tax
+  const ppg = baseline.ppg;
+  const seatsN = baseline.seatsN;
+  const addG = clamp(input.addGroupsPerDay, 0, 200);
+  const days = baseline.days;
+
+  const food = clamp(input.foodRate, 0, 0.95);
+  const labor = clamp(input.laborRate, 0, 0.95);
+  const rent = clamp(input.rentRate, 0, 0.95);
+
+  // Incremental revenue
+  const addRevenueDaily = unitType === "per_person" ? unitPrice * addG * ppg : unitPrice * addG;
+  const addRevenueMonthly = addRevenueDaily * days;
+
+  // Delivery platforms: commission on sales, packaging per order (group)
+  const mix = input.delivery ? computeDeliveryMix(input.delivery) : null;
+  const commission = mix ? mix.commissionRate : 0;
+  const packaging = mix ? mix.packagingPerOrder : 0;
+  const addChannelCost = addRevenueMonthly * commission + addG * days * packaging;
+
+  // Contribution estimations
+  const addGrossProfit = addRevenueMonthly * (1 - food) - addChannelCost;
+  const addAfterFL = addRevenueMonthly * (1 - food - labor) - addChannelCost;
+  const addAfterFLR = addRevenueMonthly * (1 - food - labor - rent) - addChannelCost;
+
+  // Ads
+  const roas = safeDiv(addRevenueMonthly, adSpend);
+  const gpRoas = safeDiv(addGrossProfit, adSpend);
+
+  // Breakeven groups/day to cover ad spend using gross profit
+  const revenuePerGroup = unitType === "per_person" ? unitPrice * ppg : unitPrice;
+  const gpPerGroup = revenuePerGroup * (1 - food - commission) - packaging;
+  const breakevenGroupsPerDay_Gross = safeDiv(adSpend, gpPerGroup * days);
+
+  // Baseline
+  const baselineRevenueDaily = baseline.baselineRevenueDaily;
+  const baselineRevenueMonthly = baseline.baselineRevenueMonthly;
+
+  const baselineFood = baselineRevenueMonthly * food;
+  const baselineLabor = baselineRevenueMonthly * labor;
+  const baselineRent = baselineRevenueMonthly * rent;
+  const baselineChannelCost = baselineRevenueMonthly * commission + safeDiv(baseline.coversPerDay, ppg) * days * packaging;
+
+  const baselineOperatingProfitApprox =
+    baselineRevenueMonthly - baselineFood - baselineLabor - baselineRent - baselineChannelCost - adSpend;
+
+  const fl = food + labor;
+  const flr = food + labor + rent;
+
+  return {
+    ppg,
+    seatsN,
+    addG,
+    days,
+    food,
+    labor,
+    rent,
+    addRevenueDaily,
+    addRevenueMonthly,
+    addChannelCost,
+    addGrossProfit,
+    addAfterFL,
+    addAfterFLR,
+    roas,
+    gpRoas,
+    breakevenGroupsPerDay_Gross,
+    coversPerDay: baseline.coversPerDay,
+    baselineRevenueDaily,
+    baselineRevenueMonthly,
+    baselineFood,
+    baselineLabor,
+    baselineRent,
+    baselineChannelCost,
+    baselineOperatingProfitApprox,
+    fl,
+    flr,
+  };
+}
+
+// Full pipeline: baseline -> rent suggestion -> normalized
+export function calculate(input: CalcInput, options: CalcOptions = {}): CalcResult {
+  const baseline = computeBaseline(input);
+  const rentSuggestion = computeRentSuggestion(input, baseline, options.areas);
+  const normalized = computeNormalized(input, baseline);
+  return { baseline, rentSuggestion, normalized };
+}
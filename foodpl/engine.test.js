@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calculate, type CalcInput } from "./engine";
+
+// Round numbers, worked out by hand: 40 seats × 60% × 1.5 turns × 5,000円 × 25 days
+const INPUT: CalcInput = {
+  unitType: "per_person",
+  unitPrice: 5000,
+  peoplePerGroup: 2,
+  addGroupsPerDay: 2,
+  seats: 40,
+  adSpend: 100000,
+  daysPerMonth: 25,
+  turnover: 1.5,
+  occupancy: 0.6,
+  area: "regional_city", // 15,000円/坪
+  stationDistance: "walk_4_7", // ×1.0
+  tradeArea: "station_front", // ×1.1
+  seatsPerTsubo: 2,
+  foodRate: 0.3,
+  laborRate: 0.3,
+  rentRate: 0.1,
+};
+
+const near = (actual: number, expected: number) =>
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} !== ${expected}`);
+
+test("calculate: seat-based baseline", () => {
+  const { baseline } = calculate(INPUT);
+  near(baseline.coversPerDay, 36);
+  near(baseline.baselineRevenueDaily, 180000);
+  near(baseline.baselineRevenueMonthly, 4500000);
+});
+
+test("calculate: rent suggestion from the area master", () => {
+  const { rentSuggestion } = calculate(INPUT);
+  near(rentSuggestion.tsubo, 20);
+  near(rentSuggestion.rentPerTsubo, 16500);
+  near(rentSuggestion.estimatedRentMonthly, 330000);
+  near(rentSuggestion.rentRateSuggested, 330000 / 4500000);
+});
+
+test("calculate: incremental and baseline P&L", () => {
+  const { normalized: n } = calculate(INPUT);
+  near(n.addRevenueMonthly, 500000);
+  near(n.addGrossProfit, 350000);
+  near(n.addAfterFLR, 150000);
+  near(n.roas, 5);
+  near(n.gpRoas, 3.5);
+  near(n.breakevenGroupsPerDay_Gross, 100000 / (10000 * 0.7 * 25));
+  near(n.baselineRent, 450000);
+  near(n.baselineOperatingProfitApprox, 4500000 * 0.3 - 100000);
+  near(n.flr, 0.7);
+});
+
+test("calculate: tax-inclusive prices are converted to net", () => {
+  const { normalized: n } = calculate({ ...INPUT, tax: { mode: "inclusive", takeoutShare: 0 } });
+  near(n.baselineRevenueMonthly, 4500000 / 1.1);
+  near(n.addRevenueMonthly, 500000 / 1.1);
+});
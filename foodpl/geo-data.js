@@ -0,0 +1,138 @@
+// --- Bundled offline geodata (sample coverage) ---
+// Approximate centroids (WGS84) for the municipalities/wards the area master covers, plus
+// a handful of town-level points, and major stations. Coverage is intentionally small;
+// swap in a fuller dataset (or an in-house DB) through a GeoAdapter (see geo.js).
+
+export type Centroid = {
+  prefecture: string;
+  city: string; // "" for Tokyo special wards
+  ward?: string;
+  town?: string; // prefix of the town part (町名)
+  lat: number;
+  lng: number;
+};
+
+export type Station = {
+  name: string;
+  lines?: string;
+  lat: number;
+  lng: number;
+};
+
+export const BUNDLED_CENTROIDS: Centroid[] = [
+  // Tokyo
+  { prefecture: "東京都", city: "", ward: "千代田区", lat: 35.694, lng: 139.7536 },
+  { prefecture: "東京都", city: "", ward: "中央区", lat: 35.6707, lng: 139.772 },
+  { prefecture: "東京都", city: "", ward: "中央区", town: "銀座", lat: 35.6712, lng: 139.7665 },
+  { prefecture: "東京都", city: "", ward: "港区", lat: 35.6581, lng: 139.7516 },
+  { prefecture: "東京都", city: "", ward: "港区", town: "六本木", lat: 35.6627, lng: 139.7313 },
+  { prefecture: "東京都", city: "", ward: "新宿区", lat: 35.6938, lng: 139.7036 },
+  { prefecture: "東京都", city: "", ward: "新宿区", town: "歌舞伎町", lat: 35.6951, lng: 139.7023 },
+  { prefecture: "東京都", city: "", ward: "渋谷区", lat: 35.664, lng: 139.6982 },
+  { prefecture: "東京都", city: "", ward: "渋谷区", town: "道玄坂", lat: 35.6575, lng: 139.6973 },
+  { prefecture: "東京都", city: "", ward: "渋谷区", town: "恵比寿", lat: 35.6453, lng: 139.7107 },
+  { prefecture: "東京都", city: "", ward: "品川区", lat: 35.6092, lng: 139.7302 },
+  { prefecture: "東京都", city: "", ward: "豊島区", lat: 35.7263, lng: 139.7165 },
+  { prefecture: "東京都", city: "", ward: "豊島区", town: "南池袋", lat: 35.7278, lng: 139.7128 },
+  { prefecture: "東京都", city: "立川市", lat: 35.6939, lng: 139.4077 },
+  { prefecture: "東京都", city: "町田市", lat: 35.5466, lng: 139.4385 },
+  { prefecture: "東京都", city: "八王子市", lat: 35.6664, lng: 139.316 },
+  { prefecture: "東京都", city: "武蔵野市", lat: 35.7178, lng: 139.566 },
+
+  // Osaka
+  { prefecture: "大阪府", city: "大阪市", ward: "北区", lat: 34.7055, lng: 135.51 },
+  { prefecture: "大阪府", city: "大阪市", ward: "北区", town: "梅田", lat: 34.7025, lng: 135.496 },
+  { prefecture: "大阪府", city: "大阪市", ward: "中央区", lat: 34.6812, lng: 135.5097 },
+  { prefecture: "大阪府", city: "大阪市", ward: "中央区", town: "心斎橋筋", lat: 34.6735, lng: 135.5013 },
+  { prefecture: "大阪府", city: "大阪市", ward: "中央区", town: "難波", lat: 34.6655, lng: 135.502 },
+  { prefecture: "大阪府", city: "大阪市", ward: "西区", lat: 34.6761, lng: 135.4862 },
+  { prefecture: "大阪府", city: "大阪市", ward: "天王寺区", lat: 34.6547, lng: 135.5193 },
+  { prefecture: "大阪府", city: "吹田市", lat: 34.7595, lng: 135.5169 },
+  { prefecture: "大阪府", city: "豊中市", lat: 34.7813, lng: 135.4697 },
+  { prefecture: "大阪府", city: "堺市", lat: 34.5733, lng: 135.483 },
+  { prefecture: "大阪府", city: "高槻市", lat: 34.8463, lng: 135.6175 },
+  { prefecture: "大阪府", city: "枚方市", lat: 34.8145, lng: 135.651 },
+  { prefecture: "大阪府", city: "東大阪市", lat: 34.6795, lng: 135.6008 },
+
+  // Kyoto / Nagoya
+  { prefecture: "京都府", city: "京都市", ward: "中京区", lat: 35.0106, lng: 135.7578 },
+  { prefecture: "京都府", city: "京都市", ward: "中京区", town: "河原町", lat: 35.0048, lng: 135.7692 },
+  { prefecture: "京都府", city: "京都市", ward: "下京区", lat: 34.9879, lng: 135.759 },
+  { prefecture: "京都府", city: "京都市", ward: "東山区", town: "祇園町", lat: 35.0037, lng: 135.7752 },
+  { prefecture: "愛知県", city: "名古屋市", ward: "中区", lat: 35.1641, lng: 136.9098 },
+  { prefecture: "愛知県", city: "名古屋市", ward: "中区", town: "栄", lat: 35.1688, lng: 136.9085 },
+  { prefecture: "愛知県", city: "名古屋市", ward: "中村区", town: "名駅", lat: 35.1708, lng: 136.8848 },
+
+  // Regional cities
+  { prefecture: "奈良県", city: "奈良市", lat: 34.6851, lng: 135.8048 },
+  { prefecture: "奈良県", city: "奈良市", town: "東向中町", lat: 34.6839, lng: 135.8277 },
+  { prefecture: "奈良県", city: "奈良市", town: "三条本町", lat: 34.6811, lng: 135.8201 },
+  { prefecture: "奈良県", city: "天理市", lat: 34.5965, lng: 135.8373 },
+  { prefecture: "奈良県", city: "天理市", town: "川原城町", lat: 34.5969, lng: 135.8345 },
+  { prefecture: "兵庫県", city: "神戸市", ward: "中央区", lat: 34.6951, lng: 135.1979 },
+  { prefecture: "福岡県", city: "福岡市", ward: "博多区", lat: 33.5912, lng: 130.4235 },
+  { prefecture: "福岡県", city: "福岡市", ward: "中央区", town: "天神", lat: 33.5911, lng: 130.3993 },
+  { prefecture: "広島県", city: "広島市", ward: "中区", lat: 34.3915, lng: 132.452 },
+  { prefecture: "宮城県", city: "仙台市", ward: "青葉区", lat: 38.2692, lng: 140.8706 },
+  { prefecture: "北海道", city: "札幌市", ward: "中央区", lat: 43.0554, lng: 141.3409 },
+  { prefecture: "滋賀県", city: "大津市", lat: 35.0045, lng: 135.8686 },
+  { prefecture: "和歌山県", city: "和歌山市", lat: 34.226, lng: 135.1675 },
+];
+
+export const BUNDLED_STATIONS: Station[] = [
+  // Tokyo
+  { name: "東京", lines: "JR/丸ノ内線", lat: 35.6812, lng: 139.7671 },
+  { name: "銀座", lines: "銀座線/日比谷線/丸ノ内線", lat: 35.6717, lng: 139.765 },
+  { name: "有楽町", lines: "JR/有楽町線", lat: 35.675, lng: 139.763 },
+  { name: "新宿", lines: "JR/私鉄/地下鉄", lat: 35.6896, lng: 139.7006 },
+  { name: "渋谷", lines: "JR/私鉄/地下鉄", lat: 35.658, lng: 139.7016 },
+  { name: "恵比寿", lines: "JR/日比谷線", lat: 35.6467, lng: 139.7101 },
+  { name: "六本木", lines: "日比谷線/大江戸線", lat: 35.6628, lng: 139.7314 },
+  { name: "品川", lines: "JR/京急", lat: 35.6285, lng: 139.7387 },
+  { name: "池袋", lines: "JR/私鉄/地下鉄", lat: 35.7295, lng: 139.7109 },
+  { name: "神田", lines: "JR/銀座線", lat: 35.6918, lng: 139.7709 },
+  { name: "立川", lines: "JR", lat: 35.698, lng: 139.4137 },
+  { name: "町田", lines: "JR/小田急", lat: 35.542, lng: 139.4453 },
+  { name: "八王子", lines: "JR", lat: 35.6557, lng: 139.3389 },
+  { name: "吉祥寺", lines: "JR/京王井の頭線", lat: 35.7031, lng: 139.5798 },
+
+  // Osaka
+  { name: "大阪・梅田", lines: "JR/阪急/阪神/御堂筋線", lat: 34.7025, lng: 135.4959 },
+  { name: "北新地", lines: "JR東西線", lat: 34.6998, lng: 135.4952 },
+  { name: "本町", lines: "御堂筋線/中央線/四つ橋線", lat: 34.6823, lng: 135.4982 },
+  { name: "心斎橋", lines: "御堂筋線/長堀鶴見緑地線", lat: 34.6751, lng: 135.501 },
+  { name: "なんば", lines: "南海/近鉄/御堂筋線", lat: 34.6665, lng: 135.501 },
+  { name: "天王寺", lines: "JR/御堂筋線/谷町線", lat: 34.6466, lng: 135.5133 },
+  { name: "京橋", lines: "JR/京阪", lat: 34.6967, lng: 135.5343 },
+  { name: "吹田", lines: "JR", lat: 34.7629, lng: 135.5235 },
+  { name: "豊中", lines: "阪急宝塚線", lat: 34.7867, lng: 135.464 },
+  { name: "堺東", lines: "南海高野線", lat: 34.5741, lng: 135.483 },
+  { name: "高槻", lines: "JR", lat: 34.8516, lng: 135.6178 },
+  { name: "枚方市", lines: "京阪", lat: 34.8143, lng: 135.6497 },
+  { name: "布施", lines: "近鉄", lat: 34.6643, lng: 135.5631 },
+
+  // Kyoto / Nagoya
+  { name: "京都", lines: "JR/近鉄/烏丸線", lat: 34.9858, lng: 135.7588 },
+  { name: "四条・烏丸", lines: "烏丸線/阪急", lat: 35.0038, lng: 135.7596 },
+  { name: "京都河原町", lines: "阪急", lat: 35.0037, lng: 135.769 },
+  { name: "祇園四条", lines: "京阪", lat: 35.0037, lng: 135.7722 },
+  { name: "名古屋", lines: "JR/名鉄/近鉄/地下鉄", lat: 35.1709, lng: 136.8815 },
+  { name: "栄", lines: "東山線/名城線", lat: 35.1707, lng: 136.9084 },
+  { name: "伏見", lines: "東山線/鶴舞線", lat: 35.1692, lng: 136.8978 },
+
+  // Regional
+  { name: "近鉄奈良", lines: "近鉄", lat: 34.6843, lng: 135.8275 },
+  { name: "奈良", lines: "JR", lat: 34.6808, lng: 135.8197 },
+  { name: "大和西大寺", lines: "近鉄", lat: 34.6934, lng: 135.7829 },
+  { name: "天理", lines: "JR/近鉄", lat: 34.5968, lng: 135.8337 },
+  { name: "三ノ宮", lines: "JR/阪急/阪神/地下鉄", lat: 34.6946, lng: 135.1955 },
+  { name: "博多", lines: "JR/空港線", lat: 33.5902, lng: 130.4207 },
+  { name: "天神", lines: "空港線/西鉄", lat: 33.5914, lng: 130.3989 },
+  { name: "広島", lines: "JR", lat: 34.3977, lng: 132.4753 },
+  { name: "紙屋町", lines: "広島電鉄", lat: 34.3955, lng: 132.4575 },
+  { name: "仙台", lines: "JR/地下鉄", lat: 38.2601, lng: 140.8821 },
+  { name: "札幌", lines: "JR/地下鉄", lat: 43.0687, lng: 141.3508 },
+  { name: "大通", lines: "地下鉄", lat: 43.0606, lng: 141.3545 },
+  { name: "大津", lines: "JR", lat: 35.0031, lng: 135.8645 },
+  { name: "和歌山", lines: "JR", lat: 34.2325, lng: 135.1909 },
+];
@@ -0,0 +1,115 @@
+import { parseAddress, type ParsedAddress } from "./area-match";
+import { BUNDLED_CENTROIDS, BUNDLED_STATIONS, type Centroid, type Station } from "./geo-data";
+import type { StationDistanceKey } from "./presets";
+
+// --- Address -> nearest station / walking minutes (offline) ---
+// All lookups go through a GeoAdapter so the bundled tables can be replaced by an
+// in-house DB (or any geocoder) without touching the calculator.
+
+export type LatLng = { lat: number; lng: number };
+
+// How precisely the address was located. Ward/city centroids are too coarse to say
+// anything about walking minutes, so those estimates are shown but not applied.
+export type LocatePrecision = "town" | "ward" | "city";
+
+export type Located = LatLng & { precision: LocatePrecision; label: string };
+
+export type NearbyStation = Station & { distanceM: number };
+
+export interface GeoAdapter {
+  name: string;
+  locate(address: ParsedAddress): Promise<Located | null>;
+  nearestStations(point: LatLng, limit: number): Promise<NearbyStation[]>;
+}
+
+export type StationEstimate = {
+  location: Located;
+  station: NearbyStation;
+  alternatives: NearbyStation[];
+  walkMinutes: number;
+  bucket: StationDistanceKey;
+  applicable: boolean; // precise enough to pre-select the bucket
+  source: string; // adapter name
+};
+
+// Walking: straight-line distance x detour factor at 80 m/min (real-estate ad convention)
+const DETOUR_FACTOR = 1.3;
+const WALK_METERS_PER_MIN = 80;
+
+export function haversineMeters(a: LatLng, b: LatLng): number {
+  const R = 6371000;
+  const toRad = (d: number) => (d * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+export function walkMinutesFor(distanceM: number): number {
+  return Math.max(1, Math.ceil((distanceM * DETOUR_FACTOR) / WALK_METERS_PER_MIN));
+}
+
+export function bucketForWalkMinutes(min: number): StationDistanceKey {
+  if (!Number.isFinite(min)) return "unknown";
+  if (min <= 3) return "walk_1_3";
+  if (min <= 7) return "walk_4_7";
+  if (min <= 12) return "walk_8_12";
+  return "walk_13_plus";
+}
+
+// --- Bundled (table-based) adapter ---
+
+export function createTableGeoAdapter(centroids: Centroid[], stations: Station[], name = "同梱データ"): GeoAdapter {
+  return {
+    name,
+    async locate(p) {
+      if (!p.prefecture) return null;
+      const sameMunicipality = centroids.filter(
+        (c) => c.prefecture === p.prefecture && c.city === p.city && (c.ward ?? "") === p.ward
+      );
+      // Most specific first: town prefix, then ward/city centroid
+      const town = sameMunicipality
+        .filter((c) => c.town && p.town.startsWith(c.town))
+        .sort((a, b) => (b.town?.length ?? 0) - (a.town?.length ?? 0))[0];
+      const base = town || sameMunicipality.find((c) => !c.town);
+      if (!base) return null;
+
+      const precision: LocatePrecision = town ? "town" : p.ward ? "ward" : "city";
+      const label = [base.city, base.ward, base.town].filter(Boolean).join("");
+      return { lat: base.lat, lng: base.lng, precision, label };
+    },
+    async nearestStations(point, limit) {
+      return stations
+        .map((s) => ({ ...s, distanceM: haversineMeters(point, s) }))
+        .sort((a, b) => a.distanceM - b.distanceM)
+        .slice(0, limit);
+    },
+  };
+}
+
+export const bundledGeoAdapter: GeoAdapter = createTableGeoAdapter(BUNDLED_CENTROIDS, BUNDLED_STATIONS);
+
+export async function estimateStationDistance(
+  address: string,
+  adapter: GeoAdapter = bundledGeoAdapter
+): Promise<StationEstimate | null> {
+  const parsed = parseAddress(address);
+  if (!parsed.normalized) return null;
+
+  const location = await adapter.locate(parsed);
+  if (!location) return null;
+
+  const [station, ...alternatives] = await adapter.nearestStations(location, 3);
+  if (!station) return null;
+
+  const walkMinutes = walkMinutesFor(station.distanceM);
+  return {
+    location,
+    station,
+    alternatives,
+    walkMinutes,
+    bucket: bucketForWalkMinutes(walkMinutes),
+    applicable: location.precision === "town",
+    source: adapter.name,
+  };
+}
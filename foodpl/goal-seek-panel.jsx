@@ -0,0 +1,158 @@
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Crosshair } from "lucide-react";
+import { formatJPY, formatPct, numOr0 } from "./utils";
+import {
+  GOAL_TARGETS,
+  PAYBACK_HORIZON,
+  clampPaybackGoal,
+  SOLVE_VARS,
+  roundSolved,
+  type GoalMetrics,
+  type GoalSeekResult,
+  type GoalTarget,
+  type SolveVar,
+} from "./goal-seek";
+
+type Props = {
+  target: GoalTarget;
+  onTargetChange: (t: GoalTarget) => void;
+  goal: number;
+  onGoalChange: (n: number) => void;
+  solveFor: SolveVar;
+  onSolveForChange: (v: SolveVar) => void;
+  result: GoalSeekResult;
+  onApply?: (value: number) => void; // omitted while the input is driven by another model
+};
+
+function formatVar(v: SolveVar, x: number): string {
+  if (v === "occupancy") return formatPct(x);
+  if (v === "addGroupsPerDay") return `${x.toFixed(2)}組/日`;
+  return formatJPY(x);
+}
+
+const METRIC_ROWS: { label: string; format: (m: GoalMetrics) => string }[] = [
+  { label: "月商（増分込み）", format: (m) => formatJPY(m.salesMonthly) },
+  { label: "営業利益（増分込み）", format: (m) => formatJPY(m.operatingProfit) },
+  { label: "FLR（家賃固定）", format: (m) => formatPct(m.flr) },
+  { label: "粗利ROAS", format: (m) => m.gpRoas.toFixed(2) },
+  { label: "広告回収", format: (m) => (m.paybackMonth ? `${m.paybackMonth}ヶ月目` : `${PAYBACK_HORIZON}ヶ月超`) },
+];
+
+export function GoalSeekPanel(props: Props) {
+  const { target, solveFor, result } = props;
+  const rounded = roundSolved(solveFor, result.value, result.direction);
+  const varLabel = SOLVE_VARS[solveFor].label;
+
+  let answer: string;
+  if (result.status === "solved") {
+    answer = `${varLabel}を ${formatVar(solveFor, rounded)} ${result.direction === "atLeast" ? "以上" : "以下"}にすれば達成`;
+  } else if (result.status === "always") {
+    answer = `${varLabel}の値にかかわらず達成しています`;
+  } else if (result.status === "never") {
+    answer = `${varLabel}だけでは達成できません（他の前提も見直しが必要）`;
+  } else {
+    answer = `${varLabel}はこの目標に影響しません`;
+  }
+
+  return (
+    <div className="rounded-2xl border p-4">
+      <div className="flex items-center gap-2 text-sm font-medium">
+        <Crosshair className="h-4 w-4" />
+        ゴールシーク（目標から逆算）
+      </div>
+
+      <div className="mt-3 grid gap-3 md:grid-cols-3">
+        <div className="space-y-1">
+          <Label className="text-xs">目標</Label>
+          <Select
+            value={target}
+            onValueChange={(v) => {
+              props.onTargetChange(v as GoalTarget);
+              props.onGoalChange(GOAL_TARGETS[v as GoalTarget].defaultValue);
+            }}
+          >
+            <SelectTrigger className="h-8">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(GOAL_TARGETS).map(([k, t]) => (
+                <SelectItem key={k} value={k}>
+                  {t.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-1">
+          <Label className="text-xs">{GOAL_TARGETS[target].unit}</Label>
+          <Input
+            className="h-8"
+            inputMode="decimal"
+            value={String(props.goal)}
+            onChange={(e) => {
+              const n = numOr0(e.target.value);
+              props.onGoalChange(target === "payback" ? clampPaybackGoal(n) : n);
+            }}
+          />
+        </div>
+        <div className="space-y-1">
+          <Label className="text-xs">動かす入力</Label>
+          <Select value={solveFor} onValueChange={(v) => props.onSolveForChange(v as SolveVar)}>
+            <SelectTrigger className="h-8">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(SOLVE_VARS).map(([k, v]) => (
+                <SelectItem key={k} value={k}>
+                  {v.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center justify-between gap-2 rounded-xl bg-muted/40 p-3">
+        <div className="text-sm font-semibold">{answer}</div>
+        {result.status === "solved" && props.onApply && (
+          <Button size="sm" variant="outline" onClick={() => props.onApply?.(rounded)}>
+            この値を入力に反映
+          </Button>
+        )}
+      </div>
+
+      <div className="mt-3 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-xs text-muted-foreground">
+              <th className="py-1 text-left font-normal" />
+              <th className="py-1 text-right font-normal">現在</th>
+              <th className="py-1 text-right font-normal">{result.status === "solved" ? "逆算値のとき" : "—"}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {METRIC_ROWS.map((r) => (
+              <tr key={r.label} className="border-t">
+                <td className="py-1 text-muted-foreground">{r.label}</td>
+                <td className="py-1 text-right">{r.format(result.current)}</td>
+                <td className="py-1 text-right font-semibold">{result.status === "solved" ? r.format(result.atValue) : "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="mt-2 text-xs text-muted-foreground">
+        ※ 家賃は現在の金額で固定、F/Lは率のまま。営業利益は損益のその他費用・デリバリー費用込み。広告回収は月次推移の立ち上がり・月別広告費で判定します。
+      </p>
+    </div>
+  );
+}
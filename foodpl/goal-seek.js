@@ -0,0 +1,158 @@
+import { clamp, safeDiv } from "./utils";
+import { calculate, type CalcInput, type CalcOptions, type CalcResult } from "./engine";
+import { projectMonths, type ProjectionSettings } from "./projection";
+import { computePnl, type CostLine } from "./pnl";
+
+// --- Goal seek: how much of one input is needed to hit a target ---
+// Bisection over the pure engine. Rent is held at today's yen amount (rent does not
+// rise with sales), so FLR and profit respond to volume the way an owner expects.
+
+export type GoalTarget = "operatingProfit" | "flr" | "gpRoas" | "payback";
+
+export type SolveVar = "addGroupsPerDay" | "unitPrice" | "adSpend" | "occupancy";
+
+export const GOAL_TARGETS: Record<GoalTarget, { label: string; unit: string; defaultValue: number }> = {
+  operatingProfit: { label: "月の営業利益（増分込み）が", unit: "円以上", defaultValue: 1000000 },
+  flr: { label: "FLR（家賃は金額固定）が", unit: "以下（0.65 = 65%）", defaultValue: 0.65 },
+  gpRoas: { label: "粗利ROASが", unit: "以上", defaultValue: 1 },
+  payback: { label: "広告費を回収するまで", unit: "ヶ月以内（1〜36）", defaultValue: 6 },
+};
+
+// Months looked ahead for the payback metric and target (not tied to the projection options)
+export const PAYBACK_HORIZON = 36;
+
+// A payback goal is a whole number of months within the horizon
+export function clampPaybackGoal(goal: number): number {
+  return Number.isFinite(goal) ? clamp(Math.round(goal), 1, PAYBACK_HORIZON) : 1;
+}
+
+export const SOLVE_VARS: Record<SolveVar, { label: string; min: number; max: number }> = {
+  addGroupsPerDay: { label: "増やしたい組数/日", min: 0, max: 200 },
+  unitPrice: { label: "客単価", min: 0, max: 100000 },
+  adSpend: { label: "広告費（月）", min: 0, max: 10000000 },
+  occupancy: { label: "席稼働率", min: 0, max: 1 },
+};
+
+export type GoalContext = {
+  rentMonthly: number; // fixed rent in yen (today's figure)
+  projection: Omit<ProjectionSettings, "months">; // ramp settings for the payback target
+  costLines: CostLine[]; // other P&L lines, so operating profit matches the P&L panel
+};
+
+export type GoalMetrics = {
+  salesMonthly: number; // baseline + incremental
+  operatingProfit: number;
+  flr: number;
+  gpRoas: number;
+  paybackMonth: number | null;
+};
+
+export type GoalSeekResult = {
+  status: "solved" | "always" | "never" | "no_effect";
+  value: number; // the boundary value (current value when not solved)
+  direction: "atLeast" | "atMost"; // the target holds for values on this side
+  current: GoalMetrics;
+  atValue: GoalMetrics;
+  result: CalcResult; // engine result at `value`
+};
+
+export function goalMetrics(
+  input: CalcInput,
+  ctx: GoalContext,
+  options: CalcOptions = {},
+  horizon = PAYBACK_HORIZON
+): GoalMetrics {
+  const r = calculate(input, options);
+  const n = r.normalized;
+  const salesMonthly = n.baselineRevenueMonthly + n.addRevenueMonthly;
+  const paybackMonth = projectMonths(n, input.adSpend, { ...ctx.projection, months: horizon }).paybackMonth;
+  // The P&L with the increment folded into the baseline and rent held at today's yen
+  const pnl = computePnl(
+    {
+      ...n,
+      baselineRevenueMonthly: salesMonthly,
+      baselineFood: salesMonthly * n.food,
+      baselineLabor: salesMonthly * n.labor,
+      baselineRent: ctx.rentMonthly,
+      baselineChannelCost: n.baselineChannelCost + n.addChannelCost,
+    },
+    input.adSpend,
+    ctx.costLines
+  );
+  return {
+    salesMonthly,
+    operatingProfit: pnl.operatingProfit,
+    flr: n.food + n.labor + safeDiv(ctx.rentMonthly, salesMonthly),
+    gpRoas: n.gpRoas,
+    paybackMonth,
+  };
+}
+
+// Signed slack: >= 0 means the target is met
+function slack(target: GoalTarget, goal: number, input: CalcInput, ctx: GoalContext, options: CalcOptions): number {
+  if (target === "payback") {
+    // Cumulative net at the deadline month; continuous in the inputs unlike the month index
+    const n = calculate(input, options).normalized;
+    const p = projectMonths(n, input.adSpend, { ...ctx.projection, months: clampPaybackGoal(goal) });
+    const last = p.months[p.months.length - 1];
+    return input.adSpend > 0 && last ? last.cumNet : 0;
+  }
+  const m = goalMetrics(input, ctx, options, 1);
+  if (target === "operatingProfit") return m.operatingProfit - goal;
+  // No sales: rent cannot be covered at any FLR; no ad spend: nothing to recover
+  if (target === "flr") return m.salesMonthly > 0 ? goal - m.flr : -Infinity;
+  return input.adSpend > 0 ? m.gpRoas - goal : Infinity;
+}
+
+export function goalSeek(
+  input: CalcInput,
+  target: GoalTarget,
+  goal: number,
+  solveFor: SolveVar,
+  ctx: GoalContext,
+  options: CalcOptions = {}
+): GoalSeekResult {
+  const { min, max } = SOLVE_VARS[solveFor];
+  const at = (x: number): CalcInput => ({ ...input, [solveFor]: x });
+  const s = (x: number) => slack(target, goal, at(x), ctx, options);
+
+  const sLo = s(min);
+  const sHi = s(max);
+  const current = goalMetrics(input, ctx, options);
+
+  const done = (status: GoalSeekResult["status"], value: number, direction: GoalSeekResult["direction"]): GoalSeekResult => ({
+    status,
+    value,
+    direction,
+    current,
+    atValue: goalMetrics(at(value), ctx, options),
+    result: calculate(at(value), options),
+  });
+
+  if (Math.abs(sHi - sLo) < 1e-9) return done("no_effect", input[solveFor], "atLeast");
+  if (sLo >= 0 && sHi >= 0) return done("always", input[solveFor], "atLeast");
+  if (sLo < 0 && sHi < 0) return done("never", input[solveFor], "atLeast");
+
+  // Bisection towards the boundary; keep the side where the target holds
+  const direction = sHi >= 0 ? "atLeast" : "atMost";
+  let lo = min;
+  let hi = max;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    const ok = s(mid) >= 0;
+    if (direction === "atLeast") {
+      if (ok) hi = mid;
+      else lo = mid;
+    } else if (ok) lo = mid;
+    else hi = mid;
+  }
+  return done("solved", direction === "atLeast" ? hi : lo, direction);
+}
+
+// Round to what can be typed into the form, staying on the side where the target holds
+export function roundSolved(solveFor: SolveVar, value: number, direction: GoalSeekResult["direction"]): number {
+  const step = solveFor === "addGroupsPerDay" || solveFor === "occupancy" ? 0.01 : 1;
+  const k = value / step;
+  const r = direction === "atLeast" ? Math.ceil(k - 1e-9) : Math.floor(k + 1e-9);
+  return Math.round(r * step * 100) / 100;
+}
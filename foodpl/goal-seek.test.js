@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import type { CalcInput } from "./engine";
+import { PAYBACK_HORIZON, goalSeek, type GoalContext } from "./goal-seek";
+
+const INPUT: CalcInput = {
+  unitType: "per_person",
+  unitPrice: 5000,
+  peoplePerGroup: 2,
+  addGroupsPerDay: 2,
+  seats: 40,
+  adSpend: 100000,
+  daysPerMonth: 25,
+  turnover: 1.5,
+  occupancy: 0.6,
+  area: "regional_city",
+  stationDistance: "walk_4_7",
+  tradeArea: "station_front",
+  seatsPerTsubo: 2,
+  foodRate: 0.3,
+  laborRate: 0.3,
+  rentRate: 0.1,
+};
+
+const CTX: GoalContext = {
+  rentMonthly: 450000,
+  projection: { curve: "linear", rampMonths: 6, adSpendByMonth: [] },
+  costLines: [],
+};
+
+// Month counts outside the projection options (12 / 18 / 24) used to throw
+test("goalSeek: payback goals between the projection options", () => {
+  for (const goal of [1, 13, 18, 24, 30, PAYBACK_HORIZON]) {
+    const r = goalSeek(INPUT, "payback", goal, "addGroupsPerDay", CTX);
+    assert.equal(r.status, "solved", `goal ${goal}`);
+    assert.ok(r.atValue.paybackMonth !== null && r.atValue.paybackMonth <= goal, `goal ${goal}: ${r.atValue.paybackMonth}`);
+  }
+});
+
+test("goalSeek: payback goals outside the horizon are clamped", () => {
+  for (const goal of [0, -5, 1e9, Number.NaN]) {
+    assert.doesNotThrow(() => goalSeek(INPUT, "payback", goal, "addGroupsPerDay", CTX), `goal ${goal}`);
+  }
+});
+
+test("goalSeek: payback is looked up beyond 12 months", () => {
+  // 175,000円 gross profit a month at full ramp, reached linearly over 12 months:
+  // 1,137,500円 by month 12 against 1,200,000円 of ads, recovered in month 13
+  const input = { ...INPUT, addGroupsPerDay: 1 };
+  const r = goalSeek(input, "payback", 24, "addGroupsPerDay", { ...CTX, projection: { ...CTX.projection, rampMonths: 12 } });
+  assert.equal(r.current.paybackMonth, 13);
+});
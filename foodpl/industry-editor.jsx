@@ -0,0 +1,243 @@
+import React, { useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { BookOpen, Download, Plus, Save, Store, Trash2, Upload, X } from "lucide-react";
+import { downloadText } from "./utils";
+import {
+  BENCHMARK_INDUSTRY_RECORDS,
+  EMPTY_INDUSTRY_RECORD,
+  compileIndustryRecords,
+  industriesToCSV,
+  industriesToJSON,
+  industryFromColumns,
+  industryToColumns,
+  parseIndustriesCSV,
+  parseIndustriesJSON,
+  type IndustryRecord,
+} from "./industry-presets";
+
+type Props = {
+  records: IndustryRecord[];
+  onSave: (records: IndustryRecord[]) => void;
+  onClose: () => void;
+};
+
+// Editable row: every number stays as text while typing
+type DraftRow = Record<string, string>;
+
+const RATE_ROWS = [
+  { key: "low", label: "保守" },
+  { key: "standard", label: "標準" },
+  { key: "high", label: "攻め" },
+] as const;
+
+const DEFAULT_FIELDS = [
+  { key: "unitPrice", label: "客単価（円/人）", placeholder: "4000" },
+  { key: "seatsPerTsubo", label: "席/坪", placeholder: "2.0" },
+  { key: "turnover", label: "回転数", placeholder: "2.0" },
+  { key: "occupancy", label: "席稼働率", placeholder: "0.65" },
+] as const;
+
+export function IndustryPresetEditor({ records, onSave, onClose }: Props) {
+  const [rows, setRows] = useState<DraftRow[]>(() => records.map(industryToColumns));
+  const [errors, setErrors] = useState<string[]>([]);
+  const [notice, setNotice] = useState<string>("");
+
+  // Re-sync when the saved presets change
+  React.useEffect(() => {
+    setRows(records.map(industryToColumns));
+  }, [records]);
+
+  function patchRow(i: number, patch: DraftRow) {
+    setRows((prev) => prev.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+  }
+
+  function save() {
+    const recs = rows.map(industryFromColumns);
+    const { errors: errs } = compileIndustryRecords(recs);
+    setErrors(errs);
+    if (errs.length > 0) return;
+    onSave(recs);
+    setNotice("保存しました。業態の選択肢に反映されます。");
+  }
+
+  async function importFile(file: File) {
+    try {
+      const text = await file.text();
+      const isCSV = /\.csv$/i.test(file.name) || !text.trim().startsWith("[");
+      const recs = isCSV ? parseIndustriesCSV(text) : parseIndustriesJSON(text);
+      setRows(recs.map(industryToColumns));
+      setErrors(compileIndustryRecords(recs).errors);
+      setNotice(`${file.name} から ${recs.length}件 読み込みました（保存するまで反映されません）。`);
+    } catch (e) {
+      setErrors([`読み込みに失敗しました：${e instanceof Error ? e.message : String(e)}`]);
+    }
+  }
+
+  const current = rows.map(industryFromColumns);
+  const unusedBenchmarks = BENCHMARK_INDUSTRY_RECORDS.filter((b) => !rows.some((r) => r.key.trim() === b.key));
+
+  return (
+    <Card className="rounded-2xl">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Store className="h-5 w-5" />
+          業態プリセット編集
+          <Badge variant="secondary">{records.length}件（既定の業態に追加）</Badge>
+          <Button variant="ghost" size="sm" className="ml-auto" onClick={onClose} title="閉じる">
+            <X className="h-4 w-4" />
+          </Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-xs text-muted-foreground">
+          保守/標準/攻めの原価率・人件費率・家賃率（0.30 = 30%）と、業態を選んだときに入る客単価・席/坪・回転数・稼働率を設定します。
+          席/坪・回転数・稼働率は選択肢のうち近い値に丸めます。保存するとこのブラウザに記録されます。
+        </p>
+
+        <div className="flex flex-wrap gap-2">
+          <Button variant="outline" onClick={() => setRows((prev) => [...prev, industryToColumns(EMPTY_INDUSTRY_RECORD)])}>
+            <Plus className="mr-2 h-4 w-4" />
+            業態を追加
+          </Button>
+          {unusedBenchmarks.length > 0 && (
+            <Select
+              value=""
+              onValueChange={(key) => {
+                const b = BENCHMARK_INDUSTRY_RECORDS.find((x) => x.key === key);
+                if (b) setRows((prev) => [...prev, industryToColumns(b)]);
+              }}
+            >
+              <SelectTrigger className="w-[14rem]">
+                <BookOpen className="mr-2 h-4 w-4" />
+                <SelectValue placeholder="ベンチマークから追加" />
+              </SelectTrigger>
+              <SelectContent>
+                {unusedBenchmarks.map((b) => (
+                  <SelectItem key={b.key} value={b.key}>
+                    {b.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+          <Button variant="outline" onClick={() => downloadText("industry-presets.json", industriesToJSON(current), "application/json")}>
+            <Download className="mr-2 h-4 w-4" />
+            JSON
+          </Button>
+          <Button variant="outline" onClick={() => downloadText("industry-presets.csv", industriesToCSV(current), "text/csv")}>
+            <Download className="mr-2 h-4 w-4" />
+            CSV
+          </Button>
+          <Button variant="outline" asChild>
+            <label className="cursor-pointer">
+              <Upload className="mr-2 h-4 w-4" />
+              インポート
+              <input
+                type="file"
+                accept=".json,.csv,application/json,text/csv"
+                className="hidden"
+                onChange={(e) => {
+                  const f = e.target.files?.[0];
+                  if (f) importFile(f);
+                  e.target.value = "";
+                }}
+              />
+            </label>
+          </Button>
+          <Button className="ml-auto" onClick={save}>
+            <Save className="mr-2 h-4 w-4" />
+            保存
+          </Button>
+        </div>
+
+        {notice && <p className="text-sm text-muted-foreground">{notice}</p>}
+        {errors.length > 0 && (
+          <div className="rounded-xl border border-destructive/50 p-3 text-sm text-destructive">
+            {errors.map((e, i) => (
+              <div key={i}>・{e}</div>
+            ))}
+          </div>
+        )}
+
+        {rows.length === 0 && (
+          <p className="text-sm text-muted-foreground">まだ追加した業態はありません。「業態を追加」かベンチマークから始めてください。</p>
+        )}
+
+        <div className="space-y-3">
+          {rows.map((r, i) => (
+            <div key={i} className="space-y-3 rounded-xl border p-3">
+              <div className="grid gap-3 md:grid-cols-[1fr_2fr_auto]">
+                <div className="space-y-1">
+                  <Label className="text-xs">key</Label>
+                  <Input value={r.key} onChange={(e) => patchRow(i, { key: e.target.value })} placeholder="sushi" />
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-xs">表示名</Label>
+                  <Input value={r.label} onChange={(e) => patchRow(i, { label: e.target.value })} placeholder="寿司（カウンター）" />
+                </div>
+                <div className="flex items-end">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setRows((prev) => prev.filter((_, j) => j !== i))}
+                    title="削除"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-[3rem_1fr_1fr_1fr] items-center gap-2 text-xs">
+                <span />
+                <span className="text-muted-foreground">原価率（F）</span>
+                <span className="text-muted-foreground">人件費率（L）</span>
+                <span className="text-muted-foreground">家賃率（R）</span>
+                {RATE_ROWS.map((s) => (
+                  <React.Fragment key={s.key}>
+                    <span className="text-muted-foreground">{s.label}</span>
+                    {(["food", "labor", "rent"] as const).map((rate) => (
+                      <Input
+                        key={rate}
+                        className="h-8"
+                        inputMode="decimal"
+                        value={r[`${s.key}_${rate}`]}
+                        onChange={(e) => patchRow(i, { [`${s.key}_${rate}`]: e.target.value })}
+                        placeholder="0.30"
+                      />
+                    ))}
+                  </React.Fragment>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-2 gap-2 md:grid-cols-4">
+                {DEFAULT_FIELDS.map((f) => (
+                  <div key={f.key} className="space-y-1">
+                    <Label className="text-xs">{f.label}</Label>
+                    <Input
+                      className="h-8"
+                      inputMode="decimal"
+                      value={r[f.key]}
+                      onChange={(e) => patchRow(i, { [f.key]: e.target.value })}
+                      placeholder={f.placeholder}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,239 @@
+import {
+  INDUSTRY_PRESETS,
+  OCCUPANCY_OPTIONS,
+  SEATS_PER_TSUBO_OPTIONS,
+  TURNOVER_OPTIONS,
+  type IndustryDefaults,
+  type RatePreset,
+  type ScenarioKey,
+} from "./presets";
+import { csvToObjects, toCSV } from "./csv";
+
+// --- User-defined industry presets (added next to the built-ins, persisted locally) ---
+
+export type IndustryRecord = {
+  key: string;
+  label: string;
+  scenarios: Record<ScenarioKey, { food: number; labor: number; rent: number }>;
+  defaults: IndustryDefaults;
+};
+
+const STORAGE_KEY = "foodpl.industryPresets.v1";
+
+const SCENARIOS: ScenarioKey[] = ["low", "standard", "high"];
+const RATES = ["food", "labor", "rent"] as const;
+
+// CSV: one flat column per scenario × rate, e.g. standard_food
+export const INDUSTRY_COLUMNS = [
+  "key",
+  "label",
+  ...SCENARIOS.flatMap((s) => RATES.map((r) => `${s}_${r}`)),
+  "unitPrice",
+  "seatsPerTsubo",
+  "turnover",
+  "occupancy",
+];
+
+export const EMPTY_INDUSTRY_RECORD: IndustryRecord = {
+  key: "",
+  label: "",
+  scenarios: INDUSTRY_PRESETS.restaurant.scenarios,
+  defaults: { unitPrice: 3000, seatsPerTsubo: 2.0, turnover: 2.0, occupancy: 0.65 },
+};
+
+// Benchmark library: formats the built-ins don't cover, to add and then tune
+export const BENCHMARK_INDUSTRY_RECORDS: IndustryRecord[] = [
+  {
+    key: "sushi",
+    label: "寿司（カウンター）",
+    scenarios: {
+      low: { food: 0.38, labor: 0.22, rent: 0.08 },
+      standard: { food: 0.42, labor: 0.26, rent: 0.10 },
+      high: { food: 0.46, labor: 0.30, rent: 0.12 },
+    },
+    defaults: { unitPrice: 8000, seatsPerTsubo: 1.6, turnover: 1.5, occupancy: 0.65 },
+  },
+  {
+    key: "yakitori",
+    label: "焼き鳥",
+    scenarios: {
+      low: { food: 0.28, labor: 0.24, rent: 0.08 },
+      standard: { food: 0.31, labor: 0.28, rent: 0.10 },
+      high: { food: 0.34, labor: 0.32, rent: 0.12 },
+    },
+    defaults: { unitPrice: 4000, seatsPerTsubo: 2.0, turnover: 2.0, occupancy: 0.75 },
+  },
+  {
+    key: "bakery",
+    label: "ベーカリー（イートイン併設）",
+    scenarios: {
+      low: { food: 0.30, labor: 0.26, rent: 0.06 },
+      standard: { food: 0.33, labor: 0.30, rent: 0.08 },
+      high: { food: 0.36, labor: 0.34, rent: 0.10 },
+    },
+    defaults: { unitPrice: 1000, seatsPerTsubo: 2.4, turnover: 3.0, occupancy: 0.55 },
+  },
+  {
+    key: "bar",
+    label: "バー",
+    scenarios: {
+      low: { food: 0.20, labor: 0.20, rent: 0.10 },
+      standard: { food: 0.24, labor: 0.24, rent: 0.12 },
+      high: { food: 0.28, labor: 0.28, rent: 0.15 },
+    },
+    defaults: { unitPrice: 5000, seatsPerTsubo: 1.6, turnover: 1.5, occupancy: 0.55 },
+  },
+];
+
+// Seats/tsubo, turnover and occupancy are picked from fixed lists on the form
+function nearestOption(options: readonly number[], v: number): number {
+  return options.reduce((best, o) => (Math.abs(o - v) < Math.abs(best - v) ? o : best), options[0]);
+}
+
+// Validate records. Rows with errors are skipped (and reported).
+export function compileIndustryRecords(records: IndustryRecord[]): { industries: Record<string, RatePreset>; errors: string[] } {
+  const industries: Record<string, RatePreset> = {};
+  const errors: string[] = [];
+
+  records.forEach((r, i) => {
+    const row = `${i + 1}行目`;
+    const key = (r.key || "").trim();
+    if (!/^[a-z0-9_]+$/.test(key)) {
+      errors.push(`${row}: key は半角英小文字・数字・_ で入力してください（${key || "空"}）`);
+      return;
+    }
+    if (Object.prototype.hasOwnProperty.call(INDUSTRY_PRESETS, key)) {
+      errors.push(`${row}: key「${key}」は既定の業態と重複しています`);
+      return;
+    }
+    if (Object.prototype.hasOwnProperty.call(industries, key)) {
+      errors.push(`${row}: key「${key}」が重複しています`);
+      return;
+    }
+    for (const s of SCENARIOS) {
+      for (const rate of RATES) {
+        const v = r.scenarios[s][rate];
+        if (!Number.isFinite(v) || v < 0 || v >= 1) {
+          errors.push(`${row}: ${s}_${rate} は 0〜1 の小数で入力してください（${key}）`);
+          return;
+        }
+      }
+    }
+    const d = r.defaults;
+    if (![d.unitPrice, d.seatsPerTsubo, d.turnover, d.occupancy].every((v) => Number.isFinite(v) && v > 0)) {
+      errors.push(`${row}: 客単価・席/坪・回転数・稼働率は正の数で入力してください（${key}）`);
+      return;
+    }
+
+    industries[key] = {
+      label: (r.label || "").trim() || key,
+      scenarios: r.scenarios,
+      defaults: {
+        unitPrice: Math.round(d.unitPrice),
+        seatsPerTsubo: nearestOption(SEATS_PER_TSUBO_OPTIONS, d.seatsPerTsubo),
+        turnover: nearestOption(TURNOVER_OPTIONS, d.turnover),
+        occupancy: nearestOption(OCCUPANCY_OPTIONS, d.occupancy),
+      },
+      // No benchmark range for custom formats: half to double the typical price
+      unitPriceNorm: { min: Math.round(d.unitPrice / 2), max: Math.round(d.unitPrice * 2) },
+    };
+  });
+
+  return { industries, errors };
+}
+
+// --- Storage ---
+
+export function loadIndustryRecords(): IndustryRecord[] {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    if (!raw) return [];
+    return parseIndustriesJSON(raw);
+  } catch (e) {
+    return [];
+  }
+}
+
+export function persistIndustryRecords(records: IndustryRecord[]): void {
+  try {
+    if (records.length > 0) window.localStorage.setItem(STORAGE_KEY, industriesToJSON(records));
+    else window.localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    // no-op (quota / private mode)
+  }
+}
+
+// --- Import / export ---
+
+export function industriesToJSON(records: IndustryRecord[]): string {
+  return JSON.stringify(records, null, 2);
+}
+
+// Untrusted JSON: anything that is not an object reads as one without properties
+const objectOf = (x: unknown): Record<string, unknown> =>
+  x && typeof x === "object" && !Array.isArray(x) ? (x as Record<string, unknown>) : {};
+
+function scenarioOf(x: unknown): { food: number; labor: number; rent: number } {
+  const o = objectOf(x);
+  return { food: Number(o.food), labor: Number(o.labor), rent: Number(o.rent) };
+}
+
+export function parseIndustriesJSON(text: string): IndustryRecord[] {
+  const parsed: unknown = JSON.parse(text);
+  if (!Array.isArray(parsed)) throw new Error("JSONは配列である必要があります");
+  return parsed.map((raw: unknown) => {
+    const x = objectOf(raw);
+    const scenarios = objectOf(x.scenarios);
+    const defaults = objectOf(x.defaults);
+    return {
+      key: String(x.key ?? ""),
+      label: String(x.label ?? ""),
+      scenarios: {
+        low: scenarioOf(scenarios.low),
+        standard: scenarioOf(scenarios.standard),
+        high: scenarioOf(scenarios.high),
+      },
+      defaults: {
+        unitPrice: Number(defaults.unitPrice),
+        seatsPerTsubo: Number(defaults.seatsPerTsubo),
+        turnover: Number(defaults.turnover),
+        occupancy: Number(defaults.occupancy),
+      },
+    };
+  });
+}
+
+// Flat column view (CSV rows and the editor's text fields)
+export function industryToColumns(r: IndustryRecord): Record<string, string> {
+  const o: Record<string, string> = { key: r.key, label: r.label };
+  for (const s of SCENARIOS) for (const rate of RATES) o[`${s}_${rate}`] = String(r.scenarios[s][rate]);
+  for (const k of ["unitPrice", "seatsPerTsubo", "turnover", "occupancy"] as const) o[k] = String(r.defaults[k]);
+  return o;
+}
+
+export function industryFromColumns(o: Record<string, string>): IndustryRecord {
+  const scenario = (s: ScenarioKey) => ({
+    food: Number(o[`${s}_food`]),
+    labor: Number(o[`${s}_labor`]),
+    rent: Number(o[`${s}_rent`]),
+  });
+  return {
+    key: (o.key ?? "").trim(),
+    label: (o.label ?? "").trim(),
+    scenarios: { low: scenario("low"), standard: scenario("standard"), high: scenario("high") },
+    defaults: {
+      unitPrice: Number(o.unitPrice),
+      seatsPerTsubo: Number(o.seatsPerTsubo),
+      turnover: Number(o.turnover),
+      occupancy: Number(o.occupancy),
+    },
+  };
+}
+
+export function industriesToCSV(records: IndustryRecord[]): string {
+  return toCSV([INDUSTRY_COLUMNS, ...records.map((r) => INDUSTRY_COLUMNS.map((c) => industryToColumns(r)[c]))]);
+}
+
+export function parseIndustriesCSV(text: string): IndustryRecord[] {
+  return csvToObjects(text).map(industryFromColumns);
+}
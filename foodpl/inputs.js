@@ -0,0 +1,319 @@
+import {
+  INDUSTRY_PRESETS,
+  STATION_DISTANCE,
+  TRADE_AREA,
+  type AreaKey,
+  type IndustryKey,
+  type ScenarioKey,
+  type StationDistanceKey,
+  type TradeAreaKey,
+  type UnitType,
+} from "./presets";
+import { RAMP_CURVES, clampProjectionMonths, clampRampMonths, type RampCurve } from "./projection";
+import { EMPTY_ACTUALS, type Actuals } from "./actuals";
+import { COST_LINE_KINDS, DEFAULT_COST_LINES, type CostLine } from "./pnl";
+import { DEFAULT_LABOR_MODEL, type LaborModel, type StaffRole } from "./labor";
+import { DEFAULT_MENU_ITEMS, type MenuItem } from "./menu";
+import { DEFAULT_DEMAND_MODEL, SLOT_LABELS, type DemandModel, type DemandSlot } from "./demand";
+import { CHANNEL_COST_MODELS, DEFAULT_CHANNELS, type AdChannel } from "./channels";
+import { PRICE_TAX_MODES, type PriceTaxMode } from "./tax";
+import { DEFAULT_DELIVERY_MODEL, type DeliveryModel, type DeliveryPlatform } from "./delivery";
+import { DEFAULT_LTV, type LtvAssumptions } from "./ltv";
+
+// --- Case inputs (everything the screen lets you type) ---
+// Saved cases and shared links store this object as-is.
+
+export type CaseInputs = {
+  address: string;
+  industry: IndustryKey;
+  scenario: ScenarioKey;
+
+  unitType: UnitType;
+  unitPrice: number;
+  peoplePerGroup: number;
+
+  // Consumption tax on the typed prices (unit price, menu, time slots)
+  priceTaxMode: PriceTaxMode;
+  takeoutShare: number; // sales share at the reduced rate
+
+  addGroupsPerDay: number;
+  seats: number;
+  adSpend: number;
+  daysPerMonth: number;
+
+  useBaseline: boolean;
+  turnover: number;
+  occupancy: number;
+
+  autoDetectArea: boolean;
+  area: AreaKey;
+  autoStationDistance: boolean;
+  stationDistance: StationDistanceKey;
+  tradeArea: TradeAreaKey;
+  seatsPerTsubo: number;
+  autoSetRentRate: boolean;
+
+  manualRates: boolean;
+  foodRate: number;
+  laborRate: number;
+  rentRate: number;
+
+  // Multi-month projection
+  projectionMonths: number;
+  rampCurve: RampCurve;
+  rampMonths: number;
+  adSpendByMonth: number[]; // empty = same ad spend every month
+
+  // Post-visit actuals
+  useActuals: boolean;
+  actuals: Actuals;
+
+  // Cost lines beyond FLR (full P&L)
+  costLines: CostLine[];
+
+  // Labor (L) from a shift / wage model
+  useLaborModel: boolean;
+  laborModel: LaborModel;
+
+  // Menu recipe costing (can drive F and the spend per person)
+  menuItems: MenuItem[];
+  menuSetsFoodRate: boolean;
+  menuSetsUnitPrice: boolean;
+
+  // Time-slot × weekday/weekend demand for the baseline
+  useDemandModel: boolean;
+  demandModel: DemandModel;
+
+  // Ad channel mix (can drive adSpend and addGroupsPerDay)
+  useChannelMix: boolean;
+  channels: AdChannel[];
+
+  // Dine-in / own takeout / delivery platform split (commission, packaging)
+  useDeliveryModel: boolean;
+  deliveryModel: DeliveryModel;
+
+  // Repeat visits of ad-acquired groups (LTV / CAC)
+  ltv: LtvAssumptions;
+};
+
+const DEFAULT_RATES = INDUSTRY_PRESETS.izakaya.scenarios.standard;
+
+export const DEFAULT_INPUTS: CaseInputs = {
+  address: "",
+  industry: "izakaya",
+  scenario: "standard",
+
+  unitType: "per_person",
+  unitPrice: 6000,
+  peoplePerGroup: 2,
+
+  priceTaxMode: "exclusive",
+  takeoutShare: 0,
+
+  addGroupsPerDay: 1,
+  seats: 30,
+  adSpend: 100000,
+  daysPerMonth: 26,
+
+  useBaseline: true,
+  turnover: 2.0,
+  occupancy: 0.65,
+
+  autoDetectArea: true,
+  area: "regional_city",
+  autoStationDistance: true,
+  stationDistance: "walk_4_7",
+  tradeArea: "station_front",
+  seatsPerTsubo: 2.0,
+  autoSetRentRate: true,
+
+  manualRates: false,
+  foodRate: DEFAULT_RATES.food,
+  laborRate: DEFAULT_RATES.labor,
+  rentRate: DEFAULT_RATES.rent,
+
+  projectionMonths: 12,
+  rampCurve: "linear",
+  rampMonths: 3,
+  adSpendByMonth: [],
+
+  useActuals: false,
+  actuals: EMPTY_ACTUALS,
+
+  costLines: DEFAULT_COST_LINES,
+
+  useLaborModel: false,
+  laborModel: DEFAULT_LABOR_MODEL,
+
+  menuItems: DEFAULT_MENU_ITEMS,
+  menuSetsFoodRate: false,
+  menuSetsUnitPrice: false,
+
+  useDemandModel: false,
+  demandModel: DEFAULT_DEMAND_MODEL,
+
+  useChannelMix: false,
+  channels: DEFAULT_CHANNELS,
+
+  useDeliveryModel: false,
+  deliveryModel: DEFAULT_DELIVERY_MODEL,
+
+  ltv: DEFAULT_LTV,
+};
+
+// `area` and `industry` are not listed: user-defined keys are valid too
+// (unknown keys fall back in getArea / getIndustry).
+const ENUM_FIELDS: Partial<Record<keyof CaseInputs, readonly string[]>> = {
+  scenario: ["low", "standard", "high"],
+  unitType: ["per_person", "per_group"],
+  priceTaxMode: Object.keys(PRICE_TAX_MODES),
+  stationDistance: Object.keys(STATION_DISTANCE),
+  tradeArea: Object.keys(TRADE_AREA),
+  rampCurve: Object.keys(RAMP_CURVES),
+};
+
+// Plain object of numbers: keep the known keys that are finite, default the rest
+function numberRecord<T extends Record<string, number>>(defaults: T) {
+  return (v: unknown): T | undefined => {
+    if (!v || typeof v !== "object" || Array.isArray(v)) return undefined;
+    const out = { ...defaults };
+    for (const k of Object.keys(defaults) as (keyof T)[]) {
+      const x = (v as Record<keyof T, unknown>)[k];
+      if (typeof x === "number" && Number.isFinite(x)) out[k] = x as T[keyof T];
+    }
+    return out;
+  };
+}
+
+const { roles: _defaultRoles, ...LABOR_NUMBERS } = DEFAULT_LABOR_MODEL;
+const laborNumbers = numberRecord(LABOR_NUMBERS);
+const roleNumbers = numberRecord({ wage: 0, hoursPerDay: 0, daysPerMonth: 0, headcount: 0 });
+const menuNumbers = numberRecord({ price: 0, cost: 0, perPerson: 0 });
+const slotNumbers = numberRecord({ pricePerPerson: 0, occupancy: 0, turnover: 0 });
+const channelNumbers = numberRecord({ fixedMonthly: 0, unitCost: 0, volume: 0, conversionRate: 0 });
+const { platforms: _defaultPlatforms, ...DELIVERY_NUMBERS } = DEFAULT_DELIVERY_MODEL;
+const deliveryNumbers = numberRecord(DELIVERY_NUMBERS);
+const platformNumbers = numberRecord({ share: 0, commissionRate: 0, packagingPerOrder: 0 });
+
+function laborModelOf(v: unknown): LaborModel | undefined {
+  const nums = laborNumbers(v);
+  const roles = (v as { roles?: unknown })?.roles;
+  if (!nums || !Array.isArray(roles)) return undefined;
+  const out: StaffRole[] = [];
+  for (const r of roles) {
+    const n = roleNumbers(r);
+    if (!n || typeof r.id !== "string" || typeof r.label !== "string") return undefined;
+    out.push({ id: r.id, label: r.label, ...n });
+  }
+  return { ...nums, roles: out };
+}
+
+function menuItemsOf(v: unknown): MenuItem[] | undefined {
+  if (!Array.isArray(v)) return undefined;
+  const out: MenuItem[] = [];
+  for (const m of v) {
+    const n = menuNumbers(m);
+    if (!n || typeof m.id !== "string" || typeof m.name !== "string") return undefined;
+    out.push({ id: m.id, name: m.name, ...n });
+  }
+  return out;
+}
+
+function demandModelOf(v: unknown): DemandModel | undefined {
+  const slots = (v as { slots?: unknown })?.slots;
+  const weekendDays = (v as { weekendDaysPerMonth?: unknown })?.weekendDaysPerMonth;
+  if (!Array.isArray(slots) || typeof weekendDays !== "number" || !Number.isFinite(weekendDays)) return undefined;
+  const out: DemandSlot[] = [];
+  for (const s of slots) {
+    const weekday = slotNumbers(s?.weekday);
+    const weekend = slotNumbers(s?.weekend);
+    if (!weekday || !weekend || !Object.keys(SLOT_LABELS).includes(s.key) || typeof s.enabled !== "boolean") return undefined;
+    out.push({ key: s.key, enabled: s.enabled, weekday, weekend });
+  }
+  return { slots: out, weekendDaysPerMonth: weekendDays };
+}
+
+function channelsOf(v: unknown): AdChannel[] | undefined {
+  if (!Array.isArray(v)) return undefined;
+  const out: AdChannel[] = [];
+  for (const c of v) {
+    const n = channelNumbers(c);
+    if (!n || typeof c.id !== "string" || typeof c.label !== "string" || typeof c.enabled !== "boolean") return undefined;
+    if (!Object.keys(CHANNEL_COST_MODELS).includes(c.costModel)) return undefined;
+    out.push({ id: c.id, label: c.label, enabled: c.enabled, costModel: c.costModel, ...n });
+  }
+  return out;
+}
+
+function deliveryModelOf(v: unknown): DeliveryModel | undefined {
+  const nums = deliveryNumbers(v);
+  const platforms = (v as { platforms?: unknown })?.platforms;
+  if (!nums || !Array.isArray(platforms)) return undefined;
+  const out: DeliveryPlatform[] = [];
+  for (const p of platforms) {
+    const n = platformNumbers(p);
+    if (!n || typeof p.id !== "string" || typeof p.label !== "string" || typeof p.enabled !== "boolean") return undefined;
+    out.push({ id: p.id, label: p.label, enabled: p.enabled, ...n });
+  }
+  return { ...nums, platforms: out };
+}
+
+// Structured fields (arrays / objects) and bounded numbers get their own check; return undefined to reject
+const FIELD_VALIDATORS: Partial<Record<keyof CaseInputs, (v: unknown) => unknown>> = {
+  projectionMonths: (v) => (typeof v === "number" ? clampProjectionMonths(v) : undefined),
+  rampMonths: (v) => (typeof v === "number" ? clampRampMonths(v) : undefined),
+  adSpendByMonth: (v) =>
+    Array.isArray(v) && v.every((x) => typeof x === "number" && Number.isFinite(x)) ? v : undefined,
+  actuals: numberRecord(EMPTY_ACTUALS),
+  costLines: (v) =>
+    Array.isArray(v) &&
+    v.every(
+      (c) =>
+        c &&
+        typeof c.id === "string" &&
+        typeof c.label === "string" &&
+        Object.keys(COST_LINE_KINDS).includes(c.kind) &&
+        typeof c.value === "number" &&
+        Number.isFinite(c.value)
+    )
+      ? v.map((c) => ({ id: c.id, label: c.label, kind: c.kind, value: c.value }))
+      : undefined,
+  laborModel: laborModelOf,
+  menuItems: menuItemsOf,
+  demandModel: demandModelOf,
+  channels: channelsOf,
+  deliveryModel: deliveryModelOf,
+  ltv: numberRecord(DEFAULT_LTV),
+};
+
+// Data saved before auto station distance existed: its stored distance was picked
+// by hand, so keep it instead of letting the estimate overwrite it
+export function keepLegacyStationDistance(raw: Record<string, unknown>): Record<string, unknown> {
+  const has = (k: string) => Object.prototype.hasOwnProperty.call(raw, k);
+  return has("stationDistance") && !has("autoStationDistance") ? { ...raw, autoStationDistance: false } : raw;
+}
+
+// Merge untrusted data (storage, URL) onto the defaults, field by field.
+// Unknown keys are dropped; missing or mistyped ones fall back to the default.
+export function sanitizeInputs(raw: unknown): CaseInputs {
+  const src = raw && typeof raw === "object" ? (raw as Record<string, unknown>) : {};
+  const out: Record<string, unknown> = { ...DEFAULT_INPUTS };
+
+  for (const key of Object.keys(DEFAULT_INPUTS) as (keyof CaseInputs)[]) {
+    const v = src[key];
+    const def = DEFAULT_INPUTS[key];
+    const validate = FIELD_VALIDATORS[key];
+    if (validate) {
+      const checked = validate(v);
+      if (checked !== undefined) out[key] = checked;
+      continue;
+    }
+    if (typeof v !== typeof def) continue;
+    if (typeof v === "number" && !Number.isFinite(v)) continue;
+    const allowed = ENUM_FIELDS[key];
+    if (allowed && !allowed.includes(v as string)) continue;
+    out[key] = v;
+  }
+
+  return out as CaseInputs;
+}
@@ -0,0 +1,137 @@
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Button } from "@/components/ui/button";
+import { Plus, RotateCcw, Trash2, TriangleAlert } from "lucide-react";
+import { formatJPY, formatPct, numOr0 } from "./utils";
+import { newId } from "./cases";
+import { DEFAULT_LABOR_MODEL, type LaborModel, type LaborResult, type StaffRole } from "./labor";
+
+type Props = {
+  enabled: boolean;
+  onEnabledChange: (v: boolean) => void;
+  model: LaborModel;
+  onModelChange: (m: LaborModel) => void;
+  result: LaborResult;
+  manualRates: boolean;
+  addAfterFL: number; // proportional L, for comparison
+};
+
+const ROLE_FIELDS: { key: "wage" | "hoursPerDay" | "daysPerMonth" | "headcount"; label: string }[] = [
+  { key: "wage", label: "時給" },
+  { key: "hoursPerDay", label: "時間/日" },
+  { key: "daysPerMonth", label: "日/月" },
+  { key: "headcount", label: "人数" },
+];
+
+export function LaborBuilder({ enabled, onEnabledChange, model, onModelChange, result, manualRates, addAfterFL }: Props) {
+  const patchRole = (id: string, patch: Partial<StaffRole>) =>
+    onModelChange({ ...model, roles: model.roles.map((r) => (r.id === id ? { ...r, ...patch } : r)) });
+
+  const numberField = (label: string, value: number, onChange: (n: number) => void) => (
+    <div className="space-y-1">
+      <Label className="text-xs">{label}</Label>
+      <Input className="h-8" inputMode="decimal" value={String(value)} onChange={(e) => onChange(numOr0(e.target.value))} />
+    </div>
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between rounded-xl border p-3">
+        <div>
+          <div className="text-sm font-medium">シフトから人件費率（L）を算出</div>
+          <div className="text-xs text-muted-foreground">
+            {manualRates ? "手動で率を調整中のため反映されません" : "ONの間はテンプレのLの代わりに使います"}
+          </div>
+        </div>
+        <Switch checked={enabled} onCheckedChange={onEnabledChange} />
+      </div>
+
+      <div className="space-y-2">
+        {model.roles.map((r) => (
+          <div key={r.id} className="grid grid-cols-[1fr_repeat(4,4.5rem)_auto] items-end gap-2">
+            <div className="space-y-1">
+              <Label className="text-xs">役割</Label>
+              <Input className="h-8" value={r.label} onChange={(e) => patchRole(r.id, { label: e.target.value })} />
+            </div>
+            {ROLE_FIELDS.map(({ key, label }) => (
+              <div key={key} className="space-y-1">
+                <Label className="text-xs">{label}</Label>
+                <Input
+                  className="h-8"
+                  inputMode="decimal"
+                  value={String(r[key])}
+                  onChange={(e) => patchRole(r.id, { [key]: numOr0(e.target.value) })}
+                />
+              </div>
+            ))}
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => onModelChange({ ...model, roles: model.roles.filter((x) => x.id !== r.id) })}
+              title="削除"
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        ))}
+        <div className="flex gap-2">
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() =>
+              onModelChange({
+                ...model,
+                roles: [...model.roles, { id: newId(), label: "アルバイト", wage: 1100, hoursPerDay: 4, daysPerMonth: 20, headcount: 1 }],
+              })
+            }
+          >
+            <Plus className="mr-2 h-4 w-4" />
+            役割を追加
+          </Button>
+          <Button size="sm" variant="outline" onClick={() => onModelChange(DEFAULT_LABOR_MODEL)}>
+            <RotateCcw className="mr-2 h-4 w-4" />
+            既定に戻す
+          </Button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 md:grid-cols-4">
+        {numberField("社保負担率", model.socialInsuranceRate, (n) => onModelChange({ ...model, socialInsuranceRate: n }))}
+        {numberField("オーナー人件費（円/月）", model.ownerLabor, (n) => onModelChange({ ...model, ownerLabor: n }))}
+        {numberField("オーナー稼働（時間/日）", model.ownerHoursPerDay, (n) => onModelChange({ ...model, ownerHoursPerDay: n }))}
+        {numberField("目標人時売上（円）", model.salesPerLaborHour, (n) => onModelChange({ ...model, salesPerLaborHour: n }))}
+      </div>
+
+      <div className="rounded-xl border p-3 text-sm">
+        <div className="flex items-center justify-between">
+          <span>人件費（給与＋社保＋オーナー）</span>
+          <span className="font-medium">{formatJPY(result.laborCostMonthly)}/月</span>
+        </div>
+        <div className="flex items-center justify-between">
+          <span>人件費率（席推定の月商比）</span>
+          <span className="font-medium">{result.laborRate > 0 ? formatPct(result.laborRate) : "—"}</span>
+        </div>
+        <div className="flex items-center justify-between text-muted-foreground">
+          <span>シフト時間 / 必要時間（人時売上ベース）</span>
+          <span>
+            {result.scheduledHoursPerDay.toFixed(1)}h / {result.neededHoursPerDay.toFixed(1)}h（増加後 {result.neededHoursWithAddPerDay.toFixed(1)}h）
+          </span>
+        </div>
+      </div>
+
+      {result.extraHoursPerDay > 0 && (
+        <div className="flex items-start gap-2 rounded-xl border border-destructive/40 p-3 text-sm">
+          <TriangleAlert className="mt-0.5 h-4 w-4 text-destructive" />
+          <div className="space-y-1">
+            <div className="font-medium">増加組数にはシフト追加が必要（+{result.extraHoursPerDay.toFixed(1)}h/日）</div>
+            <div className="text-xs text-muted-foreground">
+              追加人件費 {formatJPY(result.extraLaborMonthly)}/月 → 増分粗利から差し引くと {formatJPY(result.addAfterFLShift)}/月
+              （率ベースのFL控除後は {formatJPY(addAfterFL)}/月）
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import { safeDiv } from "./utils";
+import type { Baseline, Normalized } from "./engine";
+
+// --- Labor cost from a shift / wage model ---
+// Builds monthly labor from roles instead of the preset L ratio, and checks whether
+// the extra groups per day fit in the scheduled hours (人時売上 = sales per labor hour).
+
+export type StaffRole = {
+  id: string;
+  label: string;
+  wage: number; // yen per hour
+  hoursPerDay: number;
+  daysPerMonth: number;
+  headcount: number;
+};
+
+export type LaborModel = {
+  roles: StaffRole[];
+  socialInsuranceRate: number; // employer load on wages (0.15 = 15%)
+  ownerLabor: number; // owner's own pay, yen per month
+  ownerHoursPerDay: number; // owner's hours on the floor (capacity only)
+  salesPerLaborHour: number; // target 人時売上 (yen)
+};
+
+export const DEFAULT_LABOR_MODEL: LaborModel = {
+  roles: [
+    { id: "staff", label: "社員", wage: 1600, hoursPerDay: 10, daysPerMonth: 22, headcount: 2 },
+    { id: "kitchen", label: "キッチン（パート）", wage: 1200, hoursPerDay: 6, daysPerMonth: 26, headcount: 2 },
+    { id: "hall", label: "ホール（パート）", wage: 1150, hoursPerDay: 6, daysPerMonth: 26, headcount: 3 },
+  ],
+  socialInsuranceRate: 0.15,
+  ownerLabor: 0,
+  ownerHoursPerDay: 0,
+  salesPerLaborHour: 5000,
+};
+
+export type LaborResult = {
+  wagesMonthly: number;
+  socialInsurance: number;
+  laborCostMonthly: number; // wages + insurance + owner
+  laborRate: number; // against the seat-based monthly sales (0 when unknown)
+  scheduledHoursPerDay: number; // staff + owner, averaged over store days
+  neededHoursPerDay: number; // baseline sales / target 人時売上
+  neededHoursWithAddPerDay: number; // including the extra groups
+  extraHoursPerDay: number; // shift hours the extra groups add
+  extraLaborMonthly: number;
+  addAfterFLShift: number; // incremental GP minus the added shift cost
+};
+
+export function computeLabor(model: LaborModel, baseline: Baseline, normalized: Normalized): LaborResult {
+  const load = 1 + Math.max(0, model.socialInsuranceRate);
+  const days = baseline.days;
+
+  let wagesMonthly = 0;
+  let staffHoursMonthly = 0;
+  for (const r of model.roles) {
+    const hours = Math.max(0, r.hoursPerDay) * Math.max(0, r.daysPerMonth) * Math.max(0, r.headcount);
+    wagesMonthly += hours * Math.max(0, r.wage);
+    staffHoursMonthly += hours;
+  }
+  const socialInsurance = wagesMonthly * (load - 1);
+  const laborCostMonthly = wagesMonthly + socialInsurance + Math.max(0, model.ownerLabor);
+  const laborRate = safeDiv(laborCostMonthly, baseline.baselineRevenueMonthly);
+
+  const scheduledHoursPerDay = safeDiv(staffHoursMonthly, days) + Math.max(0, model.ownerHoursPerDay);
+  const neededHoursPerDay = safeDiv(baseline.baselineRevenueDaily, model.salesPerLaborHour);
+  const neededHoursWithAddPerDay = safeDiv(baseline.baselineRevenueDaily + normalized.addRevenueDaily, model.salesPerLaborHour);
+
+  // Only hours beyond what is scheduled (or already short) are new cost
+  const extraHoursPerDay = Math.max(0, neededHoursWithAddPerDay - Math.max(scheduledHoursPerDay, neededHoursPerDay));
+  const avgWage = staffHoursMonthly > 0 ? wagesMonthly / staffHoursMonthly : 0;
+  const extraLaborMonthly = extraHoursPerDay * avgWage * load * days;
+
+  return {
+    wagesMonthly,
+    socialInsurance,
+    laborCostMonthly,
+    laborRate,
+    scheduledHoursPerDay,
+    neededHoursPerDay,
+    neededHoursWithAddPerDay,
+    extraHoursPerDay,
+    extraLaborMonthly,
+    addAfterFLShift: normalized.addGrossProfit - extraLaborMonthly,
+  };
+}
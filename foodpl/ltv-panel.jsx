@@ -0,0 +1,112 @@
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Repeat } from "lucide-react";
+import { formatJPY, formatPct, numOr0, safeDiv } from "./utils";
+import { LTV_MONTHS, type LtvAssumptions, type LtvResult } from "./ltv";
+
+type Props = {
+  assumptions: LtvAssumptions;
+  onAssumptionsChange: (a: LtvAssumptions) => void;
+  result: LtvResult;
+  gpRoas: number; // first visit only, for comparison
+};
+
+const FIELDS = [
+  { key: "repeatRate", label: "リピート率", hint: "新規のうち再来店する割合（0.30 = 30%）" },
+  { key: "visitsPerYear", label: "来店回数/年", hint: "リピーター1組あたり" },
+  { key: "monthlyDecay", label: "離脱率/月", hint: "リピーターが毎月減る割合（0.10 = 10%）" },
+] as const;
+
+export function LtvPanel({ assumptions, onAssumptionsChange, result, gpRoas }: Props) {
+  const hasGroups = result.newGroupsMonthly > 0;
+  const ltvCacLabel = !hasGroups || result.cac <= 0 ? "—" : result.ltvCac.toFixed(2);
+
+  return (
+    <div className="rounded-2xl border p-4">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2 text-sm font-medium">
+          <Repeat className="h-4 w-4" />
+          リピート込みの広告効果（LTV/CAC）
+        </div>
+        <Badge variant={hasGroups && result.cac > 0 && result.ltvCac >= 1 ? "default" : "secondary"}>LTV/CAC {ltvCacLabel}</Badge>
+      </div>
+
+      <div className="mt-3 grid gap-3 md:grid-cols-3">
+        {FIELDS.map((f) => (
+          <div key={f.key} className="space-y-1">
+            <Label className="text-xs">{f.label}</Label>
+            <Input
+              className="h-8"
+              inputMode="decimal"
+              value={String(assumptions[f.key])}
+              onChange={(e) => onAssumptionsChange({ ...assumptions, [f.key]: numOr0(e.target.value) })}
+            />
+            <p className="text-[10px] text-muted-foreground">{f.hint}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-3 grid grid-cols-2 gap-2 md:grid-cols-4">
+        <div className="rounded-xl bg-muted/40 p-3">
+          <div className="text-xs text-muted-foreground">CAC（新規1組の獲得費）</div>
+          <div className="text-lg font-semibold">{hasGroups ? formatJPY(result.cac) : "—"}</div>
+          <div className="text-[10px] text-muted-foreground">新規 {result.newGroupsMonthly.toFixed(0)}組/月</div>
+        </div>
+        <div className="rounded-xl bg-muted/40 p-3">
+          <div className="text-xs text-muted-foreground">粗利LTV（{LTV_MONTHS}ヶ月）</div>
+          <div className="text-lg font-semibold">{formatJPY(result.ltvGrossProfit)}</div>
+          <div className="text-[10px] text-muted-foreground">
+            初回 {formatJPY(result.gpPerVisit)} + 再来店 {result.repeatVisitsPerGroup.toFixed(2)}回
+          </div>
+        </div>
+        <div className="rounded-xl bg-muted/40 p-3">
+          <div className="text-xs text-muted-foreground">粗利ROAS</div>
+          <div className="text-lg font-semibold">
+            {gpRoas.toFixed(2)} → {result.gpRoasWithRepeat.toFixed(2)}
+          </div>
+          <div className="text-[10px] text-muted-foreground">初回のみ → リピート込み（{result.months.length}ヶ月）</div>
+        </div>
+        <div className="rounded-xl bg-muted/40 p-3">
+          <div className="text-xs text-muted-foreground">リピート売上（{result.months.length}ヶ月）</div>
+          <div className="text-lg font-semibold">{formatJPY(result.totalRepeatRevenue)}</div>
+          <div className="text-[10px] text-muted-foreground">
+            {result.paybackMonth ? `リピート込みで${result.paybackMonth}ヶ月目に回収` : "期間内は未回収"}
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-3 max-h-72 overflow-auto">
+        <table className="w-full text-xs">
+          <thead className="sticky top-0 bg-background">
+            <tr className="text-muted-foreground">
+              <th className="py-1 text-left font-normal">月</th>
+              <th className="py-1 text-right font-normal">新規組</th>
+              <th className="py-1 text-right font-normal">再来店</th>
+              <th className="py-1 text-right font-normal">新規売上</th>
+              <th className="py-1 text-right font-normal">リピート売上</th>
+              <th className="py-1 text-right font-normal">リピート比率</th>
+              <th className="py-1 text-right font-normal">累計差額</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.months.map((m) => (
+              <tr key={m.month} className={`border-t ${m.month === result.paybackMonth ? "bg-muted/40 font-semibold" : ""}`}>
+                <td className="py-1">{m.month}</td>
+                <td className="py-1 text-right">{m.newGroups.toFixed(0)}</td>
+                <td className="py-1 text-right">{m.repeatVisits.toFixed(1)}</td>
+                <td className="py-1 text-right">{formatJPY(m.firstRevenue)}</td>
+                <td className="py-1 text-right">{formatJPY(m.repeatRevenue)}</td>
+                <td className="py-1 text-right">{formatPct(safeDiv(m.repeatRevenue, m.firstRevenue + m.repeatRevenue))}</td>
+                <td className={`py-1 text-right ${m.cumNet < 0 ? "text-destructive" : ""}`}>{formatJPY(m.cumNet)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="mt-2 text-xs text-muted-foreground">
+        ※ 新規組は月次推移の立ち上がりに合わせて計算。再来店1回あたりの粗利は初回と同じとみなします。
+      </p>
+    </div>
+  );
+}
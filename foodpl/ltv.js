@@ -0,0 +1,120 @@
+import { clamp, safeDiv } from "./utils";
+import type { Normalized } from "./engine";
+import type { Projection } from "./projection";
+
+// --- Repeat guests: LTV and LTV/CAC ---
+// ROAS counts each ad-acquired group once. Here a share of them comes back a few
+// times a year while the repeaters thin out month by month; every visit earns
+// the same gross profit as the first one (F, delivery commission / packaging).
+
+export type LtvAssumptions = {
+  repeatRate: number; // share of new groups that come back (0.30 = 30%)
+  visitsPerYear: number; // visits per year of a guest who comes back
+  monthlyDecay: number; // share of repeaters lost each month (0.10 = 10%)
+};
+
+export const DEFAULT_LTV: LtvAssumptions = {
+  repeatRate: 0.3,
+  visitsPerYear: 4,
+  monthlyDecay: 0.1,
+};
+
+// LTV horizon and the length of the repeat view
+export const LTV_MONTHS = 12;
+
+export type LtvMonth = {
+  month: number; // 1-based, same months as the projection
+  newGroups: number; // ad-acquired groups this month
+  repeatVisits: number; // visits by groups acquired in earlier months
+  firstRevenue: number;
+  repeatRevenue: number;
+  grossProfit: number; // first + repeat visits
+  adSpend: number;
+  cumNet: number; // cumulative gross profit - cumulative ad spend
+};
+
+export type LtvResult = {
+  repeatRate: number;
+  newGroupsMonthly: number;
+  cac: number; // ad spend per new group
+  revenuePerVisit: number;
+  gpPerVisit: number;
+  repeatVisitsPerGroup: number; // within LTV_MONTHS after the first visit
+  ltvRevenue: number; // per new group, first visit included
+  ltvGrossProfit: number;
+  ltvCac: number;
+  months: LtvMonth[];
+  totalRepeatRevenue: number;
+  totalRepeatGrossProfit: number;
+  gpRoasWithRepeat: number; // over the view: all gross profit ÷ ad spend
+  paybackMonth: number | null; // with repeat visits
+};
+
+// Repeat visits in month `m` after the first visit (m >= 1), per new group
+function repeatVisitsInMonth(a: LtvAssumptions, m: number): number {
+  const perMonth = Math.max(0, a.visitsPerYear) / 12;
+  const keep = 1 - clamp(a.monthlyDecay, 0, 1);
+  return clamp(a.repeatRate, 0, 1) * perMonth * Math.pow(keep, m - 1);
+}
+
+export function computeLtv(normalized: Normalized, adSpend: number, projection: Projection, a: LtvAssumptions): LtvResult {
+  const n = normalized;
+  const newGroupsMonthly = n.addG * n.days;
+  const revenuePerVisit = safeDiv(n.addRevenueMonthly, newGroupsMonthly);
+  const gpPerVisit = safeDiv(n.addGrossProfit, newGroupsMonthly);
+  const cac = safeDiv(adSpend, newGroupsMonthly);
+
+  let repeatVisitsPerGroup = 0;
+  for (let m = 1; m <= LTV_MONTHS; m++) repeatVisitsPerGroup += repeatVisitsInMonth(a, m);
+  const ltvRevenue = revenuePerVisit * (1 + repeatVisitsPerGroup);
+  const ltvGrossProfit = gpPerVisit * (1 + repeatVisitsPerGroup);
+
+  // Cohorts acquired along the projection's ramp-up keep coming back in later months
+  const view = projection.months.slice(0, LTV_MONTHS);
+  const cohorts = view.map((p) => p.groupsPerDay * n.days);
+  const months: LtvMonth[] = [];
+  let cumNet = 0;
+  let totalGrossProfit = 0;
+  let totalAdSpend = 0;
+  let paybackMonth: number | null = null;
+
+  view.forEach((p, i) => {
+    let repeatVisits = 0;
+    for (let c = 0; c < i; c++) repeatVisits += cohorts[c] * repeatVisitsInMonth(a, i - c);
+    const repeatRevenue = repeatVisits * revenuePerVisit;
+    const grossProfit = p.grossProfit + repeatVisits * gpPerVisit;
+    cumNet += grossProfit - p.adSpend;
+    totalGrossProfit += grossProfit;
+    totalAdSpend += p.adSpend;
+    if (paybackMonth === null && cumNet >= 0 && totalAdSpend > 0) paybackMonth = p.month;
+    months.push({
+      month: p.month,
+      newGroups: cohorts[i],
+      repeatVisits,
+      firstRevenue: p.revenue,
+      repeatRevenue,
+      grossProfit,
+      adSpend: p.adSpend,
+      cumNet,
+    });
+  });
+
+  const totalRepeatRevenue = months.reduce((s, m) => s + m.repeatRevenue, 0);
+
+  return {
+    repeatRate: clamp(a.repeatRate, 0, 1),
+    newGroupsMonthly,
+    cac,
+    revenuePerVisit,
+    gpPerVisit,
+    repeatVisitsPerGroup,
+    ltvRevenue,
+    ltvGrossProfit,
+    ltvCac: safeDiv(ltvGrossProfit, cac),
+    months,
+    totalRepeatRevenue,
+    totalRepeatGrossProfit: months.reduce((s, m) => s + m.repeatVisits, 0) * gpPerVisit,
+    gpRoasWithRepeat: safeDiv(totalGrossProfit, totalAdSpend),
+    paybackMonth,
+  };
+}
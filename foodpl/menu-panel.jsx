@@ -0,0 +1,137 @@
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Plus, RotateCcw, Trash2 } from "lucide-react";
+import { formatJPY, formatPct, numOr0 } from "./utils";
+import { newId } from "./cases";
+import { DEFAULT_MENU_ITEMS, MENU_CLASS_LABELS, type MenuItem, type MenuResult } from "./menu";
+
+type Props = {
+  items: MenuItem[];
+  onItemsChange: (items: MenuItem[]) => void;
+  result: MenuResult;
+  setsFoodRate: boolean;
+  onSetsFoodRateChange: (v: boolean) => void;
+  setsUnitPrice: boolean;
+  onSetsUnitPriceChange: (v: boolean) => void;
+  manualRates: boolean;
+};
+
+const NUMBER_COLUMNS: { key: "price" | "cost" | "perPerson"; label: string }[] = [
+  { key: "price", label: "売価" },
+  { key: "cost", label: "原価" },
+  { key: "perPerson", label: "出数/人" },
+];
+
+export function MenuBuilder(props: Props) {
+  const { items, onItemsChange, result } = props;
+
+  const patchItem = (id: string, patch: Partial<MenuItem>) =>
+    onItemsChange(items.map((m) => (m.id === id ? { ...m, ...patch } : m)));
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-2 rounded-xl border p-3">
+        <div className="flex items-center justify-between">
+          <div>
+            <div className="text-sm font-medium">メニューから原価率（F）を算出</div>
+            <div className="text-xs text-muted-foreground">
+              {props.manualRates ? "手動で率を調整中のため反映されません" : "ONの間はテンプレのFの代わりに使います"}
+            </div>
+          </div>
+          <Switch checked={props.setsFoodRate} onCheckedChange={props.onSetsFoodRateChange} />
+        </div>
+        <div className="flex items-center justify-between">
+          <div>
+            <div className="text-sm font-medium">メニューから客単価を算出</div>
+            <div className="text-xs text-muted-foreground">1組あたりの場合は平均人数/組を掛けます</div>
+          </div>
+          <Switch checked={props.setsUnitPrice} onCheckedChange={props.onSetsUnitPriceChange} />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <div className="rounded-xl bg-muted/40 p-3">
+          <div className="text-xs text-muted-foreground">加重平均の原価率</div>
+          <div className="text-lg font-semibold">{formatPct(result.foodRate)}</div>
+        </div>
+        <div className="rounded-xl bg-muted/40 p-3">
+          <div className="text-xs text-muted-foreground">1人あたり客単価（原価）</div>
+          <div className="text-lg font-semibold">
+            {formatJPY(result.spendPerPerson)}
+            <span className="ml-1 text-xs font-normal text-muted-foreground">（{formatJPY(result.costPerPerson)}）</span>
+          </div>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-muted-foreground">
+              <th className="py-1 text-left font-normal">品目</th>
+              {NUMBER_COLUMNS.map((c) => (
+                <th key={c.key} className="py-1 text-right font-normal">
+                  {c.label}
+                </th>
+              ))}
+              <th className="py-1 text-right font-normal">原価率</th>
+              <th className="py-1 text-right font-normal">売上構成</th>
+              <th className="py-1 text-left font-normal">分類</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {result.items.map((m) => (
+              <tr key={m.id} className="border-t">
+                <td className="py-1 pr-1">
+                  <Input className="h-7 min-w-28 text-xs" value={m.name} onChange={(e) => patchItem(m.id, { name: e.target.value })} />
+                </td>
+                {NUMBER_COLUMNS.map((c) => (
+                  <td key={c.key} className="py-1 pr-1">
+                    <Input
+                      className="h-7 w-20 text-right text-xs"
+                      inputMode="decimal"
+                      value={String(m[c.key])}
+                      onChange={(e) => patchItem(m.id, { [c.key]: numOr0(e.target.value) })}
+                    />
+                  </td>
+                ))}
+                <td className={`py-1 text-right ${m.costRate > result.foodRate ? "text-destructive" : ""}`}>{formatPct(m.costRate)}</td>
+                <td className="py-1 text-right">{formatPct(m.salesShare)}</td>
+                <td className="py-1 pl-2">
+                  <Badge variant={m.menuClass === "dog" ? "destructive" : m.menuClass === "star" ? "default" : "secondary"}>
+                    {MENU_CLASS_LABELS[m.menuClass]}
+                  </Badge>
+                </td>
+                <td className="py-1">
+                  <Button size="sm" variant="ghost" onClick={() => onItemsChange(items.filter((x) => x.id !== m.id))} title="削除">
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={() => onItemsChange([...items, { id: newId(), name: "", price: 0, cost: 0, perPerson: 0 }])}
+        >
+          <Plus className="mr-2 h-4 w-4" />
+          品目を追加
+        </Button>
+        <Button size="sm" variant="outline" onClick={() => onItemsChange(DEFAULT_MENU_ITEMS)}>
+          <RotateCcw className="mr-2 h-4 w-4" />
+          既定に戻す
+        </Button>
+      </div>
+      <p className="text-xs text-muted-foreground">
+        ※ 出数/人 = 客1人あたりの注文数（0.5 = 2人に1品）。分類は出数構成（均等比の70%が基準）と1品あたり粗利（加重平均が基準）で判定。
+      </p>
+    </div>
+  );
+}
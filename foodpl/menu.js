@@ -0,0 +1,80 @@
+import { safeDiv } from "./utils";
+
+// --- Menu recipe costing ---
+// Dishes with price, ingredient cost and expected orders per guest give the
+// weighted food cost rate (F) and spend per person; menu-engineering quadrants
+// show which dishes push F up.
+
+export type MenuItem = {
+  id: string;
+  name: string;
+  price: number; // selling price (yen)
+  cost: number; // ingredient cost per serving (yen)
+  perPerson: number; // expected orders per guest (0.5 = every other guest)
+};
+
+export type MenuClass = "star" | "plowhorse" | "puzzle" | "dog";
+
+export const MENU_CLASS_LABELS: Record<MenuClass, string> = {
+  star: "花形（人気・高利益）",
+  plowhorse: "稼ぎ頭（人気・低利益）",
+  puzzle: "問題児（不人気・高利益）",
+  dog: "見直し（不人気・低利益）",
+};
+
+export const DEFAULT_MENU_ITEMS: MenuItem[] = [
+  { id: "beer", name: "生ビール", price: 600, cost: 180, perPerson: 1.5 },
+  { id: "sake", name: "日本酒（1合）", price: 880, cost: 300, perPerson: 0.5 },
+  { id: "karaage", name: "唐揚げ", price: 680, cost: 190, perPerson: 0.4 },
+  { id: "sashimi", name: "刺身盛り合わせ", price: 1280, cost: 560, perPerson: 0.25 },
+  { id: "salad", name: "サラダ", price: 580, cost: 150, perPerson: 0.3 },
+  { id: "yakitori", name: "焼き鳥盛り", price: 980, cost: 320, perPerson: 0.35 },
+  { id: "rice", name: "〆の雑炊", price: 680, cost: 160, perPerson: 0.2 },
+];
+
+export type MenuItemResult = MenuItem & {
+  costRate: number;
+  margin: number; // net price - cost per serving
+  salesShare: number;
+  mixShare: number; // share of orders
+  menuClass: MenuClass;
+};
+
+export type MenuResult = {
+  items: MenuItemResult[];
+  spendPerPerson: number; // Σ price × orders per guest
+  costPerPerson: number;
+  foodRate: number; // weighted: Σ cost / Σ net sales
+};
+
+// netFactor: price → net of consumption tax (see tax.js); costs are already net
+export function computeMenu(items: MenuItem[], netFactor = 1): MenuResult {
+  const valid = items.filter((i) => i.price > 0 && i.perPerson > 0);
+  const spendPerPerson = valid.reduce((s, i) => s + i.price * i.perPerson, 0);
+  const costPerPerson = valid.reduce((s, i) => s + i.cost * i.perPerson, 0);
+  const orders = valid.reduce((s, i) => s + i.perPerson, 0);
+
+  // Kasavana–Smith thresholds: 70% of an even mix share, and the weighted average margin
+  const popularityThreshold = valid.length > 0 ? 0.7 / valid.length : 0;
+  // Margins on net prices, like the cost rates (costs are net already)
+  const avgMargin = safeDiv(spendPerPerson * netFactor - costPerPerson, orders);
+
+  const out = items.map((i) => {
+    const counted = i.price > 0 && i.perPerson > 0;
+    const margin = i.price * netFactor - i.cost;
+    const mixShare = counted ? safeDiv(i.perPerson, orders) : 0;
+    const popular = mixShare >= popularityThreshold;
+    const profitable = margin >= avgMargin;
+    const menuClass: MenuClass = popular ? (profitable ? "star" : "plowhorse") : profitable ? "puzzle" : "dog";
+    return {
+      ...i,
+      costRate: safeDiv(i.cost, i.price * netFactor),
+      margin,
+      salesShare: counted ? safeDiv(i.price * i.perPerson, spendPerPerson) : 0,
+      mixShare,
+      menuClass,
+    };
+  });
+
+  return { items: out, spendPerPerson, costPerPerson, foodRate: safeDiv(costPerPerson, spendPerPerson * netFactor) };
+}
@@ -0,0 +1,213 @@
+import { useState } from "react";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Dices, Play } from "lucide-react";
+import { formatJPY, formatPct, numOr0 } from "./utils";
+import {
+  MC_ITERATION_OPTIONS,
+  type HistogramBin,
+  type McRanges,
+  type McResult,
+  type McVar,
+  type McVarDef,
+} from "./monte-carlo";
+
+type Props = {
+  enabled: boolean;
+  onEnabledChange: (v: boolean) => void;
+  vars: McVarDef[]; // the ones drawn for the current inputs
+  ranges: McRanges;
+  onRangeChange: (key: McVar, side: "min" | "max", value: number) => void;
+  onResetRanges: () => void;
+  iterations: number;
+  onIterationsChange: (n: number) => void;
+  seed: number;
+  onSeedChange: (n: number) => void;
+  result: McResult | null;
+  stale: boolean; // inputs changed since the last run
+  onRun: () => void;
+};
+
+function formatValue(kind: "jpy" | "pct" | "num", v: number): string {
+  if (kind === "jpy") return formatJPY(v);
+  if (kind === "pct") return formatPct(v);
+  return v.toFixed(2);
+}
+
+function Histogram({ bins, highlightNegative }: { bins: HistogramBin[]; highlightNegative: boolean }) {
+  const maxCount = Math.max(1, ...bins.map((b) => b.count));
+  if (bins.length === 0) return null;
+  return (
+    <div>
+      <div className="flex h-24 items-end gap-px">
+        {bins.map((b, i) => (
+          <div
+            key={i}
+            className={`flex-1 rounded-t ${highlightNegative && b.to <= 0 ? "bg-destructive/60" : "bg-primary/60"}`}
+            style={{ height: `${(b.count / maxCount) * 100}%` }}
+            title={`${formatJPY(b.from)}〜${formatJPY(b.to)}: ${b.count}回`}
+          />
+        ))}
+      </div>
+      <div className="mt-1 flex justify-between text-[10px] text-muted-foreground">
+        <span>{formatJPY(bins[0].from)}</span>
+        <span>{formatJPY(bins[bins.length - 1].to)}</span>
+      </div>
+    </div>
+  );
+}
+
+export function MonteCarloPanel(props: Props) {
+  const { enabled, onEnabledChange, ranges, result, stale } = props;
+  const [chart, setChart] = useState<"profit" | "sales">("profit");
+
+  return (
+    <div className="rounded-2xl border p-4">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2 text-sm font-medium">
+          <Dices className="h-4 w-4" />
+          確率モード（モンテカルロ）
+        </div>
+        <Switch checked={enabled} onCheckedChange={onEnabledChange} />
+      </div>
+
+      {!enabled ? (
+        <p className="mt-2 text-xs text-muted-foreground">
+          ONにすると、前提ごとの幅（最小/最頻/最大）から月商・営業利益のP10/P50/P90と広告回収確率を出します。
+        </p>
+      ) : (
+        <div className="mt-3 space-y-4">
+          <div className="space-y-2">
+            <div className="grid grid-cols-[6rem_1fr_5rem_1fr] items-center gap-2 text-xs text-muted-foreground">
+              <span />
+              <span>最小</span>
+              <span className="text-center">最頻（現在値）</span>
+              <span>最大</span>
+            </div>
+            {props.vars.map(({ key, label, kind }) => (
+              <div key={key} className="grid grid-cols-[6rem_1fr_5rem_1fr] items-center gap-2 text-xs">
+                <Label className="text-xs">{label}</Label>
+                <Input
+                  className="h-8"
+                  inputMode="decimal"
+                  value={String(ranges[key].min)}
+                  onChange={(e) => props.onRangeChange(key, "min", numOr0(e.target.value))}
+                />
+                <span className="text-center">{formatValue(kind, ranges[key].likely)}</span>
+                <Input
+                  className="h-8"
+                  inputMode="decimal"
+                  value={String(ranges[key].max)}
+                  onChange={(e) => props.onRangeChange(key, "max", numOr0(e.target.value))}
+                />
+              </div>
+            ))}
+            <div className="flex flex-wrap items-center gap-2 pt-1">
+              <Label className="text-xs">試行回数</Label>
+              <Select value={String(props.iterations)} onValueChange={(v) => props.onIterationsChange(Number(v))}>
+                <SelectTrigger className="h-8 w-28">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {MC_ITERATION_OPTIONS.map((n) => (
+                    <SelectItem key={n} value={String(n)}>
+                      {n.toLocaleString("ja-JP")}回
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Label className="text-xs">シード</Label>
+              <Input
+                className="h-8 w-20"
+                inputMode="numeric"
+                value={String(props.seed)}
+                onChange={(e) => props.onSeedChange(Math.trunc(numOr0(e.target.value)))}
+              />
+              <Button size="sm" variant="outline" className="ml-auto" onClick={props.onResetRanges}>
+                幅を既定に戻す
+              </Button>
+              <Button size="sm" onClick={props.onRun}>
+                <Play className="mr-2 h-4 w-4" />
+                試算する
+              </Button>
+            </div>
+            <p className="text-xs text-muted-foreground">※ 率は 0.30 = 30%。既定の幅は業態テンプレ（保守〜攻め）と選択肢の最小〜最大。</p>
+            {props.vars.length < Object.keys(ranges).length && (
+              <p className="text-xs text-muted-foreground">
+                ※ 時間帯別の需要モデルがONのため、席稼働率・回転数は振らず、客単価は増分の組にだけ効きます。
+              </p>
+            )}
+          </div>
+
+          {!result && <p className="text-xs text-muted-foreground">「試算する」を押すと、この幅で試行します。</p>}
+
+          {result && (
+            <>
+              {stale && (
+                <p className="text-xs text-amber-700">入力が変わりました。「試算する」で結果を更新してください。</p>
+              )}
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-xs text-muted-foreground">
+                      <th className="py-1 text-left font-normal" />
+                      <th className="py-1 text-right font-normal">P10（悲観）</th>
+                      <th className="py-1 text-right font-normal">P50（中央）</th>
+                      <th className="py-1 text-right font-normal">P90（楽観）</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <tr className="border-t">
+                      <td className="py-1 text-muted-foreground">月商（席推定）</td>
+                      <td className="py-1 text-right">{formatJPY(result.sales.p10)}</td>
+                      <td className="py-1 text-right font-semibold">{formatJPY(result.sales.p50)}</td>
+                      <td className="py-1 text-right">{formatJPY(result.sales.p90)}</td>
+                    </tr>
+                    <tr className="border-t">
+                      <td className="py-1 text-muted-foreground">ざっくり営業利益</td>
+                      <td className="py-1 text-right">{formatJPY(result.profit.p10)}</td>
+                      <td className="py-1 text-right font-semibold">{formatJPY(result.profit.p50)}</td>
+                      <td className="py-1 text-right">{formatJPY(result.profit.p90)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="rounded-xl bg-muted/40 p-3">
+                <div className="text-xs text-muted-foreground">広告費を増分粗利で回収できる確率</div>
+                <div className="text-lg font-semibold">{formatPct(result.recoveryProbability)}</div>
+              </div>
+
+              <div className="space-y-2">
+                <div className="flex gap-2">
+                  <Button size="sm" variant={chart === "profit" ? "default" : "outline"} onClick={() => setChart("profit")}>
+                    営業利益の分布
+                  </Button>
+                  <Button size="sm" variant={chart === "sales" ? "default" : "outline"} onClick={() => setChart("sales")}>
+                    月商の分布
+                  </Button>
+                </div>
+                <Histogram
+                  bins={chart === "profit" ? result.profitHistogram : result.salesHistogram}
+                  highlightNegative={chart === "profit"}
+                />
+                <p className="text-xs text-muted-foreground">
+                  {result.iterations.toLocaleString("ja-JP")}回試行（シード {result.seed}）。同じ入力・シードなら同じ結果になります。
+                </p>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,166 @@
+import { calculate, type CalcInput, type CalcOptions } from "./engine";
+import {
+  OCCUPANCY_OPTIONS,
+  TURNOVER_OPTIONS,
+  type RatePreset,
+} from "./presets";
+
+// --- Monte Carlo range estimate of the monthly P&L hypothesis ---
+// Each uncertain assumption is a triangular distribution (min / likely / max);
+// the simulation is seeded so the same inputs always give the same figures.
+
+export type McVar = "unitPrice" | "occupancy" | "turnover" | "foodRate" | "laborRate" | "rentRate" | "addGroupsPerDay";
+
+export type Triangular = { min: number; likely: number; max: number };
+
+export type McRanges = Record<McVar, Triangular>;
+
+export type McVarDef = { key: McVar; label: string; kind: "jpy" | "pct" | "num" };
+
+export const MC_VARS: McVarDef[] = [
+  { key: "unitPrice", label: "客単価", kind: "jpy" },
+  { key: "occupancy", label: "席稼働率", kind: "pct" },
+  { key: "turnover", label: "回転数", kind: "num" },
+  { key: "foodRate", label: "原価率（F）", kind: "pct" },
+  { key: "laborRate", label: "人件費率（L）", kind: "pct" },
+  { key: "rentRate", label: "家賃率（R）", kind: "pct" },
+  { key: "addGroupsPerDay", label: "増加組数/日", kind: "num" },
+];
+
+// With the demand model on, sales come from the time slots: occupancy and turnover
+// are not drawn, and the typed spend only prices the incremental groups
+export function mcVarsFor(input: CalcInput): McVarDef[] {
+  if (!input.demand) return MC_VARS;
+  return MC_VARS.filter((v) => v.key !== "occupancy" && v.key !== "turnover").map((v) =>
+    v.key === "unitPrice" ? { ...v, label: "客単価（増分）" } : v
+  );
+}
+
+export const MC_ITERATION_OPTIONS = [1000, 3000, 10000] as const;
+
+export type Percentiles = { p10: number; p50: number; p90: number };
+
+export type HistogramBin = { from: number; to: number; count: number };
+
+export type McResult = {
+  iterations: number;
+  seed: number;
+  sales: Percentiles; // seat-based monthly sales
+  profit: Percentiles; // baselineOperatingProfitApprox
+  recoveryProbability: number; // P(incremental gross profit >= ad spend)
+  salesHistogram: HistogramBin[];
+  profitHistogram: HistogramBin[];
+};
+
+// Defaults: option-list / preset extremes around the current value
+export function defaultMcRanges(input: CalcInput, industry: RatePreset): McRanges {
+  const s = industry.scenarios;
+  const span = (likely: number, lo: number, hi: number): Triangular => ({
+    min: Math.min(lo, likely),
+    likely,
+    max: Math.max(hi, likely),
+  });
+
+  return {
+    unitPrice: span(input.unitPrice, Math.round(input.unitPrice * 0.9), Math.round(input.unitPrice * 1.1)),
+    occupancy: span(input.occupancy, OCCUPANCY_OPTIONS[0], OCCUPANCY_OPTIONS[OCCUPANCY_OPTIONS.length - 1]),
+    turnover: span(input.turnover, TURNOVER_OPTIONS[0], TURNOVER_OPTIONS[TURNOVER_OPTIONS.length - 1]),
+    foodRate: span(input.foodRate, s.low.food, s.high.food),
+    laborRate: span(input.laborRate, s.low.labor, s.high.labor),
+    rentRate: span(input.rentRate, s.low.rent, s.high.rent),
+    addGroupsPerDay: span(input.addGroupsPerDay, 0, input.addGroupsPerDay * 2),
+  };
+}
+
+// Small, fast, seedable PRNG (mulberry32)
+export function mulberry32(seed: number): () => number {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Edited ranges may not bracket the likely value; widen them so they do
+export function normalizeTriangular({ min, likely, max }: Triangular): Triangular {
+  const lo = Math.min(min, max);
+  const hi = Math.max(min, max);
+  return { min: Math.min(lo, likely), likely, max: Math.max(hi, likely) };
+}
+
+// Inverse CDF of the triangular distribution
+export function sampleTriangular({ min, likely, max }: Triangular, u: number): number {
+  if (max <= min) return likely;
+  const c = (likely - min) / (max - min);
+  return u < c
+    ? min + Math.sqrt(u * (max - min) * (likely - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - likely));
+}
+
+export function percentile(sorted: number[], p: number): number {
+  if (sorted.length === 0) return 0;
+  const idx = (sorted.length - 1) * p;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+export function histogram(sorted: number[], binCount = 20): HistogramBin[] {
+  if (sorted.length === 0) return [];
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width = (max - min) / binCount || 1;
+  const bins: HistogramBin[] = Array.from({ length: binCount }, (_, i) => ({
+    from: min + i * width,
+    to: min + (i + 1) * width,
+    count: 0,
+  }));
+  for (const v of sorted) bins[Math.min(binCount - 1, Math.floor((v - min) / width))].count++;
+  return bins;
+}
+
+const percentilesOf = (sorted: number[]): Percentiles => ({
+  p10: percentile(sorted, 0.1),
+  p50: percentile(sorted, 0.5),
+  p90: percentile(sorted, 0.9),
+});
+
+export function runMonteCarlo(
+  input: CalcInput,
+  ranges: McRanges,
+  { iterations = 3000, seed = 1 }: { iterations?: number; seed?: number } = {},
+  options: CalcOptions = {}
+): McResult {
+  const rand = mulberry32(seed);
+  const vars = mcVarsFor(input);
+  const tri = Object.fromEntries(vars.map(({ key }) => [key, normalizeTriangular(ranges[key])])) as McRanges;
+  const sales: number[] = [];
+  const profit: number[] = [];
+  let recovered = 0;
+
+  for (let i = 0; i < iterations; i++) {
+    const draw: Partial<CalcInput> = {};
+    for (const { key } of vars) draw[key] = sampleTriangular(tri[key], rand());
+
+    const n = calculate({ ...input, ...draw }, options).normalized;
+    sales.push(n.baselineRevenueMonthly);
+    profit.push(n.baselineOperatingProfitApprox);
+    if (n.addGrossProfit >= input.adSpend) recovered++;
+  }
+
+  sales.sort((a, b) => a - b);
+  profit.sort((a, b) => a - b);
+
+  return {
+    iterations,
+    seed,
+    sales: percentilesOf(sales),
+    profit: percentilesOf(profit),
+    recoveryProbability: iterations > 0 ? recovered / iterations : 0,
+    salesHistogram: histogram(sales),
+    profitHistogram: histogram(profit),
+  };
+}
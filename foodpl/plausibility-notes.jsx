@@ -0,0 +1,47 @@
+import { AlertOctagon, AlertTriangle } from "lucide-react";
+import type { CheckField, PlausibilityIssue } from "./plausibility";
+
+function IssueLine({ issue }: { issue: PlausibilityIssue }) {
+  const Icon = issue.level === "error" ? AlertOctagon : AlertTriangle;
+  return (
+    <div className="flex gap-2 text-xs">
+      <Icon className={`mt-0.5 h-3.5 w-3.5 shrink-0 ${issue.level === "error" ? "text-destructive" : "text-amber-600"}`} />
+      <div>
+        <div className={`font-medium ${issue.level === "error" ? "text-destructive" : "text-amber-700"}`}>{issue.message}</div>
+        <div className="text-muted-foreground">{issue.detail}</div>
+      </div>
+    </div>
+  );
+}
+
+// Inline, under the field the issue is about
+export function FieldChecks({ issues, field }: { issues: PlausibilityIssue[]; field: CheckField }) {
+  const mine = issues.filter((i) => i.field === field);
+  if (mine.length === 0) return null;
+  return (
+    <div className="space-y-1">
+      {mine.map((i) => (
+        <IssueLine key={i.id} issue={i} />
+      ))}
+    </div>
+  );
+}
+
+// All issues at the top of the results
+export function PlausibilitySummary({ issues }: { issues: PlausibilityIssue[] }) {
+  if (issues.length === 0) return null;
+  const errors = issues.filter((i) => i.level === "error").length;
+  return (
+    <div className={`space-y-2 rounded-2xl border p-4 ${errors > 0 ? "border-destructive/50" : "border-amber-500/50"}`}>
+      <div className="text-sm font-medium">
+        入力の妥当性チェック：{errors > 0 ? `ありえない組み合わせ ${errors}件` : ""}
+        {errors > 0 && issues.length > errors ? "・" : ""}
+        {issues.length > errors ? `要確認 ${issues.length - errors}件` : ""}
+      </div>
+      {issues.map((i) => (
+        <IssueLine key={i.id} issue={i} />
+      ))}
+      <p className="text-xs text-muted-foreground">※ 提案トークにも「要確認」として載ります。数字を見せる前に前提を直してください。</p>
+    </div>
+  );
+}
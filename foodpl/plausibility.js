@@ -0,0 +1,125 @@
+import { formatJPY, formatPct, safeDiv } from "./utils";
+import { RENT_RATE_CAP, type CalcInput, type CalcResult } from "./engine";
+import type { RatePreset } from "./presets";
+
+// --- Plausibility checks on the combined inputs ---
+// Each field looks fine on its own; these catch combinations an owner would call
+// impossible (more extra guests than empty seats, FLR over 100%, ...).
+
+export type CheckField = "addGroupsPerDay" | "unitPrice" | "rates" | "rentRate";
+
+export type PlausibilityIssue = {
+  id: string;
+  field: CheckField;
+  level: "error" | "warning"; // error = cannot happen, warning = unusual
+  message: string;
+  detail: string; // why, with the numbers behind it
+};
+
+export type CheckContext = {
+  industry: RatePreset;
+  useBaseline: boolean;
+  autoRentRate: boolean; // R comes from the area suggestion (not typed, not the preset)
+};
+
+// Guests/day the seats can take at 100% occupancy with the assumed turnover
+export function seatCapacityPerDay(input: CalcInput, seats: number, days: number): number {
+  if (!input.demand) return seats * input.turnover;
+  const weekendDays = Math.min(days, Math.max(0, input.demand.weekendDaysPerMonth));
+  const weekdayDays = days - weekendDays;
+  const perMonth = input.demand.slots
+    .filter((s) => s.enabled)
+    .reduce((sum, s) => sum + seats * (s.weekday.turnover * weekdayDays + s.weekend.turnover * weekendDays), 0);
+  return safeDiv(perMonth, days);
+}
+
+export function checkPlausibility(input: CalcInput, result: CalcResult, ctx: CheckContext): PlausibilityIssue[] {
+  const issues: PlausibilityIssue[] = [];
+  const { baseline, rentSuggestion: rs, normalized: n } = result;
+
+  // Spare seats vs the extra groups
+  const extraCovers = n.addG * n.ppg;
+  const capacity = seatCapacityPerDay(input, n.seatsN, n.days);
+  if (extraCovers > 0) {
+    const capacityText = input.demand
+      ? `時間帯別の回転数で満席 ${capacity.toFixed(1)}人/日`
+      : `${n.seatsN}席 × 回転${input.turnover} = 満席 ${capacity.toFixed(1)}人/日`;
+    if (ctx.useBaseline) {
+      const spare = Math.max(0, capacity - n.coversPerDay);
+      const detail = `${capacityText}、席推定の現状 ${n.coversPerDay.toFixed(1)}人/日 → 空き ${spare.toFixed(1)}人/日。増加分は ${n.addG}組 × ${n.ppg}人 = ${extraCovers.toFixed(1)}人/日です。`;
+      if (extraCovers > spare) {
+        issues.push({ id: "capacity", field: "addGroupsPerDay", level: "error", message: "増やす組数が空席を超えています", detail });
+      } else if (extraCovers > spare * 0.8) {
+        issues.push({ id: "capacity", field: "addGroupsPerDay", level: "warning", message: "空席のほぼすべてを埋める前提です", detail });
+      }
+    } else if (extraCovers > capacity) {
+      issues.push({
+        id: "capacity",
+        field: "addGroupsPerDay",
+        level: "error",
+        message: "増やす組数が満席の上限を超えています",
+        detail: `${capacityText}に対して、増加分だけで ${extraCovers.toFixed(1)}人/日です。`,
+      });
+    }
+  }
+
+  // FLR: over 100% can't be run at all; above the industry's 攻め FLR is unusual
+  const high = ctx.industry.scenarios.high;
+  const highFlr = high.food + high.labor + high.rent;
+  if (n.flr >= 1) {
+    issues.push({
+      id: "flr",
+      field: "rates",
+      level: "error",
+      message: "FLRが100%以上です",
+      detail: `F ${formatPct(n.food)} + L ${formatPct(n.labor)} + R ${formatPct(n.rent)} = ${formatPct(n.flr)}。売上がすべて原価・人件費・家賃で消え、広告費の回収以前に赤字です。`,
+    });
+  } else if (n.flr > highFlr + 1e-9) {
+    issues.push({
+      id: "flr",
+      field: "rates",
+      level: "warning",
+      message: `FLRが${ctx.industry.label}の目安を超えています`,
+      detail: `FLR ${formatPct(n.flr)} は業態テンプレの「攻め」（${formatPct(highFlr)}）より高い値です。率の入力を確認してください。`,
+    });
+  }
+
+  // Unit price vs the industry's typical spend per person
+  const pricePerPerson = input.unitType === "per_person" ? input.unitPrice : safeDiv(input.unitPrice, n.ppg);
+  const norm = ctx.industry.unitPriceNorm;
+  if (pricePerPerson <= 0) {
+    issues.push({
+      id: "unitPrice",
+      field: "unitPrice",
+      level: "error",
+      message: "客単価が0円です",
+      detail: "売上・粗利がすべて0になります。",
+    });
+  } else if (norm && (pricePerPerson < norm.min || pricePerPerson > norm.max)) {
+    issues.push({
+      id: "unitPrice",
+      field: "unitPrice",
+      level: "warning",
+      message: `客単価が${ctx.industry.label}の目安から外れています`,
+      detail: `1人あたり ${formatJPY(pricePerPerson)}（目安 ${formatJPY(norm.min)}〜${formatJPY(norm.max)}）。${
+        input.unitType === "per_group" ? "1組単価の場合は人数/組も確認してください。" : "単位（人/組）の取り違えがないか確認してください。"
+      }`,
+    });
+  }
+
+  // Auto rent rate pinned at the cap: the rent estimate is out of line with the sales
+  const rawRentRate = safeDiv(rs.estimatedRentMonthly, rs.baselineSales);
+  if (ctx.autoRentRate && rs.baselineSales > 0 && rawRentRate > RENT_RATE_CAP) {
+    issues.push({
+      id: "rentClamp",
+      field: "rentRate",
+      level: "warning",
+      message: `推定家賃率が上限${formatPct(RENT_RATE_CAP)}で頭打ちです`,
+      detail: `推定家賃 ${formatJPY(rs.estimatedRentMonthly)}/月 は席推定の月商 ${formatJPY(
+        baseline.baselineRevenueMonthly
+      )} の ${formatPct(rawRentRate)}。エリア・坪数（席/坪）か、稼働率・回転数の前提を見直してください。`,
+    });
+  }
+
+  return issues;
+}
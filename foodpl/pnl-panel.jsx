@@ -0,0 +1,136 @@
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Plus, RotateCcw, Scale, Trash2 } from "lucide-react";
+import { formatJPY, formatPct, numOr0 } from "./utils";
+import { newId } from "./cases";
+import { COST_LINE_KINDS, DEFAULT_COST_LINES, type CostLine, type CostLineKind, type Pnl } from "./pnl";
+
+type Props = {
+  pnl: Pnl;
+  costLines: CostLine[];
+  onCostLinesChange: (lines: CostLine[]) => void;
+};
+
+export function PnlPanel({ pnl, costLines, onCostLinesChange }: Props) {
+  function patchLine(id: string, patch: Partial<CostLine>) {
+    onCostLinesChange(costLines.map((c) => (c.id === id ? { ...c, ...patch } : c)));
+  }
+
+  const lineRow = (label: string, amount: number, className = "") => (
+    <tr key={label} className={`border-t ${className}`}>
+      <td className="py-1">{label}</td>
+      <td className="py-1 text-right">{formatJPY(amount)}</td>
+      <td className="py-1 text-right text-muted-foreground">{formatPct(pnl.sales > 0 ? amount / pnl.sales : 0)}</td>
+    </tr>
+  );
+
+  return (
+    <div className="rounded-2xl border p-4">
+      <div className="flex items-center gap-2 text-sm font-medium">
+        <Scale className="h-4 w-4" />
+        店舗P&L（FLR以外のコスト込み）と損益分岐
+      </div>
+
+      <div className="mt-3 grid gap-2 md:grid-cols-3">
+        <div className="rounded-xl bg-muted/40 p-3">
+          <div className="text-xs text-muted-foreground">損益分岐月商</div>
+          <div className="text-lg font-semibold">{pnl.breakevenSales > 0 ? formatJPY(pnl.breakevenSales) : "—"}</div>
+        </div>
+        <div className="rounded-xl bg-muted/40 p-3">
+          <div className="text-xs text-muted-foreground">安全余裕率</div>
+          <div className={`text-lg font-semibold ${pnl.safetyMargin < 0 ? "text-destructive" : ""}`}>
+            {pnl.breakevenSales > 0 ? formatPct(pnl.safetyMargin) : "—"}
+          </div>
+        </div>
+        <div className="rounded-xl bg-muted/40 p-3">
+          <div className="text-xs text-muted-foreground">限界利益率</div>
+          <div className="text-lg font-semibold">{formatPct(pnl.contributionMarginRatio)}</div>
+        </div>
+      </div>
+
+      <div className="mt-3 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-xs text-muted-foreground">
+              <th className="py-1 text-left font-normal" />
+              <th className="py-1 text-right font-normal">円/月</th>
+              <th className="py-1 text-right font-normal">売上比</th>
+            </tr>
+          </thead>
+          <tbody>
+            {lineRow("売上（席推定）", pnl.sales, "font-semibold")}
+            {pnl.variableLines.map((l) => lineRow(`　${l.label}`, l.amount))}
+            {lineRow("限界利益", pnl.contributionMargin, "font-semibold")}
+            {pnl.fixedLines.map((l) => lineRow(`　${l.label}`, l.amount))}
+            {lineRow("営業利益", pnl.operatingProfit, `font-semibold ${pnl.operatingProfit < 0 ? "text-destructive" : ""}`)}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-4 space-y-2">
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="text-xs font-medium">追加コスト</div>
+          <Button
+            size="sm"
+            variant="outline"
+            className="ml-auto"
+            onClick={() => onCostLinesChange([...costLines, { id: newId(), label: "", kind: "fixed", value: 0 }])}
+          >
+            <Plus className="mr-2 h-4 w-4" />
+            行を追加
+          </Button>
+          <Button size="sm" variant="outline" onClick={() => onCostLinesChange(DEFAULT_COST_LINES)}>
+            <RotateCcw className="mr-2 h-4 w-4" />
+            既定に戻す
+          </Button>
+        </div>
+        {costLines.map((c) => (
+          <div key={c.id} className="grid grid-cols-[1fr_9rem_7rem_auto] items-center gap-2">
+            <Input
+              className="h-8"
+              value={c.label}
+              onChange={(e) => patchLine(c.id, { label: e.target.value })}
+              placeholder="項目名"
+            />
+            <Select value={c.kind} onValueChange={(v) => patchLine(c.id, { kind: v as CostLineKind })}>
+              <SelectTrigger className="h-8">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(COST_LINE_KINDS).map(([k, label]) => (
+                  <SelectItem key={k} value={k}>
+                    {label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Input
+              className="h-8"
+              inputMode="decimal"
+              value={String(c.value)}
+              onChange={(e) => patchLine(c.id, { value: numOr0(e.target.value) })}
+            />
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => onCostLinesChange(costLines.filter((x) => x.id !== c.id))}
+              title="削除"
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        ))}
+        <p className="text-xs text-muted-foreground">
+          ※ 変動は売上比（0.03 = 3%）、固定は円/月。損益分岐では原価と変動行を変動費、人件費・家賃・広告費と固定行を固定費として扱います。
+        </p>
+      </div>
+    </div>
+  );
+}
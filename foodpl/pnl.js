@@ -0,0 +1,93 @@
+import { safeDiv } from "./utils";
+import type { Normalized } from "./engine";
+
+// --- Full store P&L (FLR + ads + the other cost lines) ---
+// Variable lines are a rate of sales, fixed lines are yen per month.
+// For breakeven, food is variable while labor, rent and ads are treated as fixed
+// at their current monthly amount (they do not shrink with a slow month).
+
+export type CostLineKind = "fixed" | "variable";
+
+export type CostLine = {
+  id: string;
+  label: string;
+  kind: CostLineKind;
+  value: number; // variable: 0.03 = 3% of sales / fixed: yen per month
+};
+
+export const COST_LINE_KINDS: Record<CostLineKind, string> = {
+  variable: "変動（売上比）",
+  fixed: "固定（円/月）",
+};
+
+export const DEFAULT_COST_LINES: CostLine[] = [
+  { id: "utilities", label: "水道光熱費", kind: "variable", value: 0.04 },
+  { id: "consumables", label: "消耗品費", kind: "variable", value: 0.02 },
+  { id: "fees", label: "カード・決済手数料", kind: "variable", value: 0.02 },
+  { id: "royalty", label: "ロイヤリティ", kind: "variable", value: 0 },
+  { id: "depreciation", label: "減価償却費", kind: "fixed", value: 0 },
+  { id: "loan", label: "借入返済", kind: "fixed", value: 0 },
+  { id: "misc", label: "その他固定費", kind: "fixed", value: 0 },
+];
+
+export type PnlLine = { label: string; amount: number; kind: CostLineKind };
+
+export type Pnl = {
+  sales: number;
+  variableLines: PnlLine[]; // food + variable cost lines
+  variableCost: number;
+  contributionMargin: number; // sales - variable costs (限界利益)
+  contributionMarginRatio: number;
+  fixedLines: PnlLine[]; // labor, rent, ads + fixed cost lines
+  fixedCost: number;
+  operatingProfit: number;
+  breakevenSales: number; // 0 when the contribution margin ratio is not positive
+  safetyMargin: number; // (sales - breakeven) / sales
+};
+
+export function computePnl(normalized: Normalized, adSpend: number, costLines: CostLine[]): Pnl {
+  const sales = normalized.baselineRevenueMonthly;
+
+  const variableLines: PnlLine[] = [
+    { label: "原価（F）", amount: normalized.baselineFood, kind: "variable" },
+    ...(normalized.baselineChannelCost > 0
+      ? [{ label: "デリバリー手数料・容器", amount: normalized.baselineChannelCost, kind: "variable" as const }]
+      : []),
+    ...costLines
+      .filter((c) => c.kind === "variable")
+      .map((c) => ({ label: c.label, amount: sales * c.value, kind: "variable" as const })),
+  ];
+  const fixedLines: PnlLine[] = [
+    { label: "人件費（L）", amount: normalized.baselineLabor, kind: "fixed" },
+    { label: "家賃（R）", amount: normalized.baselineRent, kind: "fixed" },
+    { label: "広告費", amount: adSpend, kind: "fixed" },
+    ...costLines.filter((c) => c.kind === "fixed").map((c) => ({ label: c.label, amount: c.value, kind: "fixed" as const })),
+  ];
+
+  const variableCost = variableLines.reduce((s, l) => s + l.amount, 0);
+  const fixedCost = fixedLines.reduce((s, l) => s + l.amount, 0);
+
+  const variableRatio =
+    normalized.food +
+    safeDiv(normalized.baselineChannelCost, sales) +
+    costLines.filter((c) => c.kind === "variable").reduce((s, c) => s + c.value, 0);
+  const contributionMarginRatio = 1 - variableRatio;
+  const contributionMargin = sales - variableCost;
+  const operatingProfit = contributionMargin - fixedCost;
+
+  const breakevenSales = contributionMarginRatio > 0 ? fixedCost / contributionMarginRatio : 0;
+  const safetyMargin = breakevenSales > 0 ? safeDiv(sales - breakevenSales, sales) : 0;
+
+  return {
+    sales,
+    variableLines,
+    variableCost,
+    contributionMargin,
+    contributionMarginRatio,
+    fixedLines,
+    fixedCost,
+    operatingProfit,
+    breakevenSales,
+    safetyMargin,
+  };
+}
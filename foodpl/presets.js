@@ -0,0 +1,206 @@
+// --- Presets ---
+export type BuiltinIndustryKey =
+  | "izakaya"
+  | "yakiniku"
+  | "cafe"
+  | "ramen"
+  | "restaurant"
+  | "takeout";
+
+// Built-in keys plus user-defined ones from the industry preset editor
+export type IndustryKey = BuiltinIndustryKey | (string & {});
+
+export type ScenarioKey = "low" | "standard" | "high";
+
+// Typical store figures applied to the form when the preset is picked
+export type IndustryDefaults = {
+  unitPrice: number; // per person
+  seatsPerTsubo: number;
+  turnover: number;
+  occupancy: number;
+};
+
+export type RatePreset = {
+  label: string;
+  scenarios: Record<ScenarioKey, { food: number; labor: number; rent: number }>;
+  defaults?: IndustryDefaults;
+  unitPriceNorm?: { min: number; max: number }; // typical spend per person (yen)
+  takeoutShare?: number; // typical sales share at the reduced tax rate, applied when picked
+};
+
+export const INDUSTRY_PRESETS: Record<BuiltinIndustryKey, RatePreset> = {
+  izakaya: {
+    label: "居酒屋",
+    scenarios: {
+      low: { food: 0.28, labor: 0.26, rent: 0.09 },
+      standard: { food: 0.30, labor: 0.30, rent: 0.10 },
+      high: { food: 0.33, labor: 0.34, rent: 0.12 },
+    },
+    unitPriceNorm: { min: 2500, max: 6000 },
+  },
+  yakiniku: {
+    label: "焼肉",
+    scenarios: {
+      low: { food: 0.34, labor: 0.24, rent: 0.09 },
+      standard: { food: 0.38, labor: 0.28, rent: 0.10 },
+      high: { food: 0.42, labor: 0.32, rent: 0.12 },
+    },
+    unitPriceNorm: { min: 3000, max: 9000 },
+  },
+  cafe: {
+    label: "カフェ",
+    scenarios: {
+      low: { food: 0.24, labor: 0.28, rent: 0.10 },
+      standard: { food: 0.28, labor: 0.32, rent: 0.12 },
+      high: { food: 0.32, labor: 0.36, rent: 0.14 },
+    },
+    unitPriceNorm: { min: 700, max: 2000 },
+  },
+  ramen: {
+    label: "ラーメン",
+    scenarios: {
+      low: { food: 0.26, labor: 0.22, rent: 0.08 },
+      standard: { food: 0.30, labor: 0.25, rent: 0.10 },
+      high: { food: 0.34, labor: 0.28, rent: 0.12 },
+    },
+    unitPriceNorm: { min: 800, max: 1800 },
+  },
+  restaurant: {
+    label: "レストラン（一般）",
+    scenarios: {
+      low: { food: 0.28, labor: 0.26, rent: 0.09 },
+      standard: { food: 0.32, labor: 0.30, rent: 0.10 },
+      high: { food: 0.36, labor: 0.34, rent: 0.12 },
+    },
+    unitPriceNorm: { min: 1500, max: 8000 },
+  },
+  takeout: {
+    label: "テイクアウト中心",
+    scenarios: {
+      low: { food: 0.32, labor: 0.18, rent: 0.06 },
+      standard: { food: 0.35, labor: 0.20, rent: 0.08 },
+      high: { food: 0.38, labor: 0.24, rent: 0.10 },
+    },
+    unitPriceNorm: { min: 500, max: 1500 },
+    takeoutShare: 0.8,
+  },
+};
+
+export const DAYS_OPTIONS = [22, 24, 26, 28, 30] as const;
+export const PEOPLE_PER_GROUP_OPTIONS = [1, 2, 3, 4, 5, 6] as const;
+export const TURNOVER_OPTIONS = [1.2, 1.5, 2.0, 2.5, 3.0] as const;
+export const OCCUPANCY_OPTIONS = [0.45, 0.55, 0.65, 0.75, 0.85] as const;
+export const SEATS_PER_TSUBO_OPTIONS = [1.6, 1.8, 2.0, 2.2, 2.4] as const;
+
+export type UnitType = "per_person" | "per_group";
+
+// --- Area / Rent Master (Editable) ---
+export type BuiltinAreaKey =
+  | "tokyo_core"
+  | "tokyo_suburb"
+  | "osaka_core"
+  | "osaka_suburb"
+  | "nagoya_core"
+  | "kyoto_core"
+  | "regional_city"
+  | "rural";
+
+// Built-in keys plus user-defined ones from the area master editor
+export type AreaKey = BuiltinAreaKey | (string & {});
+
+export type AreaMaster = {
+  key: AreaKey;
+  label: string;
+  // base rent per tsubo per month (JPY). These are placeholder defaults; you should tune them to your dataset.
+  baseRentPerTsubo: number;
+  // keyword patterns for rough address detection
+  patterns: RegExp[];
+};
+
+export const AREA_MASTER: AreaMaster[] = [
+  {
+    key: "tokyo_core",
+    label: "東京 都心（都心部・23区中心）",
+    baseRentPerTsubo: 35000,
+    patterns: [
+      /東京都/,
+      /渋谷|新宿|港区|中央区|千代田区|品川|池袋|恵比寿|六本木|銀座/,
+    ],
+  },
+  {
+    key: "tokyo_suburb",
+    label: "東京 近郊（23区外・近郊）",
+    baseRentPerTsubo: 25000,
+    patterns: [/東京都/, /立川|町田|八王子|府中|調布|武蔵|多摩/],
+  },
+  {
+    key: "osaka_core",
+    label: "大阪 都心（梅田/難波/心斎橋など）",
+    baseRentPerTsubo: 28000,
+    patterns: [/大阪府/, /北区|中央区|西区|天王寺|難波|梅田|心斎橋|本町/],
+  },
+  {
+    key: "osaka_suburb",
+    label: "大阪 近郊（大阪市外・北摂・東大阪など）",
+    baseRentPerTsubo: 20000,
+    patterns: [/大阪府/, /吹田|豊中|東大阪|堺|枚方|高槻|守口|八尾/],
+  },
+  {
+    key: "kyoto_core",
+    label: "京都 中心（四条/河原町/烏丸など）",
+    baseRentPerTsubo: 24000,
+    patterns: [/京都府/, /中京区|下京区|四条|河原町|烏丸|祇園/],
+  },
+  {
+    key: "nagoya_core",
+    label: "名古屋 中心（栄/名駅など）",
+    baseRentPerTsubo: 22000,
+    patterns: [/愛知県/, /名古屋|栄|名駅|中区/],
+  },
+  {
+    key: "regional_city",
+    label: "地方都市（駅前・中心街）",
+    baseRentPerTsubo: 15000,
+    patterns: [/奈良県|兵庫県|滋賀県|和歌山県|福岡県|広島県|宮城県|北海道/],
+  },
+  {
+    key: "rural",
+    label: "郊外・地方（ロードサイド/住宅地寄り）",
+    baseRentPerTsubo: 9000,
+    patterns: [/郡|町|村/],
+  },
+];
+
+export type StationDistanceKey = "walk_1_3" | "walk_4_7" | "walk_8_12" | "walk_13_plus" | "unknown";
+export const STATION_DISTANCE: Record<StationDistanceKey, { label: string; factor: number }> = {
+  walk_1_3: { label: "徒歩1〜3分", factor: 1.15 },
+  walk_4_7: { label: "徒歩4〜7分", factor: 1.0 },
+  walk_8_12: { label: "徒歩8〜12分", factor: 0.9 },
+  walk_13_plus: { label: "徒歩13分以上", factor: 0.8 },
+  unknown: { label: "不明", factor: 1.0 },
+};
+
+export type TradeAreaKey =
+  | "downtown"
+  | "station_front"
+  | "office"
+  | "residential"
+  | "roadside"
+  | "tourism";
+
+export const TRADE_AREA: Record<TradeAreaKey, { label: string; factor: number }> = {
+  downtown: { label: "繁華街", factor: 1.2 },
+  station_front: { label: "駅前", factor: 1.1 },
+  office: { label: "オフィス街", factor: 1.1 },
+  residential: { label: "住宅街", factor: 0.95 },
+  roadside: { label: "ロードサイド", factor: 0.9 },
+  tourism: { label: "観光地", factor: 1.25 },
+};
+
+export function getIndustry(key: IndustryKey, industries: Record<string, RatePreset> = INDUSTRY_PRESETS): RatePreset {
+  return Object.prototype.hasOwnProperty.call(industries, key) ? industries[key] : INDUSTRY_PRESETS.izakaya;
+}
+
+export function getArea(key: AreaKey, areas: AreaMaster[] = AREA_MASTER): AreaMaster {
+  return areas.find((x) => x.key === key) || areas[0] || AREA_MASTER[0];
+}
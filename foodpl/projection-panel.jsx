@@ -0,0 +1,191 @@
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { CalendarRange } from "lucide-react";
+import { formatJPY, numOr0 } from "./utils";
+import {
+  PROJECTION_MONTH_OPTIONS,
+  RAMP_CURVES,
+  RAMP_MONTH_OPTIONS,
+  type Projection,
+  type ProjectionMonth,
+  type RampCurve,
+} from "./projection";
+
+type Props = {
+  projection: Projection;
+  months: number;
+  onMonthsChange: (n: number) => void;
+  curve: RampCurve;
+  onCurveChange: (c: RampCurve) => void;
+  rampMonths: number;
+  onRampMonthsChange: (n: number) => void;
+  adSpendByMonth: number[];
+  onAdSpendByMonthChange: (v: number[]) => void;
+  baseAdSpend: number;
+};
+
+// Cumulative gross profit vs cumulative ad spend
+function CumulativeChart({ rows, paybackMonth }: { rows: ProjectionMonth[]; paybackMonth: number | null }) {
+  const W = 300;
+  const H = 120;
+  const maxY = Math.max(1, ...rows.map((r) => Math.max(r.cumGrossProfit, r.cumAdSpend)));
+  const x = (m: number) => (rows.length <= 1 ? 0 : ((m - 1) / (rows.length - 1)) * W);
+  const y = (v: number) => H - (v / maxY) * H;
+  const path = (pick: (r: ProjectionMonth) => number) =>
+    rows.map((r, i) => `${i === 0 ? "M" : "L"}${x(r.month).toFixed(1)},${y(pick(r)).toFixed(1)}`).join(" ");
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${W} ${H}`} className="h-32 w-full overflow-visible" preserveAspectRatio="none">
+        {paybackMonth !== null && (
+          <line x1={x(paybackMonth)} x2={x(paybackMonth)} y1={0} y2={H} className="stroke-muted-foreground" strokeDasharray="3 3" />
+        )}
+        <path d={path((r) => r.cumAdSpend)} fill="none" className="stroke-muted-foreground" strokeWidth={2} />
+        <path d={path((r) => r.cumGrossProfit)} fill="none" className="stroke-primary" strokeWidth={2} />
+      </svg>
+      <div className="mt-1 flex justify-between text-[10px] text-muted-foreground">
+        <span>1ヶ月目</span>
+        <span>
+          <span className="text-primary">━ 累計増分粗利</span> ／ ━ 累計広告費
+        </span>
+        <span>{rows.length}ヶ月目</span>
+      </div>
+    </div>
+  );
+}
+
+export function ProjectionPanel(props: Props) {
+  const { projection, months, adSpendByMonth, baseAdSpend } = props;
+  const customAds = adSpendByMonth.length > 0;
+
+  function setAdForMonth(month: number, value: number) {
+    const next = Array.from({ length: months }, (_, i) => adSpendByMonth[i] ?? baseAdSpend);
+    next[month - 1] = value;
+    props.onAdSpendByMonthChange(next);
+  }
+
+  return (
+    <div className="rounded-2xl border p-4">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2 text-sm font-medium">
+          <CalendarRange className="h-4 w-4" />
+          月次推移と広告回収
+        </div>
+        <Badge variant={projection.paybackMonth ? "default" : "secondary"}>
+          {projection.paybackMonth ? `${projection.paybackMonth}ヶ月目に回収` : `${months}ヶ月以内は未回収`}
+        </Badge>
+      </div>
+
+      <div className="mt-3 grid gap-3 md:grid-cols-3">
+        <div className="space-y-1">
+          <Label className="text-xs">期間</Label>
+          <Select value={String(months)} onValueChange={(v) => props.onMonthsChange(Number(v))}>
+            <SelectTrigger className="h-8">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {PROJECTION_MONTH_OPTIONS.map((m) => (
+                <SelectItem key={m} value={String(m)}>
+                  {m}ヶ月
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-1">
+          <Label className="text-xs">立ち上がり</Label>
+          <Select value={props.curve} onValueChange={(v) => props.onCurveChange(v as RampCurve)}>
+            <SelectTrigger className="h-8">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(RAMP_CURVES).map(([k, label]) => (
+                <SelectItem key={k} value={k}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-1">
+          <Label className="text-xs">100%到達まで</Label>
+          <Select
+            value={String(props.rampMonths)}
+            onValueChange={(v) => props.onRampMonthsChange(Number(v))}
+            disabled={props.curve === "instant"}
+          >
+            <SelectTrigger className="h-8">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {RAMP_MONTH_OPTIONS.map((m) => (
+                <SelectItem key={m} value={String(m)}>
+                  {m}ヶ月
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <div className="mt-3 flex items-center justify-between rounded-xl border p-2">
+        <span className="text-xs text-muted-foreground">月ごとに広告費を変える（OFFなら毎月 {formatJPY(baseAdSpend)}）</span>
+        <Switch
+          checked={customAds}
+          onCheckedChange={(on) => props.onAdSpendByMonthChange(on ? Array.from({ length: months }, () => baseAdSpend) : [])}
+        />
+      </div>
+
+      <div className="mt-3">
+        <CumulativeChart rows={projection.months} paybackMonth={projection.paybackMonth} />
+      </div>
+
+      <div className="mt-3 max-h-72 overflow-auto">
+        <table className="w-full text-xs">
+          <thead className="sticky top-0 bg-background">
+            <tr className="text-muted-foreground">
+              <th className="py-1 text-left font-normal">月</th>
+              <th className="py-1 text-right font-normal">組/日</th>
+              <th className="py-1 text-right font-normal">増分売上</th>
+              <th className="py-1 text-right font-normal">増分粗利</th>
+              <th className="py-1 text-right font-normal">広告費</th>
+              <th className="py-1 text-right font-normal">累計差額</th>
+            </tr>
+          </thead>
+          <tbody>
+            {projection.months.map((r) => (
+              <tr key={r.month} className={`border-t ${r.month === projection.paybackMonth ? "bg-muted/40 font-semibold" : ""}`}>
+                <td className="py-1">{r.month}</td>
+                <td className="py-1 text-right">{r.groupsPerDay.toFixed(2)}</td>
+                <td className="py-1 text-right">{formatJPY(r.revenue)}</td>
+                <td className="py-1 text-right">{formatJPY(r.grossProfit)}</td>
+                <td className="py-1 text-right">
+                  {customAds ? (
+                    <Input
+                      className="h-7 w-24 text-right text-xs"
+                      inputMode="numeric"
+                      value={String(r.adSpend)}
+                      onChange={(e) => setAdForMonth(r.month, numOr0(e.target.value))}
+                    />
+                  ) : (
+                    formatJPY(r.adSpend)
+                  )}
+                </td>
+                <td className={`py-1 text-right ${r.cumNet < 0 ? "text-destructive" : ""}`}>{formatJPY(r.cumNet)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
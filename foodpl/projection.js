@@ -0,0 +1,107 @@
+import { clamp } from "./utils";
+import type { Normalized } from "./engine";
+
+// --- Multi-month projection with ad ramp-up and payback ---
+// Month-1 `normalized` assumes the full +groups/day from day one; here the
+// incremental groups ramp up along a curve and ad spend may change by month.
+
+export type RampCurve = "instant" | "linear" | "s_curve";
+
+export const RAMP_CURVES: Record<RampCurve, string> = {
+  instant: "初月から100%",
+  linear: "直線で立ち上がり",
+  s_curve: "S字（ゆっくり→加速）",
+};
+
+export const PROJECTION_MONTH_OPTIONS = [12, 18, 24] as const;
+export const RAMP_MONTH_OPTIONS = [1, 2, 3, 4, 6] as const;
+
+// Engine bound on any horizon (goal seek looks further ahead than the UI options)
+export const MAX_PROJECTION_MONTHS = 120;
+
+// Untrusted month counts (storage, URL) snap to the options the screen offers
+export function clampProjectionMonths(v: number): number {
+  return (PROJECTION_MONTH_OPTIONS as readonly number[]).includes(v) ? v : PROJECTION_MONTH_OPTIONS[0];
+}
+
+// Whole months within the engine bound, so a huge count cannot freeze the tab
+export function boundMonths(v: number, min = 1): number {
+  return Number.isFinite(v) ? clamp(Math.round(v), min, MAX_PROJECTION_MONTHS) : min;
+}
+
+export function clampRampMonths(v: number): number {
+  return boundMonths(v, 0);
+}
+
+export type ProjectionSettings = {
+  months: number;
+  curve: RampCurve;
+  rampMonths: number; // months until 100% of the target groups/day
+  adSpendByMonth: number[]; // empty = same ad spend every month
+};
+
+export type ProjectionMonth = {
+  month: number; // 1-based
+  ramp: number; // 0..1 share of the target groups/day
+  groupsPerDay: number;
+  revenue: number;
+  grossProfit: number;
+  adSpend: number;
+  cumGrossProfit: number;
+  cumAdSpend: number;
+  cumNet: number; // cumGrossProfit - cumAdSpend
+};
+
+export type Projection = {
+  months: ProjectionMonth[];
+  paybackMonth: number | null; // first month cumulative GP covers cumulative ad spend
+  totalGrossProfit: number;
+  totalAdSpend: number;
+};
+
+export function rampFactor(curve: RampCurve, rampMonths: number, month: number): number {
+  if (curve === "instant" || rampMonths <= 0) return 1;
+  const t = Math.min(1, month / rampMonths);
+  if (curve === "linear") return t;
+  return t * t * (3 - 2 * t); // smoothstep
+}
+
+export function adSpendForMonth(settings: ProjectionSettings, baseAdSpend: number, month: number): number {
+  const v = settings.adSpendByMonth[month - 1];
+  return Number.isFinite(v) ? v : baseAdSpend;
+}
+
+export function projectMonths(normalized: Normalized, baseAdSpend: number, settings: ProjectionSettings): Projection {
+  const months: ProjectionMonth[] = [];
+  let cumGrossProfit = 0;
+  let cumAdSpend = 0;
+  let paybackMonth: number | null = null;
+
+  const total = boundMonths(settings.months);
+  const rampMonths = clampRampMonths(settings.rampMonths);
+
+  for (let m = 1; m <= total; m++) {
+    const ramp = rampFactor(settings.curve, rampMonths, m);
+    const revenue = normalized.addRevenueMonthly * ramp;
+    const grossProfit = normalized.addGrossProfit * ramp;
+    const adSpend = adSpendForMonth(settings, baseAdSpend, m);
+
+    cumGrossProfit += grossProfit;
+    cumAdSpend += adSpend;
+    if (paybackMonth === null && cumAdSpend > 0 && cumGrossProfit >= cumAdSpend) paybackMonth = m;
+
+    months.push({
+      month: m,
+      ramp,
+      groupsPerDay: normalized.addG * ramp,
+      revenue,
+      grossProfit,
+      adSpend,
+      cumGrossProfit,
+      cumAdSpend,
+      cumNet: cumGrossProfit - cumAdSpend,
+    });
+  }
+
+  return { months, paybackMonth, totalGrossProfit: cumGrossProfit, totalAdSpend: cumAdSpend };
+}
@@ -0,0 +1,217 @@
+import { formatJPY, formatPct } from "./utils";
+import type { CalcInput, CalcResult } from "./engine";
+import type { Pnl } from "./pnl";
+import type { Projection } from "./projection";
+import { describeTax } from "./tax";
+import type { LtvResult } from "./ltv";
+import type { ScenarioColumn } from "./scenarios";
+
+// --- Printable proposal (1–2 A4 pages via the browser print dialog) ---
+// Self-contained HTML with inline CSS/SVG so the print window needs no app styles.
+
+export type ProposalData = {
+  caseName: string;
+  date: Date;
+  address: string;
+  industryLabel: string;
+  scenarioLabel: string;
+  input: CalcInput;
+  result: CalcResult;
+  stationLabel: string;
+  tradeAreaLabel: string;
+  useBaseline: boolean;
+  pnl: Pnl;
+  projection: Projection;
+  ltv: LtvResult;
+  scenarios: ScenarioColumn[];
+  talkTrack: string;
+};
+
+export function escapeHtml(s: string): string {
+  return s
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+export function formatDateJa(d: Date): string {
+  return `${d.getFullYear()}年${d.getMonth() + 1}月${d.getDate()}日`;
+}
+
+const card = (label: string, value: string, note = "") =>
+  `<div class="card"><div class="label">${escapeHtml(label)}</div><div class="value">${escapeHtml(value)}</div>${
+    note ? `<div class="note">${escapeHtml(note)}</div>` : ""
+  }</div>`;
+
+const row = (label: string, value: string) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+
+// Cumulative gross profit vs cumulative ad spend (same chart as the screen)
+function projectionSvg(p: Projection): string {
+  const rows = p.months;
+  if (rows.length === 0) return "";
+  const W = 520;
+  const H = 140;
+  const maxY = Math.max(1, ...rows.map((r) => Math.max(r.cumGrossProfit, r.cumAdSpend)));
+  const x = (m: number) => (rows.length <= 1 ? 0 : ((m - 1) / (rows.length - 1)) * W);
+  const y = (v: number) => H - (v / maxY) * H;
+  const path = (pick: (r: (typeof rows)[number]) => number) =>
+    rows.map((r, i) => `${i === 0 ? "M" : "L"}${x(r.month).toFixed(1)},${y(pick(r)).toFixed(1)}`).join(" ");
+  const payback =
+    p.paybackMonth !== null
+      ? `<line x1="${x(p.paybackMonth)}" x2="${x(p.paybackMonth)}" y1="0" y2="${H}" stroke="#999" stroke-dasharray="3 3"/>`
+      : "";
+  return `<svg viewBox="0 0 ${W} ${H}" width="100%" height="${H}" preserveAspectRatio="none">
+  ${payback}
+  <path d="${path((r) => r.cumAdSpend)}" fill="none" stroke="#999" stroke-width="2"/>
+  <path d="${path((r) => r.cumGrossProfit)}" fill="none" stroke="#111" stroke-width="2"/>
+</svg>
+<div class="legend">━ 累計増分粗利 ／ <span style="color:#999">━ 累計広告費</span>（${rows.length}ヶ月）${
+    p.paybackMonth ? ` ・ ${p.paybackMonth}ヶ月目に回収見込み` : " ・ 期間内は未回収"
+  }</div>`;
+}
+
+// Incremental gross profit per scenario as horizontal bars
+function scenarioBars(columns: ScenarioColumn[]): string {
+  const max = Math.max(1, ...columns.map((c) => Math.abs(c.result.normalized.addGrossProfit)));
+  return columns
+    .map((c) => {
+      const v = c.result.normalized.addGrossProfit;
+      const w = (Math.abs(v) / max) * 100;
+      return `<div class="bar-row"><span class="bar-label">${escapeHtml(c.label)}</span><span class="bar"><span style="width:${w.toFixed(
+        1
+      )}%"></span></span><span class="bar-value">${escapeHtml(formatJPY(v))}/月</span></div>`;
+    })
+    .join("");
+}
+
+export function buildProposalHtml(d: ProposalData): string {
+  const n = d.result.normalized;
+  const rs = d.result.rentSuggestion;
+  const title = d.caseName.trim() || "事前試算のご提案";
+  const priceUnit = d.input.unitType === "per_person" ? "円/人" : "円/組";
+
+  const assumptions = [
+    row("住所", d.address.trim() || "—"),
+    row("業態", `${d.industryLabel}（${d.scenarioLabel}）`),
+    row(
+      "客単価",
+      `${d.input.unitPrice.toLocaleString("ja-JP")}${priceUnit}${d.input.tax?.mode === "inclusive" ? "（税込）" : ""}・平均${n.ppg}人/組`
+    ),
+    d.input.tax?.mode === "inclusive" ? row("消費税", describeTax(d.input.tax)) : "",
+    row("席数・営業日数", `${n.seatsN}席・${n.days}日/月`),
+    row("目標", `+${n.addG}組/日`),
+    row("広告費", `${formatJPY(d.input.adSpend)}/月`),
+    row("原価率 / 人件費率 / 家賃率", `${formatPct(n.food)} / ${formatPct(n.labor)} / ${formatPct(n.rent)}`),
+  ].join("");
+
+  const cards = [
+    card("増分売上", `${formatJPY(n.addRevenueMonthly)}/月`),
+    card("増分粗利", `${formatJPY(n.addGrossProfit)}/月`, `原価率 ${formatPct(n.food)}`),
+    card("粗利ROAS", n.gpRoas.toFixed(2), "増分粗利 ÷ 広告費"),
+    ...(d.ltv.repeatRate > 0 && d.ltv.cac > 0
+      ? [
+          card(
+            "LTV/CAC（リピート込み）",
+            d.ltv.ltvCac.toFixed(2),
+            `粗利LTV ${formatJPY(d.ltv.ltvGrossProfit)} ÷ CAC ${formatJPY(d.ltv.cac)}`
+          ),
+        ]
+      : []),
+    card("広告回収の分岐", `${n.breakevenGroupsPerDay_Gross.toFixed(2)}組/日`),
+    card("FL / FLR", `${formatPct(n.fl)} / ${formatPct(n.flr)}`),
+    ...(d.useBaseline
+      ? [
+          card("月商（席推定）", formatJPY(n.baselineRevenueMonthly)),
+          card("営業利益（その他コスト込み）", formatJPY(d.pnl.operatingProfit)),
+          card(
+            "損益分岐月商",
+            d.pnl.breakevenSales > 0 ? formatJPY(d.pnl.breakevenSales) : "—",
+            d.pnl.breakevenSales > 0 ? `安全余裕率 ${formatPct(d.pnl.safetyMargin)}` : ""
+          ),
+        ]
+      : []),
+  ].join("");
+
+  const rent = [
+    row("エリア", rs.areaLabel),
+    row("駅距離 / 商圏", `${d.stationLabel} / ${d.tradeAreaLabel}`),
+    row("坪単価（補正後）", `${formatJPY(rs.rentPerTsubo)}/坪`),
+    row("推定坪数", `${rs.tsubo.toFixed(1)}坪`),
+    row("家賃推定", `${formatJPY(rs.estimatedRentMonthly)}/月`),
+    row("家賃率（提案値）", rs.rentRateSuggested > 0 ? formatPct(rs.rentRateSuggested) : "—"),
+  ].join("");
+
+  return `<!doctype html>
+<html lang="ja">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: A4; margin: 14mm; }
+  * { box-sizing: border-box; }
+  body { font-family: "Hiragino Sans", "Noto Sans JP", "Yu Gothic", sans-serif; color: #111; font-size: 10.5pt; margin: 0; }
+  header { display: flex; justify-content: space-between; align-items: flex-end; border-bottom: 2px solid #111; padding-bottom: 6px; }
+  h1 { font-size: 16pt; margin: 0; }
+  h2 { font-size: 11pt; margin: 14px 0 6px; border-left: 4px solid #111; padding-left: 6px; }
+  .meta { font-size: 9pt; color: #555; text-align: right; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border-bottom: 1px solid #ddd; padding: 3px 4px; text-align: left; vertical-align: top; }
+  th { width: 38%; color: #555; font-weight: normal; }
+  .cards { display: grid; grid-template-columns: repeat(4, 1fr); gap: 6px; }
+  .card { border: 1px solid #ccc; border-radius: 6px; padding: 6px; break-inside: avoid; }
+  .card .label { font-size: 8.5pt; color: #555; }
+  .card .value { font-size: 12pt; font-weight: bold; margin-top: 2px; }
+  .card .note { font-size: 8pt; color: #777; }
+  .cols { display: grid; grid-template-columns: 1fr 1fr; gap: 14px; }
+  .legend { font-size: 8.5pt; color: #555; margin-top: 2px; }
+  .bar-row { display: grid; grid-template-columns: 3em 1fr 8em; gap: 6px; align-items: center; margin: 3px 0; }
+  .bar { background: #eee; height: 10px; border-radius: 3px; overflow: hidden; }
+  .bar span { display: block; height: 100%; background: #111; }
+  .bar-value { text-align: right; font-size: 9pt; }
+  pre { white-space: pre-wrap; font-family: inherit; font-size: 9pt; border: 1px solid #ddd; border-radius: 6px; padding: 8px; margin: 0; }
+  .talk { break-before: page; }
+  footer { margin-top: 10px; font-size: 8pt; color: #777; }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="meta">${escapeHtml(formatDateJa(d.date))}<br>${escapeHtml(d.address.trim())}</div>
+</header>
+
+<div class="cols">
+  <section>
+    <h2>前提</h2>
+    <table>${assumptions}</table>
+  </section>
+  <section>
+    <h2>家賃率(R)の根拠</h2>
+    <table>${rent}</table>
+  </section>
+</div>
+
+<h2>主要指標</h2>
+<div class="cards">${cards}</div>
+
+<div class="cols">
+  <section>
+    <h2>広告の回収イメージ</h2>
+    ${projectionSvg(d.projection)}
+  </section>
+  <section>
+    <h2>シナリオ別の増分粗利</h2>
+    ${scenarioBars(d.scenarios)}
+  </section>
+</div>
+
+<section class="talk">
+  <h2>ご提案メモ</h2>
+  <pre>${escapeHtml(d.talkTrack)}</pre>
+</section>
+
+<footer>※本資料は訪問前の仮説に基づく試算です。実際の月商・原価率・人件費・家賃をお伺いして確定させます。</footer>
+</body>
+</html>`;
+}
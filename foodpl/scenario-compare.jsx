@@ -0,0 +1,89 @@
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Copy, Columns3 } from "lucide-react";
+import { formatJPY, formatPct } from "./utils";
+import type { ScenarioKey } from "./presets";
+import type { Normalized } from "./engine";
+import type { ScenarioColumn } from "./scenarios";
+
+type Props = {
+  columns: ScenarioColumn[];
+  current: ScenarioKey;
+  showBaseline: boolean;
+  onCopyRange: () => void;
+};
+
+type Row = { label: string; value: (n: Normalized) => string; baselineOnly?: boolean };
+
+const ROWS: Row[] = [
+  { label: "増分売上（月）", value: (n) => formatJPY(n.addRevenueMonthly) },
+  { label: "増分粗利（月）", value: (n) => formatJPY(n.addGrossProfit) },
+  { label: "ROAS", value: (n) => n.roas.toFixed(2) },
+  { label: "粗利ROAS", value: (n) => n.gpRoas.toFixed(2) },
+  { label: "回収ライン（組/日）", value: (n) => n.breakevenGroupsPerDay_Gross.toFixed(2) },
+  { label: "FL", value: (n) => formatPct(n.fl) },
+  { label: "FLR", value: (n) => formatPct(n.flr) },
+  { label: "ざっくり営業利益（月）", value: (n) => formatJPY(n.baselineOperatingProfitApprox), baselineOnly: true },
+];
+
+export function ScenarioComparison({ columns, current, showBaseline, onCopyRange }: Props) {
+  const rows = ROWS.filter((r) => showBaseline || !r.baselineOnly);
+
+  return (
+    <div className="rounded-2xl border p-4">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2 text-sm font-medium">
+          <Columns3 className="h-4 w-4" />
+          シナリオ比較（保守 / 標準 / 攻め）
+        </div>
+        <Button size="sm" variant="outline" onClick={onCopyRange}>
+          <Copy className="mr-2 h-4 w-4" />
+          レンジ版トーク
+        </Button>
+      </div>
+
+      <div className="mt-3 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-xs text-muted-foreground">
+              <th className="py-1 text-left font-normal" />
+              {columns.map((c) => (
+                <th key={c.scenario} className="py-1 text-right font-normal">
+                  {c.label}
+                  {c.scenario === current && (
+                    <Badge variant="secondary" className="ml-1">
+                      選択中
+                    </Badge>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            <tr className="border-t text-xs text-muted-foreground">
+              <td className="py-1">F / L / R</td>
+              {columns.map((c) => (
+                <td key={c.scenario} className="py-1 text-right">
+                  {formatPct(c.rates.food)} / {formatPct(c.rates.labor)} / {formatPct(c.rates.rent)}
+                </td>
+              ))}
+            </tr>
+            {rows.map((r) => (
+              <tr key={r.label} className="border-t">
+                <td className="py-1 text-muted-foreground">{r.label}</td>
+                {columns.map((c) => (
+                  <td key={c.scenario} className={`py-1 text-right ${c.scenario === current ? "font-semibold" : ""}`}>
+                    {r.value(c.result.normalized)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="mt-2 text-xs text-muted-foreground">
+        ※ 選択中のシナリオは画面と同じF/L/R。それ以外のF/Lは業態テンプレの各シナリオ値、Rは画面と同じルール（手動 / 自動推定 / テンプレ）。
+      </p>
+    </div>
+  );
+}
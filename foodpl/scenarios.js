@@ -0,0 +1,95 @@
+import { formatJPY, formatPct } from "./utils";
+import type { RatePreset, ScenarioKey } from "./presets";
+import { calculate, type CalcInput, type CalcOptions, type CalcResult } from "./engine";
+
+// --- 保守 / 標準 / 攻め side by side ---
+
+export const SCENARIO_KEYS: ScenarioKey[] = ["low", "standard", "high"];
+
+export const SCENARIO_LABELS: Record<ScenarioKey, string> = {
+  low: "保守",
+  standard: "標準",
+  high: "攻め",
+};
+
+export type ScenarioRentRule = {
+  manualRates: boolean;
+  manualRentRate: number;
+  autoSetRentRate: boolean;
+};
+
+export type ScenarioColumn = {
+  scenario: ScenarioKey;
+  label: string;
+  rates: { food: number; labor: number; rent: number };
+  result: CalcResult;
+};
+
+// The selected scenario uses the screen's effective rates (manual, menu or labor
+// model), so its column matches the main result. The others take F/L from the
+// preset; R follows the same rule as the screen (manual value, else the
+// area-based suggestion when enabled, else the preset).
+export function compareScenarios(
+  input: CalcInput,
+  industry: RatePreset,
+  current: ScenarioKey,
+  rentRule: ScenarioRentRule,
+  options: CalcOptions = {}
+): ScenarioColumn[] {
+  // The rent suggestion does not depend on the rates, so one probe is enough
+  const suggested = calculate(input, options).rentSuggestion.rentRateSuggested;
+
+  return SCENARIO_KEYS.map((scenario) => {
+    if (scenario === current) {
+      const rates = { food: input.foodRate, labor: input.laborRate, rent: input.rentRate };
+      return { scenario, label: SCENARIO_LABELS[scenario], rates, result: calculate(input, options) };
+    }
+
+    const preset = industry.scenarios[scenario];
+
+    let rent = preset.rent;
+    if (rentRule.manualRates) rent = rentRule.manualRentRate;
+    else if (rentRule.autoSetRentRate && suggested > 0) rent = suggested;
+
+    const rates = { food: preset.food, labor: preset.labor, rent };
+    const result = calculate({ ...input, foodRate: rates.food, laborRate: rates.labor, rentRate: rates.rent }, options);
+    return { scenario, label: SCENARIO_LABELS[scenario], rates, result };
+  });
+}
+
+function range(values: number[]): [number, number] {
+  return [Math.min(...values), Math.max(...values)];
+}
+
+function rangeText(values: number[], fmt: (n: number) => string): string {
+  const [lo, hi] = range(values);
+  return fmt(lo) === fmt(hi) ? fmt(lo) : `${fmt(lo)}〜${fmt(hi)}`;
+}
+
+// Talk-track variant quoting "between X and Y" across the three scenarios
+export function buildRangeTalkTrack(
+  columns: ScenarioColumn[],
+  ctx: { address: string; industryLabel: string; adSpend: number; useBaseline: boolean }
+): string {
+  const n = columns.map((c) => c.result.normalized);
+  const first = n[0];
+  const lines: string[] = [];
+
+  lines.push(`【事前試算（レンジ：保守〜攻め）】`);
+  if (ctx.address.trim()) lines.push(`・住所：${ctx.address.trim()}`);
+  lines.push(`・業態：${ctx.industryLabel}`);
+  lines.push(`・目標：+${first.addG}組/日（営業日数 ${first.days}日）`);
+  lines.push(`・増分売上：${formatJPY(first.addRevenueMonthly)}/月`);
+  lines.push(
+    `・増分粗利：${rangeText(n.map((x) => x.addGrossProfit), formatJPY)}/月（原価率 ${rangeText(n.map((x) => x.food), formatPct)}）`
+  );
+  lines.push(`・広告費：${formatJPY(ctx.adSpend)}/月 → 粗利ROAS ${rangeText(n.map((x) => x.gpRoas), (v) => v.toFixed(2))}`);
+  lines.push(`・広告回収の損益分岐（粗利ベース）：${rangeText(n.map((x) => x.breakevenGroupsPerDay_Gross), (v) => v.toFixed(2))}組/日`);
+  lines.push(`・FLR：${rangeText(n.map((x) => x.flr), formatPct)}`);
+  if (ctx.useBaseline) {
+    lines.push(`・仮の月商：${formatJPY(first.baselineRevenueMonthly)}（席推定ベース）`);
+    lines.push(`・ざっくり営業利益：${rangeText(n.map((x) => x.baselineOperatingProfitApprox), formatJPY)}/月`);
+  }
+  lines.push(`\n※ 原価率・人件費率・家賃率の幅（保守〜攻め）で見た目安です。現場で実数を聞いて確定させます。`);
+  return lines.join("\n");
+}
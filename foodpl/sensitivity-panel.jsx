@@ -0,0 +1,117 @@
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { BarChartHorizontal } from "lucide-react";
+import { formatJPY } from "./utils";
+import {
+  SENSITIVITY_DRIVERS,
+  SENSITIVITY_METRICS,
+  SENSITIVITY_PCT_OPTIONS,
+  type SensitivityMetric,
+  type SensitivityResult,
+} from "./sensitivity";
+
+type Props = {
+  result: SensitivityResult;
+  onMetricChange: (m: SensitivityMetric) => void;
+  onPctChange: (pct: number) => void;
+};
+
+const signedJPY = (n: number) => (n >= 0 ? "+" : "−") + formatJPY(Math.abs(n));
+
+export function SensitivityPanel({ result, onMetricChange, onPctChange }: Props) {
+  const { base, rows, pct } = result;
+  const maxAbs = Math.max(1, ...rows.flatMap((r) => [Math.abs(r.low - base), Math.abs(r.high - base)]));
+  const pctLabel = `${Math.round(pct * 100)}%`;
+
+  // Bar from the centre line (base value) towards the delta
+  const bar = (delta: number, className: string) => {
+    const w = (Math.abs(delta) / maxAbs) * 50;
+    const left = delta < 0 ? 50 - w : 50;
+    return <div className={`absolute top-0 h-full ${className}`} style={{ left: `${left}%`, width: `${w}%` }} />;
+  };
+
+  return (
+    <div className="rounded-2xl border p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2 text-sm font-medium">
+          <BarChartHorizontal className="h-4 w-4" />
+          感度分析（トルネード）
+        </div>
+        <div className="flex gap-2">
+          <Select value={result.metric} onValueChange={(v) => onMetricChange(v as SensitivityMetric)}>
+            <SelectTrigger className="h-8 w-48">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(SENSITIVITY_METRICS).map(([k, label]) => (
+                <SelectItem key={k} value={k}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={String(pct)} onValueChange={(v) => onPctChange(Number(v))}>
+            <SelectTrigger className="h-8 w-24">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {SENSITIVITY_PCT_OPTIONS.map((p) => (
+                <SelectItem key={p} value={String(p)}>
+                  ±{Math.round(p * 100)}%
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <div className="mt-2 text-xs text-muted-foreground">
+        基準値：{formatJPY(base)}/月 ・ 各前提を±{pctLabel}動かしたときの変化（影響の大きい順、家賃は金額固定）
+      </div>
+
+      <div className="mt-3 space-y-2">
+        {rows.map((r) => (
+          <div key={r.key} className="grid grid-cols-[6rem_1fr] items-center gap-2 text-xs">
+            <div className="truncate text-muted-foreground">{r.label}</div>
+            <div>
+              <div
+                className="relative h-4 rounded bg-muted/40"
+                title={`−${pctLabel}: ${formatJPY(r.low)} / +${pctLabel}: ${formatJPY(r.high)}`}
+              >
+                {bar(r.low - base, "rounded bg-muted-foreground/50")}
+                {bar(r.high - base, "rounded bg-primary/70")}
+                <div className="absolute left-1/2 top-0 h-full w-px bg-foreground/40" />
+              </div>
+              <div className="mt-0.5 flex justify-between text-[10px] text-muted-foreground">
+                <span>−{pctLabel}: {signedJPY(r.low - base)}</span>
+                <span>+{pctLabel}: {signedJPY(r.high - base)}</span>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {result.hidden.length > 0 && (
+        <p className="mt-3 text-xs text-muted-foreground">
+          ※{" "}
+          {SENSITIVITY_DRIVERS.filter((d) => result.hidden.includes(d.key))
+            .map((d) => d.label)
+            .join("・")}
+          はこの指標を動かさないため除外しています（時間帯別の需要モデル使用時の席稼働率・回転数など）。
+        </p>
+      )}
+
+      {rows[0] && rows[0].swing > 0 && (
+        <p className="mt-3 text-xs text-muted-foreground">
+          ※ 現場で最初に確認すべき前提：<span className="font-medium text-foreground">{rows[0].label}</span>
+          {rows[1] && rows[1].swing > 0 && `、次いで${rows[1].label}`}
+        </p>
+      )}
+    </div>
+  );
+}
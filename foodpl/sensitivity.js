@@ -0,0 +1,99 @@
+import { calculate, type CalcInput, type CalcOptions, type Normalized } from "./engine";
+
+// --- One-at-a-time sensitivity (tornado) ---
+// Each driver is moved by ±pct while everything else stays put; drivers are ranked
+// by how far the chosen metric swings. Rent is held at today's yen amount (as in
+// goal seek), so more guests do not drag a higher rent along with them.
+
+export type DriverKey =
+  | "unitPrice"
+  | "peoplePerGroup"
+  | "occupancy"
+  | "turnover"
+  | "foodRate"
+  | "laborRate"
+  | "rentRate"
+  | "adSpend"
+  | "daysPerMonth";
+
+export const SENSITIVITY_DRIVERS: { key: DriverKey; label: string }[] = [
+  { key: "unitPrice", label: "客単価" },
+  { key: "peoplePerGroup", label: "人数/組" },
+  { key: "occupancy", label: "席稼働率" },
+  { key: "turnover", label: "回転数" },
+  { key: "foodRate", label: "原価率（F）" },
+  { key: "laborRate", label: "人件費率（L）" },
+  { key: "rentRate", label: "家賃（R）" },
+  { key: "adSpend", label: "広告費" },
+  { key: "daysPerMonth", label: "営業日数" },
+];
+
+export type SensitivityMetric = "baselineOperatingProfitApprox" | "addAfterFLR";
+
+export const SENSITIVITY_METRICS: Record<SensitivityMetric, string> = {
+  baselineOperatingProfitApprox: "ざっくり営業利益（月）",
+  addAfterFLR: "増分のFLR控除後（月）",
+};
+
+export const SENSITIVITY_PCT_OPTIONS = [0.05, 0.1, 0.2, 0.3] as const;
+
+export type SensitivityRow = {
+  key: DriverKey;
+  label: string;
+  baseValue: number;
+  lowValue: number; // driver at -pct
+  highValue: number; // driver at +pct
+  low: number; // metric at -pct
+  high: number; // metric at +pct
+  swing: number; // |high - low|
+};
+
+export type SensitivityResult = {
+  metric: SensitivityMetric;
+  pct: number;
+  hidden: DriverKey[]; // drivers that cannot move the metric (e.g. seats under the demand model)
+  base: number;
+  rows: SensitivityRow[]; // largest swing first
+};
+
+function metricOf(n: Normalized, metric: SensitivityMetric): number {
+  return n[metric];
+}
+
+// Re-run with R set so the rent stays at `rentMonthly` yen on the new sales
+function atRent(input: CalcInput, rentMonthly: number, options: CalcOptions): Normalized {
+  const n = calculate(input, options).normalized;
+  if (n.baselineRevenueMonthly <= 0) return n;
+  return calculate({ ...input, rentRate: rentMonthly / n.baselineRevenueMonthly }, options).normalized;
+}
+
+export function runSensitivity(
+  input: CalcInput,
+  pct: number,
+  metric: SensitivityMetric,
+  options: CalcOptions = {}
+): SensitivityResult {
+  const n0 = calculate(input, options).normalized;
+  const base = metricOf(n0, metric);
+  const rent = n0.baselineRent;
+
+  // The rent driver moves the yen amount; every other driver keeps it
+  const at = (key: DriverKey, value: number, factor: number) =>
+    metricOf(key === "rentRate" ? atRent(input, rent * factor, options) : atRent({ ...input, [key]: value }, rent, options), metric);
+
+  const all = SENSITIVITY_DRIVERS.map(({ key, label }) => {
+    const baseValue = input[key];
+    const lowValue = baseValue * (1 - pct);
+    const highValue = baseValue * (1 + pct);
+    const low = at(key, lowValue, 1 - pct);
+    const high = at(key, highValue, 1 + pct);
+    return { key, label, baseValue, lowValue, highValue, low, high, swing: Math.abs(high - low) };
+  });
+
+  // Drivers the metric does not respond to (with this model and these inputs) are listed, not charted
+  const moves = (r: SensitivityRow) => r.swing > 1e-6 * Math.max(1, Math.abs(base));
+  const rows = all.filter(moves).sort((a, b) => b.swing - a.swing);
+  const hidden = all.filter((r) => !moves(r)).map((r) => r.key);
+
+  return { metric, pct, hidden, base, rows };
+}
@@ -0,0 +1,76 @@
+import { DEFAULT_INPUTS, keepLegacyStationDistance, sanitizeInputs, type CaseInputs } from "./inputs";
+
+// --- Shareable URL (hash) encoding of the whole calculator state ---
+// Format: #v=<version>&c=<base64url(JSON of fields that differ from defaults)>
+// Only non-default fields are written, so links stay short and fields added later
+// simply take their default when an old link is opened.
+
+export const SHARE_VERSION = 2;
+
+// Upgrade steps: MIGRATIONS[n] turns a version-n payload into version n+1.
+// Add an entry whenever a field is renamed or its meaning changes.
+const MIGRATIONS: Record<number, (raw: Record<string, unknown>) => Record<string, unknown>> = {
+  // v2 added autoStationDistance (default on)
+  1: keepLegacyStationDistance,
+};
+
+function toBase64Url(text: string): string {
+  const bytes = new TextEncoder().encode(text);
+  let bin = "";
+  bytes.forEach((b) => (bin += String.fromCharCode(b)));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(s: string): string {
+  const b64 = s.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "===".slice((b64.length + 3) % 4));
+  const bytes = Uint8Array.from(bin, (ch) => ch.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+export function encodeInputs(inputs: CaseInputs): string {
+  const diff: Record<string, unknown> = {};
+  for (const key of Object.keys(inputs) as (keyof CaseInputs)[]) {
+    if (JSON.stringify(inputs[key]) !== JSON.stringify(DEFAULT_INPUTS[key])) diff[key] = inputs[key];
+  }
+  return `v=${SHARE_VERSION}&c=${toBase64Url(JSON.stringify(diff))}`;
+}
+
+// Returns null when the hash carries no (readable) state.
+export function decodeInputs(hash: string): CaseInputs | null {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const payload = params.get("c");
+  if (!payload) return null;
+
+  const version = Number(params.get("v") || 1);
+  if (!Number.isInteger(version) || version < 1 || version > SHARE_VERSION) return null;
+
+  try {
+    let raw = JSON.parse(fromBase64Url(payload));
+    if (!raw || typeof raw !== "object") return null;
+    for (let v = version; v < SHARE_VERSION; v++) {
+      const step = MIGRATIONS[v];
+      if (step) raw = step(raw);
+    }
+    return sanitizeInputs(raw);
+  } catch (e) {
+    return null;
+  }
+}
+
+export function buildShareUrl(inputs: CaseInputs): string {
+  const { origin, pathname, search } = window.location;
+  return `${origin}${pathname}${search}#${encodeInputs(inputs)}`;
+}
+
+export function readInputsFromLocation(): CaseInputs | null {
+  if (typeof window === "undefined") return null;
+  return decodeInputs(window.location.hash);
+}
+
+// Keep the address bar in sync without adding history entries
+export function writeInputsToLocation(inputs: CaseInputs): void {
+  if (typeof window === "undefined") return;
+  const url = buildShareUrl(inputs);
+  if (url !== window.location.href) window.history.replaceState(null, "", url);
+}
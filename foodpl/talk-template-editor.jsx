@@ -0,0 +1,189 @@
+import React, { useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Copy, CopyPlus, MessageSquareText, Plus, Save, Trash2, X } from "lucide-react";
+import { newId } from "./cases";
+import { TALK_FLAGS, TALK_VARIABLES, findTemplate, type TalkRender, type TalkTemplate } from "./talk-templates";
+
+type Props = {
+  templates: TalkTemplate[]; // built-ins first, then the user's
+  selectedId: string;
+  onChange: (userTemplates: TalkTemplate[], selectedId: string) => void;
+  render: (body: string) => TalkRender; // against the current inputs
+  onCopy: (text: string) => void;
+  onClose: () => void;
+};
+
+export function TalkTemplateEditor({ templates, selectedId, onChange, render, onCopy, onClose }: Props) {
+  const selected = findTemplate(templates, selectedId);
+  const userTemplates = templates.filter((t) => !t.builtin);
+
+  const [name, setName] = useState<string>(selected.name);
+  const [body, setBody] = useState<string>(selected.body);
+  const [notice, setNotice] = useState<string>("");
+
+  // Re-sync the draft when another template is picked (or saved)
+  React.useEffect(() => {
+    setName(selected.name);
+    setBody(selected.body);
+  }, [selected.id, selected.name, selected.body]);
+
+  const preview = render(body);
+  const dirty = name !== selected.name || body !== selected.body;
+
+  function addTemplate(from: { name: string; body: string }) {
+    const t: TalkTemplate = { id: newId(), name: from.name, body: from.body };
+    onChange([...userTemplates, t], t.id);
+    setNotice(`「${t.name}」を作成しました。`);
+  }
+
+  function save() {
+    if (selected.builtin) return;
+    onChange(
+      userTemplates.map((t) => (t.id === selected.id ? { ...t, name: name.trim() || t.name, body } : t)),
+      selected.id
+    );
+    setNotice("保存しました。");
+  }
+
+  function remove() {
+    if (selected.builtin) return;
+    if (!window.confirm(`「${selected.name}」を削除しますか？`)) return;
+    onChange(
+      userTemplates.filter((t) => t.id !== selected.id),
+      templates[0].id
+    );
+    setNotice("削除しました。");
+  }
+
+  return (
+    <Card className="rounded-2xl">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <MessageSquareText className="h-5 w-5" />
+          提案トークのテンプレート
+          <Badge variant="secondary">{selected.builtin ? "既定（編集不可）" : "カスタム"}</Badge>
+          <Button variant="ghost" size="sm" className="ml-auto" onClick={onClose} title="閉じる">
+            <X className="h-4 w-4" />
+          </Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-xs text-muted-foreground">
+          {"{変数名}"} に試算値が入ります。{"{#if フラグ}…{else}…{/if}"} で条件分岐（{"{#if !フラグ}"} で否定）。
+          選んだテンプレートが「提案トークをコピー」と提案書に使われます。既定のテンプレートは複製して編集してください。
+        </p>
+
+        <div className="flex flex-wrap items-end gap-2">
+          <div className="min-w-[14rem] space-y-1">
+            <Label className="text-xs">使用するテンプレート</Label>
+            <Select value={selected.id} onValueChange={(id) => onChange(userTemplates, id)}>
+              <SelectTrigger className="h-9">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {templates.map((t) => (
+                  <SelectItem key={t.id} value={t.id}>
+                    {t.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <Button variant="outline" onClick={() => addTemplate({ name: `${name}（コピー）`, body })}>
+            <CopyPlus className="mr-2 h-4 w-4" />
+            複製して編集
+          </Button>
+          <Button variant="outline" onClick={() => addTemplate({ name: "新しいテンプレート", body: "" })}>
+            <Plus className="mr-2 h-4 w-4" />
+            新規
+          </Button>
+          {!selected.builtin && (
+            <Button variant="outline" onClick={remove}>
+              <Trash2 className="mr-2 h-4 w-4" />
+              削除
+            </Button>
+          )}
+          {!selected.builtin && (
+            <Button className="ml-auto" onClick={save} disabled={!dirty}>
+              <Save className="mr-2 h-4 w-4" />
+              保存
+            </Button>
+          )}
+        </div>
+
+        {notice && <p className="text-sm text-muted-foreground">{notice}</p>}
+
+        <div className="grid gap-4 md:grid-cols-2">
+          <div className="space-y-2">
+            <div className="space-y-1">
+              <Label className="text-xs">名前</Label>
+              <Input value={name} disabled={selected.builtin} onChange={(e) => setName(e.target.value)} />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-xs">本文</Label>
+              <Textarea
+                rows={18}
+                className="font-mono text-xs"
+                value={body}
+                readOnly={selected.builtin}
+                onChange={(e) => setBody(e.target.value)}
+              />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <Label className="text-xs">プレビュー（現在の入力）</Label>
+              <Button variant="ghost" size="sm" onClick={() => onCopy(preview.text)}>
+                <Copy className="mr-1 h-4 w-4" />
+                コピー
+              </Button>
+            </div>
+            {(preview.errors.length > 0 || preview.unknownVars.length > 0 || preview.unknownFlags.length > 0) && (
+              <div className="rounded-xl border border-destructive/50 p-3 text-xs text-destructive">
+                {preview.errors.map((e, i) => (
+                  <div key={i}>・{e}</div>
+                ))}
+                {preview.unknownVars.length > 0 && <div>・不明な変数：{preview.unknownVars.map((k) => `{${k}}`).join(" ")}</div>}
+                {preview.unknownFlags.length > 0 && <div>・不明なフラグ（常にOFF扱い）：{preview.unknownFlags.join(" ")}</div>}
+              </div>
+            )}
+            <pre className="max-h-[28rem] overflow-auto whitespace-pre-wrap rounded-xl border bg-muted/40 p-3 text-xs">
+              {preview.text}
+            </pre>
+          </div>
+        </div>
+
+        <details className="rounded-xl border p-3 text-xs">
+          <summary className="cursor-pointer font-medium">使える変数・フラグ</summary>
+          <div className="mt-2 grid gap-x-4 gap-y-1 sm:grid-cols-2 md:grid-cols-3">
+            {TALK_VARIABLES.map((v) => (
+              <div key={v.key}>
+                <code>{`{${v.key}}`}</code> <span className="text-muted-foreground">{v.label}</span>
+              </div>
+            ))}
+          </div>
+          <div className="mt-3 grid gap-x-4 gap-y-1 sm:grid-cols-2 md:grid-cols-3">
+            {TALK_FLAGS.map((f) => (
+              <div key={f.key}>
+                <code>{`{#if ${f.key}}`}</code> <span className="text-muted-foreground">{f.label}</span>
+              </div>
+            ))}
+          </div>
+        </details>
+      </CardContent>
+    </Card>
+  );
+}
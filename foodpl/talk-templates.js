@@ -0,0 +1,494 @@
+import { formatJPY, formatPct } from "./utils";
+import type { Normalized, RentSuggestion } from "./engine";
+import type { UnitType } from "./presets";
+import type { Pnl } from "./pnl";
+import type { Projection } from "./projection";
+import type { LaborResult } from "./labor";
+import type { ChannelMixResult } from "./channels";
+import { SLOT_LABELS, type DemandResult } from "./demand";
+import type { PlausibilityIssue } from "./plausibility";
+import { describeTax, type TaxSetting } from "./tax";
+import type { DeliveryMix } from "./delivery";
+import type { LtvResult } from "./ltv";
+
+// --- Talk-track templates ---
+// `{name}` inserts a computed value; `{#if flag}…{else}…{/if}` (or `{#if !flag}`) keeps a
+// block only when the flag holds. A tag alone on its line takes no line of its own, and a
+// line made only of placeholders disappears when they all render empty.
+
+export type TalkTemplate = {
+  id: string;
+  name: string;
+  body: string;
+  builtin?: boolean;
+};
+
+export type TalkVars = Record<string, string>;
+export type TalkFlags = Record<string, boolean>;
+
+export const TALK_VARIABLES: { key: string; label: string }[] = [
+  { key: "caseName", label: "案件名" },
+  { key: "date", label: "日付" },
+  { key: "address", label: "住所" },
+  { key: "industry", label: "業態" },
+  { key: "scenario", label: "シナリオ" },
+  { key: "areaLabel", label: "エリア" },
+  { key: "estimatedRent", label: "家賃推定（円/月）" },
+  { key: "rentPerTsubo", label: "坪単価" },
+  { key: "tsubo", label: "推定坪数" },
+  { key: "addGroupsPerDay", label: "増やす組数/日" },
+  { key: "days", label: "営業日数" },
+  { key: "unitPrice", label: "客単価" },
+  { key: "unitLabel", label: "客単価の単位（人/組）" },
+  { key: "peoplePerGroup", label: "人数/組" },
+  { key: "taxBasis", label: "価格の税区分（税込→税抜の換算）" },
+  { key: "addRevenueMonthly", label: "増分売上/月" },
+  { key: "addRevenueDaily", label: "増分売上/日" },
+  { key: "addGrossProfit", label: "増分粗利/月" },
+  { key: "addChannelCost", label: "増分のデリバリー手数料・容器代/月" },
+  { key: "baselineChannelCost", label: "月商のデリバリー手数料・容器代" },
+  { key: "offPremiseShare", label: "テイクアウト・デリバリー比率" },
+  { key: "foodRate", label: "原価率" },
+  { key: "laborRate", label: "人件費率" },
+  { key: "rentRate", label: "家賃率" },
+  { key: "adSpend", label: "広告費/月" },
+  { key: "roas", label: "ROAS" },
+  { key: "gpRoas", label: "粗利ROAS" },
+  { key: "breakevenGroupsPerDay", label: "広告回収の分岐（組/日）" },
+  { key: "paybackMonth", label: "広告回収月" },
+  { key: "cac", label: "CAC（新規1組の獲得費）" },
+  { key: "ltv", label: "粗利LTV（12ヶ月、1組あたり）" },
+  { key: "ltvCac", label: "LTV/CAC" },
+  { key: "repeatRate", label: "リピート率" },
+  { key: "repeatRevenue", label: "リピート売上（12ヶ月）" },
+  { key: "gpRoasWithRepeat", label: "リピート込みの粗利ROAS" },
+  { key: "projectionMonths", label: "推移の期間（月）" },
+  { key: "rampCurve", label: "立ち上がり" },
+  { key: "fl", label: "FL" },
+  { key: "flr", label: "FLR" },
+  { key: "seats", label: "席数" },
+  { key: "occupancy", label: "席稼働率" },
+  { key: "turnover", label: "回転数" },
+  { key: "coversPerDay", label: "客数/日" },
+  { key: "weekdayDays", label: "平日日数" },
+  { key: "weekendDays", label: "土日祝日数" },
+  { key: "demandBreakdown", label: "時間帯別の月商（複数行）" },
+  { key: "channelBreakdown", label: "媒体別の内訳（複数行）" },
+  { key: "baselineRevenueMonthly", label: "月商（席推定）" },
+  { key: "baselineOperatingProfitApprox", label: "ざっくり営業利益" },
+  { key: "operatingProfit", label: "営業利益（その他コスト込み）" },
+  { key: "breakevenSales", label: "損益分岐月商" },
+  { key: "safetyMargin", label: "安全余裕率" },
+  { key: "extraShiftHours", label: "追加シフト（h/日）" },
+  { key: "extraLaborMonthly", label: "追加人件費/月" },
+  { key: "addAfterFLShift", label: "シフト控除後の増分粗利" },
+  { key: "checks", label: "妥当性チェックの指摘（複数行）" },
+];
+
+export const TALK_FLAGS: { key: string; label: string }[] = [
+  { key: "hasCaseName", label: "案件名あり" },
+  { key: "hasAddress", label: "住所あり" },
+  { key: "perPerson", label: "客単価が1人あたり" },
+  { key: "taxInclusive", label: "税込価格で入力" },
+  { key: "useBaseline", label: "席推定ON" },
+  { key: "useDemandModel", label: "時間帯別ON" },
+  { key: "useChannelMix", label: "媒体別ON" },
+  { key: "useDelivery", label: "テイクアウト・デリバリー構成ON" },
+  { key: "shiftExtra", label: "シフト追加が必要" },
+  { key: "paybackInPeriod", label: "期間内に広告回収" },
+  { key: "hasRepeat", label: "リピート率の入力あり" },
+  { key: "hasBreakevenSales", label: "損益分岐月商あり" },
+  { key: "hasChecks", label: "妥当性チェックの指摘あり" },
+];
+
+export type TalkSource = {
+  caseName: string;
+  date: Date;
+  address: string;
+  industryLabel: string;
+  scenarioLabel: string;
+  unitType: UnitType;
+  unitPrice: number;
+  tax: TaxSetting;
+  adSpend: number;
+  occupancy: number;
+  turnover: number;
+  useBaseline: boolean;
+  rentSuggestion: RentSuggestion;
+  normalized: Normalized;
+  pnl: Pnl;
+  projection: Projection;
+  projectionMonths: number;
+  rampCurveLabel: string;
+  labor: LaborResult | null; // null when the shift model is off
+  channelMix: ChannelMixResult | null; // null when the channel mix is off
+  demand: DemandResult | null; // null when the time-slot model is off
+  deliveryMix: DeliveryMix | null; // null when the channel split is off
+  ltv: LtvResult;
+  checks: PlausibilityIssue[];
+};
+
+export function buildTalkContext(src: TalkSource): { vars: TalkVars; flags: TalkFlags } {
+  const n = src.normalized;
+  const rs = src.rentSuggestion;
+  const d = src.date;
+
+  const vars: TalkVars = {
+    caseName: src.caseName.trim(),
+    date: `${d.getFullYear()}年${d.getMonth() + 1}月${d.getDate()}日`,
+    address: src.address.trim(),
+    industry: src.industryLabel,
+    scenario: src.scenarioLabel,
+    areaLabel: rs.areaLabel,
+    estimatedRent: formatJPY(rs.estimatedRentMonthly),
+    rentPerTsubo: formatJPY(rs.rentPerTsubo),
+    tsubo: rs.tsubo.toFixed(1),
+    addGroupsPerDay: String(n.addG),
+    days: String(n.days),
+    unitPrice: formatJPY(src.unitPrice),
+    unitLabel: src.unitType === "per_person" ? "人" : "組",
+    peoplePerGroup: String(n.ppg),
+    taxBasis: describeTax(src.tax),
+    addRevenueMonthly: formatJPY(n.addRevenueMonthly),
+    addRevenueDaily: formatJPY(n.addRevenueDaily),
+    addGrossProfit: formatJPY(n.addGrossProfit),
+    addChannelCost: formatJPY(n.addChannelCost),
+    baselineChannelCost: formatJPY(n.baselineChannelCost),
+    offPremiseShare: src.deliveryMix ? formatPct(src.deliveryMix.offPremiseShare) : "",
+    foodRate: formatPct(n.food),
+    laborRate: formatPct(n.labor),
+    rentRate: formatPct(n.rent),
+    adSpend: formatJPY(src.adSpend),
+    roas: n.roas.toFixed(2),
+    gpRoas: n.gpRoas.toFixed(2),
+    breakevenGroupsPerDay: n.breakevenGroupsPerDay_Gross.toFixed(2),
+    paybackMonth: src.projection.paybackMonth ? String(src.projection.paybackMonth) : "",
+    cac: formatJPY(src.ltv.cac),
+    ltv: formatJPY(src.ltv.ltvGrossProfit),
+    ltvCac: src.ltv.ltvCac.toFixed(2),
+    repeatRate: formatPct(src.ltv.repeatRate),
+    repeatRevenue: formatJPY(src.ltv.totalRepeatRevenue),
+    gpRoasWithRepeat: src.ltv.gpRoasWithRepeat.toFixed(2),
+    projectionMonths: String(src.projectionMonths),
+    rampCurve: src.rampCurveLabel,
+    fl: formatPct(n.fl),
+    flr: formatPct(n.flr),
+    seats: String(n.seatsN),
+    occupancy: `${Math.round(src.occupancy * 100)}%`,
+    turnover: String(src.turnover),
+    coversPerDay: n.coversPerDay.toFixed(1),
+    weekdayDays: src.demand ? String(src.demand.weekdayDays) : "",
+    weekendDays: src.demand ? String(src.demand.weekendDays) : "",
+    demandBreakdown: src.demand
+      ? src.demand.slots.map((s) => `　- ${SLOT_LABELS[s.key]}：${formatJPY(s.revenueMonthly)}/月`).join("\n")
+      : "",
+    channelBreakdown: src.channelMix
+      ? src.channelMix.channels
+          .map(
+            (c) =>
+              `　- ${c.label}：${formatJPY(c.spend)}/月 → ${c.reservationsMonthly.toFixed(1)}組/月（CPA ${formatJPY(
+                c.cpa
+              )}、粗利ROAS ${c.gpRoas.toFixed(2)}）`
+          )
+          .join("\n")
+      : "",
+    baselineRevenueMonthly: formatJPY(n.baselineRevenueMonthly),
+    baselineOperatingProfitApprox: formatJPY(n.baselineOperatingProfitApprox),
+    operatingProfit: formatJPY(src.pnl.operatingProfit),
+    breakevenSales: formatJPY(src.pnl.breakevenSales),
+    safetyMargin: formatPct(src.pnl.safetyMargin),
+    extraShiftHours: src.labor ? src.labor.extraHoursPerDay.toFixed(1) : "",
+    extraLaborMonthly: src.labor ? formatJPY(src.labor.extraLaborMonthly) : "",
+    addAfterFLShift: src.labor ? formatJPY(src.labor.addAfterFLShift) : "",
+    checks: src.checks.map((c) => `　- ${c.message}（${c.detail}）`).join("\n"),
+  };
+
+  const flags: TalkFlags = {
+    hasCaseName: src.caseName.trim() !== "",
+    hasAddress: src.address.trim() !== "",
+    perPerson: src.unitType === "per_person",
+    taxInclusive: src.tax.mode === "inclusive",
+    useBaseline: src.useBaseline,
+    useDemandModel: src.demand !== null,
+    useChannelMix: src.channelMix !== null,
+    useDelivery: src.deliveryMix !== null,
+    shiftExtra: src.labor !== null && src.labor.extraHoursPerDay > 0,
+    paybackInPeriod: src.projection.paybackMonth !== null,
+    hasRepeat: src.ltv.repeatRate > 0 && src.ltv.repeatVisitsPerGroup > 0 && src.ltv.cac > 0,
+    hasBreakevenSales: src.pnl.breakevenSales > 0,
+    hasChecks: src.checks.length > 0,
+  };
+
+  return { vars, flags };
+}
+
+// --- Rendering ---
+
+type Node = string | { flag: string; negate: boolean; then: Node[]; otherwise: Node[] };
+
+const TAG = /\{#if (!?)(\w+)\}|\{else\}|\{\/if\}/g;
+
+function parse(body: string, errors: string[]): Node[] {
+  // Block tags alone on a line should not leave blank lines behind
+  const src = body.replace(/^[ \t]*(\{#if !?\w+\}|\{else\}|\{\/if\})[ \t]*\r?\n/gm, "$1");
+
+  const root: Node[] = [];
+  const stack: { node: Extract<Node, object>; inElse: boolean }[] = [];
+  const target = () => {
+    const top = stack[stack.length - 1];
+    return top ? (top.inElse ? top.node.otherwise : top.node.then) : root;
+  };
+
+  let last = 0;
+  for (const m of src.matchAll(TAG)) {
+    if (m.index! > last) target().push(src.slice(last, m.index));
+    last = m.index! + m[0].length;
+
+    if (m[0].startsWith("{#if")) {
+      const node = { flag: m[2], negate: m[1] === "!", then: [], otherwise: [] };
+      target().push(node);
+      stack.push({ node, inElse: false });
+    } else if (m[0] === "{else}") {
+      const top = stack[stack.length - 1];
+      if (top) top.inElse = true;
+      else errors.push("{else} に対応する {#if} がありません");
+    } else if (stack.length > 0) {
+      stack.pop();
+    } else {
+      errors.push("{/if} に対応する {#if} がありません");
+    }
+  }
+  if (last < src.length) target().push(src.slice(last));
+  if (stack.length > 0) errors.push(`{#if ${stack[stack.length - 1].node.flag}} が閉じられていません`);
+  return root;
+}
+
+function flatten(nodes: Node[], flags: TalkFlags, unknownFlags: Set<string>): string {
+  return nodes
+    .map((node) => {
+      if (typeof node === "string") return node;
+      if (!(node.flag in flags)) unknownFlags.add(node.flag);
+      const on = Boolean(flags[node.flag]) !== node.negate;
+      return flatten(on ? node.then : node.otherwise, flags, unknownFlags);
+    })
+    .join("");
+}
+
+export type TalkRender = {
+  text: string;
+  unknownVars: string[]; // left in the text as {name}
+  unknownFlags: string[]; // treated as false
+  errors: string[];
+};
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+export function renderTemplate(body: string, vars: TalkVars, flags: TalkFlags): TalkRender {
+  const errors: string[] = [];
+  const unknownFlags = new Set<string>();
+  const unknownVars = new Set<string>();
+  const expanded = flatten(parse(body, errors), flags, unknownFlags);
+
+  const lines: string[] = [];
+  for (const line of expanded.split("\n")) {
+    const onlyPlaceholders = line.trim() !== "" && line.replace(PLACEHOLDER, "").trim() === "" && PLACEHOLDER.test(line);
+    PLACEHOLDER.lastIndex = 0;
+    const out = line.replace(PLACEHOLDER, (whole, key: string) => {
+      if (key in vars) return vars[key];
+      unknownVars.add(key);
+      return whole;
+    });
+    if (onlyPlaceholders && out.trim() === "") continue;
+    lines.push(out);
+  }
+
+  return { text: lines.join("\n"), unknownVars: [...unknownVars], unknownFlags: [...unknownFlags], errors };
+}
+
+// --- Built-in templates ---
+
+export const BUILTIN_TEMPLATES: TalkTemplate[] = [
+  {
+    id: "builtin:standard",
+    name: "標準（箇条書き）",
+    builtin: true,
+    body: `【事前試算（仮説）】
+{#if hasAddress}
+・住所：{address}
+{/if}
+・業態：{industry}（{scenario}）
+・エリア：{areaLabel}
+・家賃推定：{estimatedRent}/月（{rentPerTsubo}/坪・推定{tsubo}坪）
+・目標：+{addGroupsPerDay}組/日（営業日数 {days}日）
+・客単価：{unitPrice}/{unitLabel}、平均{peoplePerGroup}人/組 想定
+{#if taxInclusive}
+・消費税：{taxBasis}
+{/if}
+・増分売上：{addRevenueMonthly}/月（{addRevenueDaily}/日）
+・増分粗利（原価差引後）：{addGrossProfit}/月（原価率 {foodRate}）
+{#if useDelivery}
+・テイクアウト・デリバリー（注文の{offPremiseShare}）の手数料・容器代：{addChannelCost}/月（増分粗利から差引済み）
+{/if}
+・広告費：{adSpend}/月 → ROAS {roas}、粗利ROAS {gpRoas}
+{channelBreakdown}
+・広告回収の損益分岐（粗利ベース）：{breakevenGroupsPerDay}組/日
+{#if paybackInPeriod}
+・広告回収見込み：{paybackMonth}ヶ月目（{rampCurve}、累計粗利が累計広告費を上回る月）
+{else}
+・広告回収見込み：{projectionMonths}ヶ月以内は未回収（{rampCurve}）
+{/if}
+{#if hasRepeat}
+・リピート込み（リピート率 {repeatRate}）：CAC {cac}/組に対し12ヶ月の粗利LTV {ltv}/組 → LTV/CAC {ltvCac}、粗利ROAS {gpRoasWithRepeat}（リピート売上 {repeatRevenue}）
+{/if}
+{#if shiftExtra}
+・シフト：増加分に+{extraShiftHours}h/日が必要（追加人件費 {extraLaborMonthly}/月 → 増分粗利の残り {addAfterFLShift}/月）
+{/if}
+・FL：{fl} / FLR：{flr}（"70%"目安はFLRで語られることが多い）
+{#if useBaseline}
+{#if useDemandModel}
+・席数：{seats}席、時間帯別（平日{weekdayDays}日・土日祝{weekendDays}日）→ 平均{coversPerDay}人/日
+{demandBreakdown}
+{else}
+・席数：{seats}席、想定：稼働{occupancy}×回転{turnover} → {coversPerDay}人/日
+{/if}
+・仮の月商：{baselineRevenueMonthly}（席推定ベース）
+・ざっくり営業利益（FLR+広告のみ控除）：{baselineOperatingProfitApprox}
+・営業利益（その他コスト込み）：{operatingProfit}
+{#if hasBreakevenSales}
+・損益分岐月商：{breakevenSales}（安全余裕率 {safetyMargin}）
+{/if}
+{/if}
+{#if hasChecks}
+・要確認（前提の見直しが必要）：
+{checks}
+{/if}
+
+※あくまで事前仮説。現場で「月商・原価率（棚卸）・人件費・家賃」を聞いて確定させます。`,
+  },
+  {
+    id: "builtin:line",
+    name: "LINE（短文）",
+    builtin: true,
+    body: `お疲れさまです！事前に試算してみました📊
+1日+{addGroupsPerDay}組で、売上は月+{addRevenueMonthly}、粗利で月+{addGrossProfit}の見込みです。
+広告費{adSpend}/月なら、1日{breakevenGroupsPerDay}組増えれば回収ラインです。
+{#if paybackInPeriod}
+立ち上がりを見込んでも{paybackMonth}ヶ月目には回収できる計算です。
+{/if}
+当日、実際の数字を伺ってすり合わせさせてください🙏`,
+  },
+  {
+    id: "builtin:email",
+    name: "メール",
+    builtin: true,
+    body: `件名：集客施策の事前試算のご共有
+
+{#if hasAddress}
+（{address}）
+{/if}
+ご担当者様
+
+いつもお世話になっております。
+ご訪問に先立ち、{industry}の一般的な数値をもとに簡単な試算をいたしましたのでご共有いたします。
+
+■ 想定
+・1日あたり+{addGroupsPerDay}組（客単価 {unitPrice}/{unitLabel}、平均{peoplePerGroup}人/組、月{days}日営業）
+・広告費 {adSpend}/月
+
+■ 試算結果
+・増分売上：{addRevenueMonthly}/月
+・増分粗利：{addGrossProfit}/月（原価率 {foodRate}）
+・粗利ROAS：{gpRoas}（1.0以上で広告費を回収）
+・回収ライン：1日{breakevenGroupsPerDay}組
+{#if useBaseline}
+・参考：席数からの推定月商 {baselineRevenueMonthly}、営業利益 {operatingProfit}
+{/if}
+
+あくまで仮の数字ですので、当日は実際の月商・原価率・人件費・家賃を伺いながら精度を上げてまいります。
+何卒よろしくお願いいたします。`,
+  },
+  {
+    id: "builtin:memo",
+    name: "社内メモ（フォーマル）",
+    builtin: true,
+    body: `事前試算メモ　{date}
+{#if hasCaseName}
+案件：{caseName}
+{/if}
+所在地：{#if hasAddress}{address}（{areaLabel}）{else}{areaLabel}{/if}
+業態：{industry}／シナリオ：{scenario}
+
+1. 前提
+　客単価 {unitPrice}/{unitLabel}、{peoplePerGroup}人/組、営業{days}日/月、目標 +{addGroupsPerDay}組/日
+{#if taxInclusive}
+　{taxBasis}
+{/if}
+　F {foodRate}／L {laborRate}／R {rentRate}（FLR {flr}）
+2. 広告効果
+　広告費 {adSpend}/月、増分売上 {addRevenueMonthly}/月、増分粗利 {addGrossProfit}/月
+　ROAS {roas}、粗利ROAS {gpRoas}、回収分岐 {breakevenGroupsPerDay}組/日
+{#if paybackInPeriod}
+　回収見込み {paybackMonth}ヶ月目（{rampCurve}）
+{else}
+　{projectionMonths}ヶ月以内の回収見込みなし（{rampCurve}）
+{/if}
+{#if hasRepeat}
+　リピート込み：CAC {cac}、粗利LTV {ltv}（12ヶ月）、LTV/CAC {ltvCac}
+{/if}
+3. 家賃根拠
+　{estimatedRent}/月（{rentPerTsubo}/坪 × {tsubo}坪）
+{#if useBaseline}
+4. 店舗収支（席推定）
+　月商 {baselineRevenueMonthly}、営業利益 {operatingProfit}
+{#if hasBreakevenSales}
+　損益分岐月商 {breakevenSales}（安全余裕率 {safetyMargin}）
+{/if}
+{/if}
+{#if hasChecks}
+※ 要確認事項
+{checks}
+{/if}`,
+  },
+];
+
+export const DEFAULT_TEMPLATE_ID = BUILTIN_TEMPLATES[0].id;
+
+// --- Storage (user templates + the selected one) ---
+
+const STORAGE_KEY = "foodpl.talkTemplates.v1";
+
+export type TemplateStore = { templates: TalkTemplate[]; selectedId: string };
+
+function isTalkTemplate(x: unknown): x is TalkTemplate {
+  if (!x || typeof x !== "object") return false;
+  const t = x as Record<string, unknown>;
+  return typeof t.id === "string" && typeof t.name === "string" && typeof t.body === "string";
+}
+
+export function loadTemplateStore(): TemplateStore {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    if (!raw) return { templates: [], selectedId: DEFAULT_TEMPLATE_ID };
+    const parsed: unknown = JSON.parse(raw);
+    const data = parsed && typeof parsed === "object" ? (parsed as Record<string, unknown>) : {};
+    const templates = Array.isArray(data.templates)
+      ? data.templates.filter(isTalkTemplate).map(({ id, name, body }) => ({ id, name, body }))
+      : [];
+    const selectedId = typeof data.selectedId === "string" ? data.selectedId : DEFAULT_TEMPLATE_ID;
+    return { templates, selectedId };
+  } catch (e) {
+    return { templates: [], selectedId: DEFAULT_TEMPLATE_ID };
+  }
+}
+
+export function persistTemplateStore(store: TemplateStore): void {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  } catch (e) {
+    // no-op (quota / private mode)
+  }
+}
+
+export function findTemplate(templates: TalkTemplate[], id: string): TalkTemplate {
+  return templates.find((t) => t.id === id) ?? BUILTIN_TEMPLATES[0];
+}
@@ -0,0 +1,44 @@
+import { clamp, formatPct } from "./utils";
+
+// --- Consumption tax ---
+// Prices can be typed tax-inclusive (menu board prices) or tax-exclusive.
+// The engine always works on net (tax-exclusive) sales so F/L/R and ROAS stay
+// comparable: costs, rent and ad spend are all net amounts.
+
+export type PriceTaxMode = "exclusive" | "inclusive";
+
+export type TaxSetting = {
+  mode: PriceTaxMode;
+  takeoutShare: number; // share of sales at the reduced rate (0.30 = 30%)
+};
+
+export const TAX_RATES = {
+  dineIn: 0.1, // 標準税率（店内飲食）
+  takeout: 0.08, // 軽減税率（持ち帰り）
+} as const;
+
+export const PRICE_TAX_MODES: Record<PriceTaxMode, { label: string }> = {
+  exclusive: { label: "税抜（そのまま計算）" },
+  inclusive: { label: "税込（税抜に換算）" },
+};
+
+// Sales-weighted tax rate for the dine-in / takeout split
+export function blendedTaxRate(takeoutShare: number): number {
+  const t = clamp(Number.isFinite(takeoutShare) ? takeoutShare : 0, 0, 1);
+  return TAX_RATES.dineIn * (1 - t) + TAX_RATES.takeout * t;
+}
+
+// Multiply a typed price by this to get the net price (1 when already net)
+export function netPriceFactor(tax: TaxSetting | null | undefined): number {
+  if (!tax || tax.mode !== "inclusive") return 1;
+  return 1 / (1 + blendedTaxRate(tax.takeoutShare));
+}
+
+// One line for talk tracks / proposals
+export function describeTax(tax: TaxSetting): string {
+  if (tax.mode !== "inclusive") return "入力した価格は税抜";
+  const t = clamp(tax.takeoutShare, 0, 1);
+  return `入力した価格は税込（店内${TAX_RATES.dineIn * 100}%・持ち帰り${TAX_RATES.takeout * 100}%、持ち帰り比率${formatPct(
+    t
+  )} → 平均${formatPct(blendedTaxRate(t))}）。税抜に換算して計算`;
+}
@@ -0,0 +1,51 @@
+// --- Utilities ---
+export const clamp = (n: number, min: number, max: number) => Math.min(max, Math.max(min, n));
+
+export function formatJPY(n: number): string {
+  const v = Number.isFinite(n) ? Math.round(n) : 0;
+  return v.toLocaleString("ja-JP") + "円";
+}
+
+export function formatPct(r: number): string {
+  const v = Number.isFinite(r) ? r * 100 : 0;
+  return `${v.toFixed(1)}%`;
+}
+
+export function safeDiv(a: number, b: number): number {
+  if (!Number.isFinite(a) || !Number.isFinite(b) || b === 0) return 0;
+  return a / b;
+}
+
+export function numOr0(v: string): number {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+}
+
+// Save text as a file via a temporary object URL (browser only).
+// CSV gets a BOM so Excel (Japanese locale) opens it as UTF-8.
+export function downloadText(filename: string, text: string, mime = "text/plain"): void {
+  const body = mime === "text/csv" ? `\uFEFF${text}` : text;
+  const blob = new Blob([body], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Open an HTML document in a new window and start the print dialog (browser only).
+// Returns false when a popup blocker stopped the window.
+export function printHtml(html: string): boolean {
+  const w = window.open("", "_blank");
+  if (!w) return false;
+  w.document.open();
+  w.document.write(html);
+  w.document.close();
+  w.focus();
+  // Give the new document a moment to lay out before printing
+  setTimeout(() => w.print(), 250);
+  return true;
+}